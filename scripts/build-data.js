@@ -0,0 +1,49 @@
+/**
+ * Build a per-hex FeatureCollection with refreshed GridScore values.
+ * Node port of generate_hex_score_map.py; output is byte-compatible with it.
+ *
+ * Reads:
+ * - datacenter_scores_real.csv
+ * - hex_weather_data_all.csv
+ * - public/data/score_map.json (for geometry + lat/lon + existing region tags)
+ *
+ * Outputs:
+ * - public/data/score_map_hex.json (or the path given as the first argument)
+ *
+ * The output is checked with the same schema as `npm run validate-data`.
+ *
+ * Usage: npm run build-data [-- <output path>]
+ */
+import { readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { buildHexScoreMap, toPythonJson } from "../src/lib/scorePipeline.js";
+import { describeProblems, validateScoreMap } from "../src/lib/scoreSchema.js";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const SCORES_PATH = path.join(ROOT, "datacenter_scores_real.csv");
+const HEX_CLIMATE_PATH = path.join(ROOT, "hex_weather_data_all.csv");
+const BASE_MAP_PATH = path.join(ROOT, "public/data/score_map.json");
+const OUTPUT_PATH = path.join(ROOT, "public/data/score_map_hex.json");
+
+async function main() {
+  const outputPath = process.argv[2] ? path.resolve(process.argv[2]) : OUTPUT_PATH;
+  const [scoresCsv, hexClimateCsv, baseMapText] = await Promise.all([
+    readFile(SCORES_PATH, "utf8"),
+    readFile(HEX_CLIMATE_PATH, "utf8"),
+    readFile(BASE_MAP_PATH, "utf8"),
+  ]);
+
+  const outFc = buildHexScoreMap({ scoresCsv, hexClimateCsv, baseMap: JSON.parse(baseMapText) });
+  await writeFile(outputPath, toPythonJson(outFc));
+  console.log(`Wrote ${outputPath} with ${outFc.features.length} features`);
+
+  const result = validateScoreMap(outFc);
+  describeProblems(result).forEach((line) => console.log(`  ${line}`));
+  if (!result.ok || result.errorCount) process.exitCode = 1;
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
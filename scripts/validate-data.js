@@ -0,0 +1,49 @@
+/**
+ * Check score-map FeatureCollections against the dashboard's schema
+ * (src/lib/scoreSchema.js): required properties, types, value ranges and
+ * unique hex_id.
+ *
+ * Exits non-zero on fatal problems or errors; warnings (optional fields left
+ * null, properties the schema doesn't know) only fail with --strict.
+ *
+ * Usage: npm run validate-data [-- [--strict] <file> ...]
+ * Defaults to public/data/score_map_hex.json.
+ */
+import { readFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { describeProblems, validateScoreMap } from "../src/lib/scoreSchema.js";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const DEFAULT_PATH = path.join(ROOT, "public/data/score_map_hex.json");
+
+async function main() {
+  const args = process.argv.slice(2);
+  const strict = args.includes("--strict");
+  const files = args.filter((arg) => arg !== "--strict").map((file) => path.resolve(file));
+
+  let failed = false;
+  for (const file of files.length ? files : [DEFAULT_PATH]) {
+    let result;
+    try {
+      result = validateScoreMap(JSON.parse(await readFile(file, "utf8")));
+    } catch (err) {
+      console.error(`${file}: fatal: ${err.message}`);
+      failed = true;
+      continue;
+    }
+    const label = path.relative(process.cwd(), file) || file;
+    console.log(
+      `${label}: ${result.featureCount} features, ${result.fatal.length} fatal, ` +
+        `${result.errorCount} errors, ${result.warningCount} warnings`,
+    );
+    describeProblems(result).forEach((line) => console.log(`  ${line}`));
+    if (!result.ok || result.errorCount || (strict && result.warningCount)) failed = true;
+  }
+  if (failed) process.exitCode = 1;
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
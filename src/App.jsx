@@ -73,7 +73,8 @@ export default function App() {
   const getRoute = () => {
     if (typeof window === "undefined") return "home";
     const path = window.location.pathname.toLowerCase();
-    const hash = window.location.hash.toLowerCase();
+    // Only the route segment of the hash: "#dashboard?metric=…" carries view state after it
+    const hash = window.location.hash.toLowerCase().replace(/^#\/?/, "").split(/[?#&]/)[0];
     if (path.includes("dashboard") || hash.includes("dashboard")) return "dashboard";
     if (path.includes("contact") || hash.includes("contact")) return "contact";
     return "home";
@@ -0,0 +1,57 @@
+import * as d3 from "d3";
+import { BIVARIATE_PALETTE, BIVARIATE_X, BIVARIATE_Y, bivariateClassLabel } from "@/lib/bivariate";
+
+const CELL = 26;
+
+// 2D square legend: sustainability grows to the right, profitability grows upward.
+// Hovering a cell reports its class so the map can highlight matching hexes.
+export default function BivariateLegend({ breaks, counts, activeIndex, onHover }) {
+  const fmt = d3.format(".2f");
+
+  return (
+    <div className="flex items-end gap-3 text-xs text-white/70" onMouseLeave={() => onHover(null)}>
+      <div className="flex flex-col items-center gap-1">
+        <span className="text-white/60 [writing-mode:vertical-rl] rotate-180">{BIVARIATE_Y.label} →</span>
+      </div>
+      <div>
+        <div className="grid grid-cols-3 gap-[2px]" style={{ width: CELL * 3 + 4 }}>
+          {[2, 1, 0].flatMap((y) =>
+            [0, 1, 2].map((x) => {
+              const index = y * 3 + x;
+              const cls = { x, y, index };
+              return (
+                <button
+                  key={index}
+                  type="button"
+                  className={`p-0 transition ${
+                    activeIndex === index ? "scale-110 ring-2 ring-white" : activeIndex !== null ? "opacity-50" : ""
+                  }`}
+                  style={{ width: CELL, height: CELL, background: BIVARIATE_PALETTE[index] }}
+                  onMouseEnter={() => onHover(index)}
+                  onFocus={() => onHover(index)}
+                  onBlur={() => onHover(null)}
+                  title={`${bivariateClassLabel(cls)} (${counts?.[index] ?? 0} hexes)`}
+                  aria-label={bivariateClassLabel(cls)}
+                />
+              );
+            }),
+          )}
+        </div>
+        <div className="mt-1 text-white/60">{BIVARIATE_X.label} →</div>
+      </div>
+      <div className="space-y-0.5 font-mono text-[11px] text-white/50">
+        <div>
+          {BIVARIATE_X.label} breaks: {fmt(breaks.x[0])} / {fmt(breaks.x[1])}
+        </div>
+        <div>
+          {BIVARIATE_Y.label} breaks: {fmt(breaks.y[0])} / {fmt(breaks.y[1])}
+        </div>
+        <div className="text-white/70">
+          {activeIndex !== null
+            ? `${bivariateClassLabel({ x: activeIndex % 3, y: Math.floor(activeIndex / 3) })}: ${counts?.[activeIndex] ?? 0} hexes`
+            : "Hover a cell to highlight its hexes"}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,177 @@
+import { useEffect, useMemo, useState } from "react";
+import * as d3 from "d3";
+import { loadEiaHourly } from "@/lib/eiaHourly";
+import { DEFAULT_WINDOW_HOURS, TIMELINE_WINDOWS, conditionFrames, loadStress } from "@/lib/hourlyConditions";
+
+// Hours advanced per playback tick
+const SPEEDS = [1, 3, 6];
+const TICK_MS = 500;
+const formatFrameTime = d3.utcFormat("%a %b %-d, %H:00 UTC");
+
+// Time slider for the score map. While on, the current frame's regional load
+// inputs are reported via onChange({ frames, index, time, overrides }) and the
+// map rescores against them; off reports null and the snapshot comes back.
+export default function ConditionsTimeline({ onChange }) {
+  const [series, setSeries] = useState(null);
+  const [status, setStatus] = useState("idle");
+  const [enabled, setEnabled] = useState(false);
+  const [windowHours, setWindowHours] = useState(DEFAULT_WINDOW_HOURS);
+  const [index, setIndex] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(SPEEDS[0]);
+
+  // The pull is only fetched once the timeline is first switched on
+  useEffect(() => {
+    if (!enabled || series) return undefined;
+    let isMounted = true;
+    setStatus("loading");
+    loadEiaHourly()
+      .then((data) => {
+        if (!isMounted) return;
+        setSeries(data);
+        setStatus("ready");
+      })
+      .catch(() => {
+        if (!isMounted) return;
+        setEnabled(false);
+        setStatus("error");
+      });
+    return () => {
+      isMounted = false;
+    };
+  }, [enabled, series]);
+
+  const frames = useMemo(
+    () => (enabled && series ? conditionFrames(series, windowHours) : null),
+    [enabled, series, windowHours],
+  );
+  const frameCount = frames?.length ?? 0;
+  const frameIndex = Math.min(index, Math.max(0, frameCount - 1));
+  const frame = frames?.[frameIndex] ?? null;
+
+  useEffect(() => {
+    if (!playing || !frameCount) return undefined;
+    const timer = setInterval(() => setIndex((i) => (i + speed) % frameCount), TICK_MS);
+    return () => clearInterval(timer);
+  }, [playing, speed, frameCount]);
+
+  useEffect(() => {
+    onChange?.(frame ? { frames, index: frameIndex, time: frame.time, overrides: frame.overrides } : null);
+  }, [frames, frameIndex, frame, onChange]);
+
+  // Regions nearest their own window peak in this hour
+  const stressed = useMemo(
+    () =>
+      frame
+        ? Object.entries(frame.overrides)
+            .map(([region, inputs]) => ({ region, stress: loadStress(inputs) }))
+            .sort((a, b) => d3.descending(a.stress, b.stress))
+            .slice(0, 3)
+        : [],
+    [frame],
+  );
+
+  const toggle = (on) => {
+    setEnabled(on);
+    if (!on) setPlaying(false);
+  };
+
+  const changeWindow = (hours) => {
+    // Keep the same wall-clock hour when the window (and so the first frame) moves
+    const time = frame?.time;
+    setWindowHours(hours);
+    if (time && series) {
+      const next = conditionFrames(series, hours).findIndex((f) => +f.time === +time);
+      setIndex(Math.max(0, next));
+    }
+  };
+
+  return (
+    <div className="flex flex-col gap-3 rounded-2xl border border-white/5 bg-white/5 p-4 text-sm text-white/70 backdrop-blur-md">
+      <div className="flex flex-wrap items-center gap-3">
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={enabled}
+            onChange={(e) => toggle(e.target.checked)}
+            className="accent-emerald-400"
+          />
+          <span className="uppercase tracking-wide text-white/60">Hourly grid conditions</span>
+        </label>
+        {status === "loading" && <span className="text-xs text-white/50">Loading EIA demand…</span>}
+        {status === "error" && <span className="text-xs text-rose-200">Couldn&apos;t load hourly demand.</span>}
+        {frame && (
+          <>
+            <span className="font-mono text-white">{formatFrameTime(frame.time)}</span>
+            <div className="ml-auto flex items-center gap-2 text-xs">
+              <select
+                className="rounded-xl border border-white/10 bg-[#0c1421] px-3 py-2 text-white"
+                value={windowHours}
+                onChange={(e) => changeWindow(Number(e.target.value))}
+                aria-label="Peak and volatility window"
+              >
+                {TIMELINE_WINDOWS.map((w) => (
+                  <option key={w.hours} value={w.hours}>
+                    {w.label} window
+                  </option>
+                ))}
+              </select>
+              <select
+                className="rounded-xl border border-white/10 bg-[#0c1421] px-3 py-2 text-white"
+                value={speed}
+                onChange={(e) => setSpeed(Number(e.target.value))}
+                aria-label="Playback speed"
+              >
+                {SPEEDS.map((s) => (
+                  <option key={s} value={s}>
+                    {s}h / step
+                  </option>
+                ))}
+              </select>
+            </div>
+          </>
+        )}
+      </div>
+
+      {frame && (
+        <>
+          <div className="flex items-center gap-3">
+            <button
+              type="button"
+              className="w-20 shrink-0 rounded-xl border border-white/10 bg-[#0c1421] px-4 py-2 text-sm text-white/80 transition hover:border-neon/50 hover:text-white"
+              onClick={() => setPlaying((p) => !p)}
+              aria-pressed={playing}
+            >
+              {playing ? "Pause" : "Play"}
+            </button>
+            <input
+              type="range"
+              min={0}
+              max={frameCount - 1}
+              value={frameIndex}
+              onChange={(e) => {
+                setPlaying(false);
+                setIndex(Number(e.target.value));
+              }}
+              className="flex-1 accent-emerald-400"
+              aria-label="Hour"
+              aria-valuetext={formatFrameTime(frame.time)}
+            />
+          </div>
+          <div className="flex flex-wrap items-center gap-2 text-xs text-white/50">
+            <span>Closest to their {windowHours}h peak:</span>
+            {stressed.map(({ region, stress }) => (
+              <span key={region} className="rounded-full border border-white/10 bg-[#0c1421] px-2 py-0.5">
+                <span className="text-white">{region}</span>{" "}
+                <span className="font-mono text-amber-200">{d3.format(".0%")(stress)}</span>
+              </span>
+            ))}
+            <span className="ml-auto text-white/40">
+              Load, peak and volatility from this window; price held at the snapshot.
+            </span>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
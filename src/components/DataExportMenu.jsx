@@ -0,0 +1,135 @@
+import { useEffect, useRef, useState } from "react";
+import { DERIVED_COLUMNS } from "@/lib/dataExport";
+
+const FORMATS = [
+  { key: "csv", label: "CSV" },
+  { key: "geojson", label: "GeoJSON" },
+];
+
+// Dropdown for downloading a subset of hexes: pick scope, format and columns
+export default function DataExportMenu({ scopes, columns, onExport, disabled }) {
+  const menuRef = useRef(null);
+  const [open, setOpen] = useState(false);
+  const [scope, setScope] = useState("view");
+  const [format, setFormat] = useState("csv");
+  // Unchecked columns; new columns (e.g. after a data refresh) start out included
+  const [excluded, setExcluded] = useState(() => new Set());
+
+  useEffect(() => {
+    if (!open) return undefined;
+    const onPointerDown = (e) => {
+      if (!menuRef.current?.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener("pointerdown", onPointerDown);
+    return () => document.removeEventListener("pointerdown", onPointerDown);
+  }, [open]);
+
+  const selectedColumns = columns.filter((c) => !excluded.has(c));
+  const activeScope = scopes.find((s) => s.key === scope) ?? scopes[0];
+
+  const toggleColumn = (col) =>
+    setExcluded((prev) => {
+      const next = new Set(prev);
+      if (next.has(col)) next.delete(col);
+      else next.add(col);
+      return next;
+    });
+
+  return (
+    <div ref={menuRef} className="relative">
+      <button
+        type="button"
+        className="shrink-0 rounded-xl border border-white/10 bg-[#0c1421] px-4 py-3 text-sm text-white/80 transition hover:border-neon/50 hover:text-white disabled:opacity-40"
+        onClick={() => setOpen((o) => !o)}
+        disabled={disabled}
+        aria-expanded={open}
+        aria-haspopup="menu"
+      >
+        Export data
+      </button>
+      {open && (
+        <div className="absolute right-0 z-30 mt-2 w-80 rounded-2xl border border-white/10 bg-[#0c1421]/95 p-4 text-xs text-white/70 shadow-2xl backdrop-blur-md">
+          <div className="uppercase tracking-wide text-white/50">Hexes</div>
+          <div className="mt-2 space-y-1">
+            {scopes.map((s) => (
+              <label key={s.key} className={`flex items-center gap-2 ${s.count ? "" : "opacity-40"}`}>
+                <input
+                  type="radio"
+                  name="export-scope"
+                  className="accent-emerald-400"
+                  checked={activeScope?.key === s.key}
+                  disabled={!s.count}
+                  onChange={() => setScope(s.key)}
+                />
+                <span className="flex-1">{s.label}</span>
+                <span className="font-mono text-white/50">{s.count}</span>
+              </label>
+            ))}
+          </div>
+
+          <div className="mt-3 uppercase tracking-wide text-white/50">Format</div>
+          <div className="mt-2 flex overflow-hidden rounded-full border border-white/10">
+            {FORMATS.map((f) => (
+              <button
+                key={f.key}
+                type="button"
+                className={`flex-1 px-3 py-1.5 transition ${
+                  format === f.key ? "bg-emerald-400/20 text-white" : "text-white/60 hover:text-white"
+                }`}
+                onClick={() => setFormat(f.key)}
+              >
+                {f.label}
+              </button>
+            ))}
+          </div>
+
+          <div className="mt-3 flex items-center justify-between">
+            <span className="uppercase tracking-wide text-white/50">
+              Columns ({selectedColumns.length}/{columns.length})
+            </span>
+            <span className="flex gap-2">
+              <button type="button" className="text-white/50 hover:text-white" onClick={() => setExcluded(new Set())}>
+                All
+              </button>
+              <button
+                type="button"
+                className="text-white/50 hover:text-white"
+                onClick={() => setExcluded(new Set(columns))}
+              >
+                None
+              </button>
+            </span>
+          </div>
+          <div className="mt-2 grid max-h-44 grid-cols-2 gap-x-3 gap-y-1 overflow-y-auto pr-1 font-mono text-[11px]">
+            {columns.map((col) => (
+              <label key={col} className="flex items-center gap-1.5 truncate" title={col}>
+                <input
+                  type="checkbox"
+                  className="accent-emerald-400"
+                  checked={!excluded.has(col)}
+                  onChange={() => toggleColumn(col)}
+                />
+                <span className={`truncate ${DERIVED_COLUMNS.includes(col) ? "text-sky-200" : ""}`}>{col}</span>
+              </label>
+            ))}
+          </div>
+
+          <button
+            type="button"
+            className="mt-3 w-full rounded-xl border border-white/10 px-4 py-2 text-sm text-white/80 transition hover:border-neon/50 hover:text-white disabled:opacity-40"
+            disabled={!activeScope?.count || !selectedColumns.length}
+            onClick={() => {
+              onExport({ scope: activeScope.key, format, columns: selectedColumns });
+              setOpen(false);
+            }}
+          >
+            Download {activeScope?.count ?? 0} hexes
+          </button>
+          <p className="mt-2 text-[11px] text-white/40">
+            Files record the active metric and generation date; CSV header lines start with “#”.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
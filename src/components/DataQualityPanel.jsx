@@ -0,0 +1,117 @@
+import { useState } from "react";
+import * as d3 from "d3";
+
+const formatCount = d3.format(",");
+const SEVERITY_TONES = {
+  fatal: "text-rose-300",
+  error: "text-rose-200",
+  warning: "text-amber-200",
+};
+
+// Collapsible result of validateScoreMap() for the loaded dataset. Opens on its
+// own when the file can't be used.
+export default function DataQualityPanel({ source, report }) {
+  const [expanded, setExpanded] = useState(null);
+  const [issuesOnly, setIssuesOnly] = useState(true);
+  if (!report) return null;
+
+  const open = expanded ?? !report.ok;
+  const fields = issuesOnly ? report.fields.filter((field) => field.severity) : report.fields;
+  const status = !report.ok ? "fatal" : report.errorCount ? "error" : report.warningCount ? "warning" : null;
+
+  return (
+    <div className="rounded-2xl border border-white/5 bg-white/5 px-4 py-3 text-xs text-white/70 backdrop-blur-md">
+      <button
+        type="button"
+        className="flex w-full flex-wrap items-center gap-3 text-left"
+        onClick={() => setExpanded(!open)}
+        aria-expanded={open}
+      >
+        <span className="uppercase tracking-wide text-white/60">Data quality</span>
+        <span className="font-mono text-white/50">{source}</span>
+        <span>{formatCount(report.featureCount)} hexes</span>
+        {!report.ok && <span className={SEVERITY_TONES.fatal}>{report.fatal.length} fatal</span>}
+        <span className={report.errorCount ? SEVERITY_TONES.error : "text-white/50"}>
+          {report.errorCount} error{report.errorCount === 1 ? "" : "s"}
+        </span>
+        <span className={report.warningCount ? SEVERITY_TONES.warning : "text-white/50"}>
+          {report.warningCount} warning{report.warningCount === 1 ? "" : "s"}
+        </span>
+        {!status && <span className="text-neon">All checks pass</span>}
+        <span className="ml-auto text-white/40">{open ? "Hide details" : "Show details"}</span>
+      </button>
+
+      {open && (
+        <div className="mt-3 space-y-3">
+          {report.fatal.length > 0 && (
+            <ul className="space-y-1 rounded-xl border border-rose-400/30 bg-rose-500/10 px-3 py-2 text-rose-100">
+              {report.fatal.map((message) => (
+                <li key={message}>{message}</li>
+              ))}
+            </ul>
+          )}
+
+          {report.fields.length > 0 && (
+            <>
+              <label className="flex items-center gap-2 text-white/60">
+                <input
+                  type="checkbox"
+                  checked={issuesOnly}
+                  onChange={(e) => setIssuesOnly(e.target.checked)}
+                  className="accent-emerald-400"
+                />
+                Only fields with problems
+              </label>
+              <table className="w-full">
+                <thead>
+                  <tr className="text-[11px] uppercase tracking-wide text-white/40">
+                    <th className="py-1 text-left font-normal">Field</th>
+                    <th className="py-1 text-left font-normal">Expected</th>
+                    <th className="py-1 text-right font-normal">Missing</th>
+                    <th className="py-1 text-right font-normal">Wrong type</th>
+                    <th className="py-1 text-right font-normal">Out of range</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {fields.map((field) => (
+                    <tr key={field.key} className={SEVERITY_TONES[field.severity] ?? ""}>
+                      <td className="py-0.5 pr-2 font-mono">
+                        {field.key}
+                        {!field.required && <span className="ml-1 font-sans text-white/30">optional</span>}
+                      </td>
+                      <td className="py-0.5 pr-2 text-white/50">
+                        {field.type} {field.range}
+                      </td>
+                      <td className="py-0.5 text-right font-mono">{formatCount(field.missing)}</td>
+                      <td className="py-0.5 text-right font-mono">{formatCount(field.wrongType)}</td>
+                      <td className="py-0.5 text-right font-mono">{formatCount(field.outOfRange)}</td>
+                    </tr>
+                  ))}
+                  {!fields.length && (
+                    <tr>
+                      <td colSpan={5} className="py-1 text-white/50">
+                        Every schema field is present, typed and in range.
+                      </td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </>
+          )}
+
+          {report.unexpected.length > 0 && (
+            <p className={SEVERITY_TONES.warning}>
+              Not in the schema:{" "}
+              {report.unexpected.map(({ key, count }, i) => (
+                <span key={key}>
+                  {i > 0 && ", "}
+                  <span className="font-mono">{key}</span> ({formatCount(count)})
+                </span>
+              ))}
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,283 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import * as d3 from "d3";
+import { METRICS, formatValue } from "@/lib/scoreMapCore";
+import {
+  DIFF_SOURCES,
+  assertFeatureCollection,
+  biggestMovers,
+  deltasFor,
+  diffDatasets,
+  hexKey,
+} from "@/lib/datasetDiff";
+
+const FILE_SOURCE = "file";
+const MOVER_COUNT = 10;
+const LIST_LIMIT = 24;
+const formatDelta = d3.format("+.4~f");
+const formatCount = d3.format(",");
+
+// Compare two score FeatureCollections by hex_id. Stays mounted while closed so the
+// picked sources and files survive; the diff layer is only reported while it's open.
+export default function DatasetDiffPanel({ open, basePath, onChange, onSelectHex, onShowMap, mapShown }) {
+  const [sources, setSources] = useState({ before: DIFF_SOURCES[0].key, after: DIFF_SOURCES[1].key });
+  const [collections, setCollections] = useState({});
+  const [files, setFiles] = useState({});
+  const [error, setError] = useState(null);
+  const [metricKey, setMetricKey] = useState("dc_score");
+  const fileSideRef = useRef(null);
+  const fileInputRef = useRef(null);
+
+  // Bundled files are fetched the first time the panel asks for them
+  const requestedRef = useRef(new Set());
+  useEffect(() => {
+    if (!open) return;
+    Object.values(sources)
+      .filter((key) => key !== FILE_SOURCE && !requestedRef.current.has(key))
+      .forEach(async (key) => {
+        requestedRef.current.add(key);
+        try {
+          const res = await fetch(`${basePath}data/${key}`);
+          if (!res.ok) throw new Error(`HTTP ${res.status}`);
+          const json = assertFeatureCollection(await res.json());
+          setCollections((current) => ({ ...current, [key]: json }));
+        } catch (err) {
+          requestedRef.current.delete(key);
+          setError(`${key}: ${err.message || "failed to load"}`);
+        }
+      });
+  }, [open, sources, basePath]);
+
+  const pick = (side) => (sources[side] === FILE_SOURCE ? files[side]?.collection : collections[sources[side]]);
+  const name = (side) => (sources[side] === FILE_SOURCE ? files[side]?.name : sources[side]);
+  const before = pick("before");
+  const after = pick("after");
+  const diff = useMemo(() => (before && after ? diffDatasets(before, after) : null), [before, after]);
+  const activeMetric = diff?.metrics.find((m) => m.key === metricKey) ?? diff?.metrics[0] ?? null;
+  const movers = useMemo(
+    () => (diff && activeMetric ? biggestMovers(diff, activeMetric.key, MOVER_COUNT) : []),
+    [diff, activeMetric],
+  );
+
+  const beforeName = name("before");
+  const afterName = name("after");
+  useEffect(() => {
+    if (!open || !diff || !activeMetric) {
+      onChange?.(null);
+      return;
+    }
+    onChange?.({
+      key: activeMetric.key,
+      label: activeMetric.label,
+      before: beforeName,
+      after: afterName,
+      deltas: deltasFor(diff, activeMetric.key),
+    });
+  }, [open, diff, activeMetric, beforeName, afterName, onChange]);
+
+  const chooseSource = (side, key) => {
+    setError(null);
+    if (key === FILE_SOURCE && !files[side]) {
+      fileSideRef.current = side;
+      fileInputRef.current?.click();
+      return;
+    }
+    setSources((current) => ({ ...current, [side]: key }));
+  };
+
+  const readFile = async (event) => {
+    const file = event.target.files?.[0];
+    const side = fileSideRef.current;
+    event.target.value = "";
+    if (!file || !side) return;
+    try {
+      const collection = assertFeatureCollection(JSON.parse(await file.text()));
+      setFiles((current) => ({ ...current, [side]: { name: file.name, collection } }));
+      setSources((current) => ({ ...current, [side]: FILE_SOURCE }));
+    } catch (err) {
+      setError(`${file.name}: ${err.message}`);
+    }
+  };
+
+  if (!open) return null;
+
+  const digits = METRICS[activeMetric?.key]?.digits;
+  return (
+    <div className="rounded-2xl border border-white/5 bg-white/5 p-4 backdrop-blur-md">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <h2 className="text-sm uppercase tracking-wide text-white/60">Compare datasets</h2>
+          <p className="text-xs text-white/50">
+            Matches hexes by hex_id and diffs every numeric property, e.g. the previous score_map_hex.json against a
+            fresh pipeline run.
+          </p>
+        </div>
+        <button
+          type="button"
+          className="rounded-full border border-white/10 px-4 py-1.5 text-xs text-white/70 transition hover:border-neon/50 hover:text-white disabled:opacity-40"
+          disabled={!diff}
+          onClick={onShowMap}
+          aria-pressed={mapShown}
+        >
+          {mapShown ? "Showing diff map" : "Show diff map"}
+        </button>
+      </div>
+
+      <div className="mt-4 grid gap-3 text-xs sm:grid-cols-2">
+        {[
+          ["before", "Before"],
+          ["after", "After"],
+        ].map(([side, label]) => (
+          <label key={side} className="flex items-center gap-2 text-white/60">
+            <span className="w-12 uppercase tracking-wide">{label}</span>
+            <select
+              className="flex-1 rounded-xl border border-white/10 bg-[#0c1421] px-3 py-2 text-white"
+              value={sources[side]}
+              onChange={(e) => chooseSource(side, e.target.value)}
+            >
+              {DIFF_SOURCES.map((source) => (
+                <option key={source.key} value={source.key}>
+                  {source.label}
+                </option>
+              ))}
+              <option value={FILE_SOURCE}>{files[side] ? `File: ${files[side].name}` : "Local file…"}</option>
+            </select>
+          </label>
+        ))}
+        <input ref={fileInputRef} type="file" accept=".json,.geojson,application/json" className="hidden" onChange={readFile} />
+      </div>
+
+      {error && <p className="mt-3 text-xs text-rose-200">{error}</p>}
+      {!diff && !error && <p className="mt-3 text-xs text-white/50">Loading datasets…</p>}
+
+      {diff && (
+        <>
+          <div className="mt-4 flex flex-wrap gap-2 text-xs">
+            <Chip label="Matched" value={formatCount(diff.matched.length)} />
+            <Chip label="Added" value={formatCount(diff.added.length)} tone={diff.added.length ? "text-sky-200" : undefined} />
+            <Chip
+              label="Dropped"
+              value={formatCount(diff.dropped.length)}
+              tone={diff.dropped.length ? "text-rose-200" : undefined}
+            />
+            <Chip label="Region changes" value={formatCount(diff.regionChanges)} />
+            {diff.duplicates > 0 && (
+              <Chip label="Duplicate hex_ids" value={formatCount(diff.duplicates)} tone="text-amber-200" />
+            )}
+          </div>
+
+          <div className="mt-4 grid gap-6 lg:grid-cols-[minmax(0,3fr)_minmax(0,2fr)]">
+            <div className="max-h-72 overflow-y-auto">
+              <table className="w-full text-xs text-white/70">
+                <thead className="sticky top-0 bg-[#0c1421]">
+                  <tr className="text-[11px] uppercase tracking-wide text-white/40">
+                    <th className="py-1 text-left font-normal">Property</th>
+                    <th className="py-1 text-right font-normal">Changed</th>
+                    <th className="py-1 text-right font-normal">Mean Δ</th>
+                    <th className="py-1 text-right font-normal">Max |Δ|</th>
+                    <th className="py-1 text-right font-normal">One-sided</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {diff.metrics.map((m) => (
+                    <tr
+                      key={m.key}
+                      className={`cursor-pointer transition hover:text-white ${
+                        m.key === activeMetric?.key ? "text-emerald-200" : ""
+                      } ${m.changed || m.missing ? "" : "text-white/35"}`}
+                      onClick={() => setMetricKey(m.key)}
+                    >
+                      <td className="py-0.5 pr-2">
+                        {m.label}
+                        {METRICS[m.key] && <span className="ml-1 font-mono text-white/30">{m.key}</span>}
+                      </td>
+                      <td className="py-0.5 text-right font-mono">{formatCount(m.changed)}</td>
+                      <td className="py-0.5 text-right font-mono">{m.count ? formatDelta(m.mean) : "—"}</td>
+                      <td className="py-0.5 text-right font-mono">{m.count ? formatDelta(m.maxAbs) : "—"}</td>
+                      <td className={`py-0.5 text-right font-mono ${m.missing ? "text-amber-200" : ""}`}>
+                        {formatCount(m.missing)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="space-y-4 text-xs text-white/70">
+              <div>
+                <h3 className="mb-1 text-[11px] uppercase tracking-wide text-white/40">
+                  Biggest movers · {activeMetric?.label}
+                </h3>
+                {movers.length ? (
+                  <ul className="space-y-0.5">
+                    {movers.map((m) => (
+                      <li key={m.id}>
+                        <button
+                          type="button"
+                          className="grid w-full grid-cols-[1fr_auto_auto] gap-3 rounded-lg px-2 py-1 text-left transition hover:bg-white/5 hover:text-white"
+                          onClick={() => onSelectHex?.(m.after)}
+                        >
+                          <span>
+                            Hex {m.id} <span className="text-white/40">· {m.after.properties?.region}</span>
+                          </span>
+                          <span className="font-mono text-white/50">
+                            {formatValue(m.before.properties[activeMetric.key], digits ?? 3)} →{" "}
+                            {formatValue(m.after.properties[activeMetric.key], digits ?? 3)}
+                          </span>
+                          <span
+                            className={`w-16 text-right font-mono ${
+                              m.deltas[activeMetric.key] > 0 ? "text-sky-200" : "text-rose-200"
+                            }`}
+                          >
+                            {formatDelta(m.deltas[activeMetric.key])}
+                          </span>
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                ) : (
+                  <p className="text-white/50">No hex changed.</p>
+                )}
+              </div>
+              <HexList title="Added (after only)" features={diff.added} onSelect={onSelectHex} />
+              <HexList title="Dropped (before only)" features={diff.dropped} onSelect={onSelectHex} />
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+function Chip({ label, value, tone = "text-white" }) {
+  return (
+    <span className="rounded-full border border-white/10 bg-[#0c1421] px-3 py-1 text-white/50">
+      {label} <span className={`font-mono ${tone}`}>{value}</span>
+    </span>
+  );
+}
+
+function HexList({ title, features, onSelect }) {
+  if (!features.length) return null;
+  return (
+    <div>
+      <h3 className="mb-1 text-[11px] uppercase tracking-wide text-white/40">
+        {title} · {formatCount(features.length)}
+      </h3>
+      <div className="flex flex-wrap gap-1">
+        {features.slice(0, LIST_LIMIT).map((f) => (
+          <button
+            key={hexKey(f)}
+            type="button"
+            className="rounded-full border border-white/10 px-2 py-0.5 font-mono text-[11px] text-white/70 transition hover:border-neon/50 hover:text-white"
+            onClick={() => onSelect?.(f)}
+          >
+            {hexKey(f)}
+          </button>
+        ))}
+        {features.length > LIST_LIMIT && (
+          <span className="px-1 text-[11px] text-white/40">+{formatCount(features.length - LIST_LIMIT)} more</span>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,369 @@
+import { useEffect, useId, useMemo, useRef, useState } from "react";
+import * as d3 from "d3";
+import ForecastPanel from "@/components/ForecastPanel";
+import { INTERVALS, US48, aggregateSeries, loadEiaHourly } from "@/lib/eiaHourly";
+
+const FOCUS_HEIGHT = 260;
+const CONTEXT_HEIGHT = 64;
+const MARGIN = { top: 12, right: 16, bottom: 24, left: 56 };
+const SERIES_COLORS = [...d3.schemeTableau10, ...d3.schemeSet2];
+const formatMw = d3.format(",.0f");
+const formatTime = {
+  hour: d3.utcFormat("%b %-d, %H:00 UTC"),
+  day: d3.utcFormat("%b %-d"),
+  week: d3.utcFormat("Week of %b %-d"),
+};
+
+// EIA hourly demand per balancing region: focus chart with brush-to-zoom on a
+// context strip, region multi-select, and hourly/daily/weekly means, next to a
+// short-term forecast for the highlighted (or chosen) region.
+export default function DemandExplorer({ highlightRegion = null, onForecastPeaks, className = "" }) {
+  const containerRef = useRef(null);
+  const focusRef = useRef(null);
+  const contextRef = useRef(null);
+  const ruleRef = useRef(null);
+  const clipId = `demand-clip-${useId().replace(/[^\w-]/g, "")}`;
+  const [series, setSeries] = useState([]);
+  const [status, setStatus] = useState("loading");
+  const [error, setError] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [granularity, setGranularity] = useState("hour");
+  const [zoomDomain, setZoomDomain] = useState(null);
+  const [hoverTime, setHoverTime] = useState(null);
+  const [width, setWidth] = useState(720);
+  const [forecastRegion, setForecastRegion] = useState(null);
+  // While on, the forecast switches to the hovered or selected map region; picking
+  // a region in the forecast menu turns it off so the pick sticks
+  const [followMap, setFollowMap] = useState(true);
+
+  useEffect(() => {
+    let isMounted = true;
+    loadEiaHourly()
+      .then((data) => {
+        if (!isMounted) return;
+        setSeries(data);
+        setSelected(new Set(data.map((s) => s.respondent).filter((r) => r !== US48)));
+        setForecastRegion(data.find((s) => s.respondent !== US48)?.respondent ?? null);
+        setStatus("ready");
+      })
+      .catch((err) => {
+        if (!isMounted) return;
+        setError(err.message || "Failed to load EIA demand data.");
+        setStatus("error");
+      });
+    return () => {
+      isMounted = false;
+    };
+  }, []);
+
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return undefined;
+    const observer = new ResizeObserver(([entry]) => setWidth(Math.max(320, Math.round(entry.contentRect.width))));
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, []);
+
+  const color = useMemo(
+    () => d3.scaleOrdinal(series.map((s) => s.respondent), SERIES_COLORS),
+    [series],
+  );
+  const aggregated = useMemo(
+    () => series.map((s) => ({ ...s, points: aggregateSeries(s.points, granularity) })),
+    [series, granularity],
+  );
+  // The hovered region's series is drawn even when it isn't selected
+  const shown = useMemo(
+    () => aggregated.filter((s) => selected?.has(s.respondent) || s.respondent === highlightRegion),
+    [aggregated, selected, highlightRegion],
+  );
+  const fullExtent = useMemo(() => d3.extent(series.flatMap((s) => s.points), (p) => p.time), [series]);
+  const highlighted = shown.some((s) => s.respondent === highlightRegion) ? highlightRegion : null;
+  const forecastTarget =
+    followMap && series.some((s) => s.respondent === highlightRegion) ? highlightRegion : forecastRegion;
+
+  // Context strip and brush; brushing sets the focus domain, clearing resets it
+  useEffect(() => {
+    const el = contextRef.current;
+    if (!el) return;
+    d3.select(el).selectAll("*").remove();
+    if (!shown.length || !fullExtent[0]) return;
+    const innerWidth = width - MARGIN.left - MARGIN.right;
+    const innerHeight = CONTEXT_HEIGHT - 18;
+    const x = d3.scaleUtc().domain(fullExtent).range([0, innerWidth]);
+    const y = d3
+      .scaleLinear()
+      .domain([0, d3.max(shown, (s) => d3.max(s.points, (p) => p.value)) || 1])
+      .range([innerHeight, 0]);
+    const line = d3
+      .line()
+      .x((p) => x(p.time))
+      .y((p) => y(p.value));
+
+    const svg = d3
+      .select(el)
+      .attr("viewBox", `0 0 ${width} ${CONTEXT_HEIGHT}`)
+      .attr("width", "100%")
+      .attr("height", CONTEXT_HEIGHT);
+    const g = svg.append("g").attr("transform", `translate(${MARGIN.left},2)`);
+    g.append("g")
+      .selectAll("path")
+      .data(shown)
+      .join("path")
+      .attr("d", (s) => line(s.points))
+      .attr("fill", "none")
+      .attr("stroke", (s) => color(s.respondent))
+      .attr("stroke-width", 0.8)
+      .attr("opacity", 0.6);
+    g.append("g")
+      .attr("transform", `translate(0,${innerHeight})`)
+      .call(d3.axisBottom(x).ticks(Math.max(2, Math.floor(innerWidth / 110))).tickSizeOuter(0))
+      .call(styleAxis);
+
+    const brush = d3
+      .brushX()
+      .extent([
+        [0, 0],
+        [innerWidth, innerHeight],
+      ])
+      .on("end", (event) => {
+        if (!event.sourceEvent) return;
+        setZoomDomain(event.selection ? event.selection.map((px) => x.invert(px)) : null);
+      });
+    const brushG = g.append("g").call(brush);
+    brushG.selectAll(".selection").attr("fill", "#00ff80").attr("fill-opacity", 0.15).attr("stroke", "#00ff80");
+    if (zoomDomain) brushG.call(brush.move, zoomDomain.map((t) => x(t)));
+  }, [shown, color, fullExtent, width, zoomDomain]);
+
+  // Focus chart over the brushed window
+  useEffect(() => {
+    const el = focusRef.current;
+    if (!el) return;
+    d3.select(el).selectAll("*").remove();
+    if (!shown.length || !fullExtent[0]) return;
+    const innerWidth = width - MARGIN.left - MARGIN.right;
+    const innerHeight = FOCUS_HEIGHT - MARGIN.top - MARGIN.bottom;
+    const domain = zoomDomain ?? fullExtent;
+    const inWindow = (p) => p.time >= domain[0] && p.time <= domain[1];
+    const x = d3.scaleUtc().domain(domain).range([0, innerWidth]);
+    const y = d3
+      .scaleLinear()
+      // Coarse buckets can all fall outside a narrow window; keep the full scale then
+      .domain([
+        0,
+        d3.max(shown, (s) => d3.max(s.points.filter(inWindow), (p) => p.value)) ||
+          d3.max(shown, (s) => d3.max(s.points, (p) => p.value)) ||
+          1,
+      ])
+      .nice()
+      .range([innerHeight, 0]);
+    const line = d3
+      .line()
+      .x((p) => x(p.time))
+      .y((p) => y(p.value));
+
+    const svg = d3
+      .select(el)
+      .attr("viewBox", `0 0 ${width} ${FOCUS_HEIGHT}`)
+      .attr("width", "100%")
+      .attr("height", FOCUS_HEIGHT);
+    const g = svg.append("g").attr("transform", `translate(${MARGIN.left},${MARGIN.top})`);
+
+    g.append("g")
+      .call(d3.axisLeft(y).ticks(5).tickFormat(d3.format("~s")).tickSize(-innerWidth))
+      .call(styleAxis)
+      .call((axis) => axis.selectAll(".tick line").attr("stroke", "rgba(255,255,255,0.08)"))
+      .call((axis) => axis.select(".domain").remove());
+    g.append("g")
+      .attr("transform", `translate(0,${innerHeight})`)
+      .call(d3.axisBottom(x).ticks(Math.max(2, Math.floor(innerWidth / 110))).tickSizeOuter(0))
+      .call(styleAxis);
+    g.append("text")
+      .attr("x", -innerHeight / 2)
+      .attr("y", -MARGIN.left + 14)
+      .attr("transform", "rotate(-90)")
+      .attr("text-anchor", "middle")
+      .attr("fill", "rgba(255,255,255,0.5)")
+      .attr("font-size", 10)
+      .text("Average demand (MW)");
+
+    g.append("clipPath").attr("id", clipId).append("rect").attr("width", innerWidth).attr("height", innerHeight);
+    g.append("g")
+      .attr("clip-path", `url(#${clipId})`)
+      .selectAll("path")
+      .data(shown, (s) => s.respondent)
+      .join("path")
+      // Highlighted series last so it sits on top
+      .sort((a, b) => (a.respondent === highlighted) - (b.respondent === highlighted))
+      .attr("d", (s) => line(s.points))
+      .attr("fill", "none")
+      .attr("stroke", (s) => color(s.respondent))
+      .attr("stroke-width", (s) => (s.respondent === highlighted ? 2.6 : 1.4))
+      .attr("stroke-dasharray", (s) => (selected?.has(s.respondent) ? null : "4 3"))
+      .attr("opacity", (s) => (!highlighted || s.respondent === highlighted ? 0.95 : 0.2));
+
+    const rule = g
+      .append("line")
+      .attr("y1", 0)
+      .attr("y2", innerHeight)
+      .attr("stroke", "rgba(255,255,255,0.5)")
+      .attr("display", "none");
+    ruleRef.current = { rule, x };
+
+    // Snap the hover rule to the nearest bucket of the aggregated series
+    const times = Array.from(new Set(shown.flatMap((s) => s.points.map((p) => +p.time))))
+      .sort(d3.ascending)
+      .filter((t) => t >= domain[0] && t <= domain[1]);
+    g.append("rect")
+      .attr("width", innerWidth)
+      .attr("height", innerHeight)
+      .attr("fill", "transparent")
+      .on("pointermove", (event) => {
+        if (!times.length) return;
+        const t = +x.invert(d3.pointer(event)[0]);
+        const i = d3.bisectCenter(times, t);
+        setHoverTime(new Date(times[i]));
+      })
+      .on("pointerleave", () => setHoverTime(null));
+  }, [shown, color, fullExtent, width, zoomDomain, highlighted, selected, clipId]);
+
+  useEffect(() => {
+    const current = ruleRef.current;
+    if (!current) return;
+    if (!hoverTime) {
+      current.rule.attr("display", "none");
+      return;
+    }
+    const px = current.x(hoverTime);
+    current.rule.attr("display", null).attr("x1", px).attr("x2", px);
+  }, [hoverTime, shown, zoomDomain, width]);
+
+  const valueAt = (s) => {
+    if (!hoverTime) return null;
+    const point = s.points.find((p) => +p.time === +hoverTime);
+    return point ? point.value : null;
+  };
+
+  const toggle = (respondent) => {
+    setSelected((prev) => {
+      const next = new Set(prev);
+      if (next.has(respondent)) next.delete(respondent);
+      else next.add(respondent);
+      return next;
+    });
+  };
+
+  return (
+    <section className={`rounded-2xl border border-white/5 bg-white/5 p-4 backdrop-blur-md ${className}`}>
+      <div className="flex flex-wrap items-start justify-between gap-3">
+        <div>
+          <h2 className="text-lg font-semibold text-white">Hourly grid demand &amp; forecast</h2>
+          <p className="text-sm text-white/60">
+            EIA-930 demand by balancing region. Brush the strip below to zoom; hover a hex on the map to highlight its
+            region and forecast it.
+          </p>
+        </div>
+        <div className="flex flex-wrap items-center gap-2 text-xs">
+          <div className="flex rounded-xl border border-white/10 bg-[#0c1421] p-0.5" role="group" aria-label="Aggregation">
+            {Object.entries(INTERVALS).map(([key, meta]) => (
+              <button
+                key={key}
+                type="button"
+                className={`rounded-lg px-3 py-1.5 transition ${
+                  granularity === key ? "bg-neon/20 text-white" : "text-white/60 hover:text-white"
+                }`}
+                aria-pressed={granularity === key}
+                onClick={() => setGranularity(key)}
+              >
+                {meta.label}
+              </button>
+            ))}
+          </div>
+          <button
+            type="button"
+            className="rounded-xl border border-white/10 bg-[#0c1421] px-3 py-2 text-white/80 transition hover:border-neon/50 hover:text-white disabled:opacity-40"
+            onClick={() => setZoomDomain(null)}
+            disabled={!zoomDomain}
+          >
+            Reset zoom
+          </button>
+        </div>
+      </div>
+
+      <div className="mt-3 flex flex-wrap items-center gap-1.5 text-xs">
+        {series.map((s) => {
+          const isOn = selected?.has(s.respondent);
+          const value = valueAt(aggregated.find((a) => a.respondent === s.respondent) ?? s);
+          return (
+            <button
+              key={s.respondent}
+              type="button"
+              title={s.name}
+              className={`flex items-center gap-1.5 rounded-full border px-2.5 py-1 transition ${
+                isOn ? "border-white/20 bg-white/10 text-white" : "border-white/5 text-white/40 hover:text-white/70"
+              } ${s.respondent === highlighted ? "ring-1 ring-neon" : ""}`}
+              aria-pressed={isOn}
+              onClick={() => toggle(s.respondent)}
+            >
+              <span className="inline-block h-2 w-2 rounded-full" style={{ background: color(s.respondent) }} />
+              {s.respondent}
+              {value !== null && isOn && <span className="font-mono text-white/60">{formatMw(value)}</span>}
+            </button>
+          );
+        })}
+        {series.length > 0 && (
+          <>
+            <button
+              type="button"
+              className="ml-1 text-white/50 underline-offset-2 hover:text-white hover:underline"
+              onClick={() => setSelected(new Set(series.map((s) => s.respondent).filter((r) => r !== US48)))}
+            >
+              All regions
+            </button>
+            <button
+              type="button"
+              className="text-white/50 underline-offset-2 hover:text-white hover:underline"
+              onClick={() => setSelected(new Set())}
+            >
+              None
+            </button>
+          </>
+        )}
+      </div>
+
+      <div className="mt-3 grid gap-6 lg:grid-cols-[minmax(0,3fr)_minmax(0,2fr)]">
+        <div ref={containerRef} className="relative">
+          <div className="h-4 text-xs text-white/50">{hoverTime ? formatTime[granularity](hoverTime) : ""}</div>
+          <svg ref={focusRef} className="block" />
+          <svg ref={contextRef} className="mt-1 block" />
+          {status === "loading" && (
+            <div className="absolute inset-0 grid place-items-center text-sm text-white/60">Loading demand…</div>
+          )}
+          {status === "error" && (
+            <div className="absolute inset-0 grid place-items-center text-sm text-rose-200">{error}</div>
+          )}
+          {status === "ready" && !shown.length && (
+            <div className="absolute inset-0 grid place-items-center text-sm text-white/60">Select a region to plot.</div>
+          )}
+        </div>
+        <ForecastPanel
+          series={series}
+          region={forecastTarget}
+          onRegionChange={(region) => {
+            setForecastRegion(region);
+            setFollowMap(false);
+          }}
+          followMap={followMap}
+          onFollowMapChange={setFollowMap}
+          color={color(forecastTarget)}
+          onPeaksChange={onForecastPeaks}
+        />
+      </div>
+    </section>
+  );
+}
+
+function styleAxis(axis) {
+  axis.selectAll("text").attr("fill", "rgba(255,255,255,0.6)").attr("font-size", 10);
+  axis.selectAll("line,path").attr("stroke", "rgba(255,255,255,0.25)");
+}
@@ -0,0 +1,294 @@
+import { useEffect, useId, useMemo, useRef, useState } from "react";
+import * as d3 from "d3";
+import { US48 } from "@/lib/eiaHourly";
+import {
+  DEFAULT_HORIZON,
+  DEFAULT_MODEL,
+  INTERVALS,
+  MAX_HORIZON,
+  MIN_HORIZON,
+  MODELS,
+  SEASON,
+  backtestAll,
+  forecastSeries,
+} from "@/lib/forecast";
+
+const HEIGHT = 260;
+const MARGIN = { top: 12, right: 12, bottom: 24, left: 48 };
+// Hours of history drawn before the forecast starts
+const HISTORY_HOURS = 72;
+const formatMw = d3.format(",.0f");
+const formatPeakTime = d3.utcFormat("%b %-d, %H:00 UTC");
+
+// Forecast for one region with 80/95% bands and per-model backtest MAPE. When
+// "use in profitability" is on, every region's forecast peak is reported via
+// onPeaksChange so the map can score load headroom against it.
+export default function ForecastPanel({
+  series,
+  region,
+  onRegionChange,
+  followMap,
+  onFollowMapChange,
+  color,
+  onPeaksChange,
+}) {
+  const containerRef = useRef(null);
+  const chartRef = useRef(null);
+  const clipId = `forecast-clip-${useId().replace(/[^\w-]/g, "")}`;
+  const [model, setModel] = useState(DEFAULT_MODEL);
+  const [horizon, setHorizon] = useState(DEFAULT_HORIZON);
+  const [usePeaks, setUsePeaks] = useState(false);
+  const [width, setWidth] = useState(420);
+
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return undefined;
+    const observer = new ResizeObserver(([entry]) => setWidth(Math.max(280, Math.round(entry.contentRect.width))));
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, []);
+
+  const target = series.find((s) => s.respondent === region) ?? null;
+  const forecast = useMemo(
+    () => (target ? forecastSeries(target.points, model, horizon) : null),
+    [target, model, horizon],
+  );
+  const scores = useMemo(() => (target ? backtestAll(target.points, horizon) : []), [target, horizon]);
+
+  // Peaks for every region, only computed while they feed the score
+  const peaks = useMemo(() => {
+    if (!usePeaks) return null;
+    return Object.fromEntries(
+      series
+        .filter((s) => s.respondent !== US48)
+        .map((s) => [s.respondent, forecastSeries(s.points, model, horizon).peak.value]),
+    );
+  }, [usePeaks, series, model, horizon]);
+
+  useEffect(() => {
+    onPeaksChange?.(peaks);
+  }, [peaks, onPeaksChange]);
+
+  useEffect(() => {
+    const el = chartRef.current;
+    if (!el) return;
+    d3.select(el).selectAll("*").remove();
+    if (!target || !forecast) return;
+
+    const history = target.points.slice(-HISTORY_HOURS);
+    const innerWidth = width - MARGIN.left - MARGIN.right;
+    const innerHeight = HEIGHT - MARGIN.top - MARGIN.bottom;
+    const x = d3
+      .scaleUtc()
+      .domain([history[0].time, forecast.points[forecast.points.length - 1].time])
+      .range([0, innerWidth]);
+    const y = d3
+      .scaleLinear()
+      .domain([
+        Math.min(d3.min(history, (p) => p.value), d3.min(forecast.points, (p) => p.lower95)),
+        Math.max(d3.max(history, (p) => p.value), d3.max(forecast.points, (p) => p.upper95)),
+      ])
+      .nice()
+      .range([innerHeight, 0]);
+
+    const svg = d3
+      .select(el)
+      .attr("viewBox", `0 0 ${width} ${HEIGHT}`)
+      .attr("width", "100%")
+      .attr("height", HEIGHT);
+    const g = svg.append("g").attr("transform", `translate(${MARGIN.left},${MARGIN.top})`);
+    g.append("clipPath").attr("id", clipId).append("rect").attr("width", innerWidth).attr("height", innerHeight);
+
+    g.append("g")
+      .call(d3.axisLeft(y).ticks(5).tickFormat(d3.format("~s")).tickSize(-innerWidth))
+      .call(styleAxis)
+      .call((axis) => axis.selectAll(".tick line").attr("stroke", "rgba(255,255,255,0.08)"))
+      .call((axis) => axis.select(".domain").remove());
+    g.append("g")
+      .attr("transform", `translate(0,${innerHeight})`)
+      .call(d3.axisBottom(x).ticks(Math.max(2, Math.floor(innerWidth / 90))).tickSizeOuter(0))
+      .call(styleAxis);
+
+    const plot = g.append("g").attr("clip-path", `url(#${clipId})`);
+    // Widest band first so the 80% band sits on top
+    [...INTERVALS].reverse().forEach(({ level }, i) => {
+      plot
+        .append("path")
+        .datum(forecast.points)
+        .attr("fill", color)
+        .attr("opacity", i === 0 ? 0.15 : 0.3)
+        .attr(
+          "d",
+          d3
+            .area()
+            .x((p) => x(p.time))
+            .y0((p) => y(p[`lower${level}`]))
+            .y1((p) => y(p[`upper${level}`])),
+        );
+    });
+    plot
+      .append("path")
+      .datum(history)
+      .attr("fill", "none")
+      .attr("stroke", "rgba(255,255,255,0.7)")
+      .attr("stroke-width", 1.2)
+      .attr(
+        "d",
+        d3
+          .line()
+          .x((p) => x(p.time))
+          .y((p) => y(p.value)),
+      );
+    plot
+      .append("path")
+      .datum([{ time: history[history.length - 1].time, mean: history[history.length - 1].value }, ...forecast.points])
+      .attr("fill", "none")
+      .attr("stroke", color)
+      .attr("stroke-width", 1.8)
+      .attr("stroke-dasharray", "5 3")
+      .attr(
+        "d",
+        d3
+          .line()
+          .x((p) => x(p.time))
+          .y((p) => y(p.mean)),
+      );
+
+    const now = x(history[history.length - 1].time);
+    g.append("line")
+      .attr("x1", now)
+      .attr("x2", now)
+      .attr("y1", 0)
+      .attr("y2", innerHeight)
+      .attr("stroke", "rgba(255,255,255,0.3)")
+      .attr("stroke-dasharray", "2 3");
+
+    const peak = forecast.peak;
+    g.append("circle")
+      .attr("cx", x(peak.time))
+      .attr("cy", y(peak.value))
+      .attr("r", 3.5)
+      .attr("fill", "#00ff80")
+      .attr("stroke", "#0c1421");
+  }, [target, forecast, width, color, clipId]);
+
+  const bestMape = d3.min(scores, (s) => s.mape);
+
+  return (
+    <div className="flex flex-col gap-3">
+      <div className="flex flex-wrap items-center gap-2 text-xs">
+        <select
+          className="rounded-xl border border-white/10 bg-[#0c1421] px-3 py-2 text-white"
+          value={region ?? ""}
+          onChange={(e) => onRegionChange(e.target.value)}
+          aria-label="Forecast region"
+        >
+          {series.map((s) => (
+            <option key={s.respondent} value={s.respondent}>
+              {s.respondent} · {s.name}
+            </option>
+          ))}
+        </select>
+        <label className="flex items-center gap-1.5 text-white/60">
+          <input
+            type="checkbox"
+            checked={followMap}
+            onChange={(e) => onFollowMapChange(e.target.checked)}
+            className="accent-emerald-400"
+          />
+          Follow map
+        </label>
+        <select
+          className="rounded-xl border border-white/10 bg-[#0c1421] px-3 py-2 text-white"
+          value={model}
+          onChange={(e) => setModel(e.target.value)}
+          aria-label="Forecast model"
+        >
+          {Object.entries(MODELS).map(([key, meta]) => (
+            <option key={key} value={key}>
+              {meta.label}
+            </option>
+          ))}
+        </select>
+        <label className="flex min-w-[160px] flex-1 items-center gap-2 text-white/60">
+          <input
+            type="range"
+            min={MIN_HORIZON}
+            max={MAX_HORIZON}
+            step={SEASON}
+            value={horizon}
+            onChange={(e) => setHorizon(Number(e.target.value))}
+            className="flex-1 accent-emerald-400"
+          />
+          <span className="w-10 text-right font-mono text-white">{horizon}h</span>
+        </label>
+      </div>
+
+      <div ref={containerRef}>
+        <div className="flex h-4 items-baseline justify-end text-xs text-white/50">
+          {forecast && (
+            <span>
+              Peak <span className="font-mono text-white">{formatMw(forecast.peak.value)} MW</span> at{" "}
+              {formatPeakTime(forecast.peak.time)}
+            </span>
+          )}
+        </div>
+        <svg ref={chartRef} className="block" />
+        <div className="flex gap-3 text-[11px] text-white/50">
+          <span className="flex items-center gap-1">
+            <span className="inline-block h-2 w-3 rounded-sm" style={{ background: color, opacity: 0.45 }} />
+            80% / 95% intervals
+          </span>
+          <span className="flex items-center gap-1">
+            <span className="inline-block h-2 w-2 rounded-full bg-neon" />
+            Forecast peak
+          </span>
+        </div>
+      </div>
+
+      <table className="w-full text-xs text-white/70">
+        <thead>
+          <tr className="text-[11px] uppercase tracking-wide text-white/40">
+            <th className="py-1 text-left font-normal">Model</th>
+            <th className="py-1 text-right font-normal">Backtest MAPE ({horizon}h)</th>
+          </tr>
+        </thead>
+        <tbody>
+          {scores.map((s) => (
+            <tr
+              key={s.model}
+              className={`cursor-pointer transition hover:text-white ${s.model === model ? "text-emerald-200" : ""}`}
+              onClick={() => setModel(s.model)}
+            >
+              <td className="py-0.5">{s.label}</td>
+              <td className="py-0.5 text-right font-mono">
+                {Number.isFinite(s.mape) ? `${s.mape.toFixed(1)}%` : "—"}
+                {s.mape === bestMape && <span className="ml-1 text-neon">★</span>}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <label className="flex items-start gap-2 text-xs text-white/70">
+        <input
+          type="checkbox"
+          checked={usePeaks}
+          onChange={(e) => setUsePeaks(e.target.checked)}
+          className="mt-0.5 accent-emerald-400"
+        />
+        <span>
+          Use forecast peak for load headroom in profitability
+          <span className="block text-white/40">
+            Replaces n_load with each region&apos;s {horizon}h forecast peak, normalized across regions.
+          </span>
+        </span>
+      </label>
+    </div>
+  );
+}
+
+function styleAxis(axis) {
+  axis.selectAll("text").attr("fill", "rgba(255,255,255,0.6)").attr("font-size", 10);
+  axis.selectAll("line,path").attr("stroke", "rgba(255,255,255,0.25)");
+}
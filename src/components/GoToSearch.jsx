@@ -0,0 +1,156 @@
+import { useEffect, useMemo, useState } from "react";
+import { loadGazetteer, searchPlaces } from "@/lib/gazetteer";
+import { parseGoToQuery } from "@/lib/hexSearch";
+
+const SUGGESTION_COUNT = 8;
+
+// Go-to box for the score map: a hex id, "lat, lon", a region, or a place name
+// from the bundled gazetteer with typo-tolerant suggestions. `onGo(text)` and
+// `onPlace(place)` move the map and return an error message, or null on success;
+// `placeSummary` describes the hex under the chosen place.
+export default function GoToSearch({ basePath, onGo, onPlace, placeSummary, onClearPlace, disabled }) {
+  const [text, setText] = useState("");
+  const [message, setMessage] = useState(null);
+  const [places, setPlaces] = useState(null);
+  const [placesError, setPlacesError] = useState(null);
+  const [open, setOpen] = useState(false);
+  const [active, setActive] = useState(-1);
+  const [wantPlaces, setWantPlaces] = useState(false);
+
+  // The gazetteer is only fetched once someone starts searching
+  useEffect(() => {
+    if (!wantPlaces || places) return;
+    let isMounted = true;
+    loadGazetteer(basePath)
+      .then((loaded) => isMounted && setPlaces(loaded))
+      .catch((err) => isMounted && setPlacesError(err.message || "Place names unavailable."));
+    return () => {
+      isMounted = false;
+    };
+  }, [wantPlaces, places, basePath]);
+
+  // Hex ids and coordinates aren't place names, so they get no suggestions
+  const suggestions = useMemo(() => {
+    const kind = parseGoToQuery(text)?.kind;
+    if (!places || kind === "hex" || kind === "point") return [];
+    return searchPlaces(places, text, SUGGESTION_COUNT);
+  }, [places, text]);
+  const listOpen = open && suggestions.length > 0;
+
+  const choose = (place) => {
+    setText(place.label);
+    setOpen(false);
+    setActive(-1);
+    setMessage(onPlace(place));
+  };
+
+  // An explicitly highlighted place wins; otherwise try the text as a hex, point or
+  // region and fall back to the best place match
+  const submit = (event) => {
+    event.preventDefault();
+    if (listOpen && active >= 0) {
+      choose(suggestions[active]);
+      return;
+    }
+    const query = parseGoToQuery(text);
+    if (query?.kind === "invalid" && suggestions.length) {
+      choose(suggestions[0]);
+      return;
+    }
+    setOpen(false);
+    setMessage(onGo(text));
+  };
+
+  const onKeyDown = (event) => {
+    if (event.key === "ArrowDown" && suggestions.length) {
+      event.preventDefault();
+      setOpen(true);
+      setActive((i) => (i + 1) % suggestions.length);
+    } else if (event.key === "ArrowUp" && suggestions.length) {
+      event.preventDefault();
+      setOpen(true);
+      setActive((i) => (i <= 0 ? suggestions.length - 1 : i - 1));
+    } else if (event.key === "Escape") {
+      setOpen(false);
+      setActive(-1);
+    }
+  };
+
+  const note = message ?? (!listOpen ? placeSummary : null);
+  return (
+    <form className="relative shrink-0" role="search" onSubmit={submit}>
+      <label htmlFor="go-to-search" className="sr-only">
+        Go to a place, hex id, coordinates or region
+      </label>
+      <input
+        id="go-to-search"
+        type="search"
+        role="combobox"
+        autoComplete="off"
+        value={text}
+        onChange={(e) => {
+          setText(e.target.value);
+          setMessage(null);
+          setOpen(true);
+          setActive(-1);
+          setWantPlaces(true);
+          onClearPlace?.();
+        }}
+        onFocus={() => setWantPlaces(true)}
+        onBlur={() => setOpen(false)}
+        onKeyDown={onKeyDown}
+        placeholder="City, hex id, lat, lon or region"
+        disabled={disabled}
+        aria-expanded={listOpen}
+        aria-controls="go-to-search-options"
+        aria-autocomplete="list"
+        aria-activedescendant={listOpen && active >= 0 ? `go-to-search-option-${active}` : undefined}
+        aria-invalid={Boolean(message)}
+        aria-describedby={note ? "go-to-search-message" : undefined}
+        className="w-64 rounded-xl border border-white/10 bg-[#0c1421] px-4 py-3 text-sm text-white placeholder:text-white/40 focus:border-neon/50 focus:outline-none disabled:opacity-40"
+      />
+      {listOpen && (
+        <ul
+          id="go-to-search-options"
+          role="listbox"
+          className="absolute left-0 top-full z-30 mt-1 w-64 overflow-hidden rounded-xl border border-white/10 bg-[#0c1421] py-1 text-sm shadow-lg"
+        >
+          {suggestions.map((place, i) => (
+            <li
+              key={place.label}
+              id={`go-to-search-option-${i}`}
+              role="option"
+              aria-selected={i === active}
+              className={`flex cursor-pointer justify-between px-3 py-1.5 ${
+                i === active ? "bg-white/10 text-white" : "text-white/70"
+              }`}
+              // Keeps focus in the input so the blur doesn't close the list first
+              onMouseDown={(e) => e.preventDefault()}
+              onMouseEnter={() => setActive(i)}
+              onClick={() => choose(place)}
+            >
+              <span>{place.name}</span>
+              <span className="text-white/40">{place.state}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+      {note && (
+        <p
+          id="go-to-search-message"
+          role={message ? "alert" : "status"}
+          className={`absolute left-0 top-full z-30 mt-1 w-72 rounded-xl border bg-[#0c1421] px-3 py-2 text-xs shadow-lg ${
+            message ? "border-rose-400/30 text-rose-100" : "border-white/10 text-white/70"
+          }`}
+        >
+          {note}
+        </p>
+      )}
+      {placesError && open && !note && (
+        <p className="absolute left-0 top-full z-30 mt-1 w-72 rounded-xl border border-white/10 bg-[#0c1421] px-3 py-2 text-xs text-white/50">
+          {placesError} Hex ids, coordinates and regions still work.
+        </p>
+      )}
+    </form>
+  );
+}
@@ -0,0 +1,79 @@
+import { DEFAULT_WEIGHTS, WEIGHT_GROUPS, isDefaultWeights } from "@/lib/gridscore";
+
+const MICRO_WEIGHTS = new Set(["temp", "elev"]);
+
+export default function GridScoreWeightsPanel({ weights, onChange }) {
+  const splitPct = Math.round(weights.sustainability * 100);
+
+  const setWeight = (key, value) => onChange({ ...weights, [key]: value });
+  const setSplit = (pct) =>
+    onChange({ ...weights, sustainability: pct / 100, profitability: (100 - pct) / 100 });
+
+  return (
+    <div className="rounded-2xl border border-white/5 bg-white/5 p-4 backdrop-blur-md">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <h2 className="text-sm uppercase tracking-wide text-white/60">GridScore weights</h2>
+          <p className="text-xs text-white/50">
+            Scores for every hex are recomputed in the browser from its normalized factors.
+          </p>
+        </div>
+        <button
+          type="button"
+          className="rounded-full border border-white/10 px-4 py-1.5 text-xs text-white/70 transition hover:border-neon/50 hover:text-white disabled:opacity-40"
+          disabled={isDefaultWeights(weights)}
+          onClick={() => onChange(DEFAULT_WEIGHTS)}
+        >
+          Reset to 60/40
+        </button>
+      </div>
+
+      <div className="mt-4">
+        <div className="flex items-center justify-between text-xs text-white/70">
+          <span>Sustainability {splitPct}%</span>
+          <span>Profitability {100 - splitPct}%</span>
+        </div>
+        <input
+          type="range"
+          min={0}
+          max={100}
+          step={5}
+          value={splitPct}
+          onChange={(e) => setSplit(Number(e.target.value))}
+          className="mt-1 w-full accent-emerald-400"
+          aria-label="Sustainability share of GridScore"
+        />
+      </div>
+
+      <div className="mt-4 grid gap-4 sm:grid-cols-2">
+        {WEIGHT_GROUPS.map((group) => (
+          <div key={group.id} className="space-y-2">
+            <div className="text-xs uppercase tracking-wide text-white/50">{group.label}</div>
+            {group.weights.map(({ key, label, factor }) => {
+              const micro = MICRO_WEIGHTS.has(key);
+              return (
+                <label key={key} className="block text-xs text-white/70">
+                  <span className="flex items-center justify-between">
+                    <span>
+                      {label} <span className="font-mono text-white/40">{factor}</span>
+                    </span>
+                    <span className="font-mono text-white">{weights[key].toFixed(2)}</span>
+                  </span>
+                  <input
+                    type="range"
+                    min={0}
+                    max={micro ? 0.5 : 1}
+                    step={micro ? 0.01 : 0.05}
+                    value={weights[key]}
+                    onChange={(e) => setWeight(key, Number(e.target.value))}
+                    className="w-full accent-emerald-400"
+                  />
+                </label>
+              );
+            })}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
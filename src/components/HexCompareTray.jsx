@@ -0,0 +1,189 @@
+import { useEffect, useRef } from "react";
+import * as d3 from "d3";
+
+// Radar axes: composite scores first, then the normalized factors behind them
+const RADAR_AXES = [
+  { key: "profitability", label: "Profitability" },
+  { key: "sustainability", label: "Sustainability" },
+  { key: "temp_cool_score", label: "Cooling" },
+  { key: "elev_norm", label: "Elevation" },
+  { key: "n_price", label: "Price" },
+  { key: "n_load", label: "Load" },
+  { key: "n_volatility", label: "Volatility" },
+  { key: "n_renew", label: "Renewables" },
+  { key: "n_temp", label: "Region temp" },
+];
+
+// Scores and normalized factors are "higher is better", so the leader is highlighted
+const TABLE_ROWS = [
+  { key: "dc_score", label: "GridScore", digits: 3, ranked: true },
+  ...RADAR_AXES.map((a) => ({ key: a.key, label: a.label, digits: 3, ranked: true })),
+  { key: "local_temp_c", label: "Local temp (°C)", digits: 1 },
+  { key: "elevation_m", label: "Elevation (m)", digits: 0 },
+  { key: "raw_price", label: "Price ($/MWh)", digits: 2 },
+  { key: "raw_renew", label: "Carbon-free (%)", digits: 1 },
+];
+
+export default function HexCompareTray({ items, maxItems, onRemove, onClear, onFocus }) {
+  const chartRef = useRef(null);
+
+  useEffect(() => {
+    const container = chartRef.current;
+    if (!container) return;
+
+    const size = 300;
+    const margin = 48;
+    const radius = size / 2 - margin;
+    const maxValue = Math.max(
+      1,
+      d3.max(items, (item) => d3.max(RADAR_AXES, (a) => Number(item.feature.properties?.[a.key]) || 0)) ?? 1,
+    );
+    const r = d3.scaleLinear().domain([0, maxValue]).range([0, radius]);
+    const angle = (i) => (i / RADAR_AXES.length) * 2 * Math.PI;
+
+    const svg = d3
+      .select(container)
+      .html("") // clear on re-render
+      .append("svg")
+      .attr("viewBox", `0 0 ${size} ${size}`)
+      .attr("preserveAspectRatio", "xMidYMid meet")
+      .style("width", "100%")
+      .style("height", "100%")
+      .append("g")
+      .attr("transform", `translate(${size / 2},${size / 2})`);
+
+    // Concentric grid rings
+    svg
+      .selectAll("circle.ring")
+      .data(r.ticks(4).filter((t) => t > 0))
+      .join("circle")
+      .attr("class", "ring")
+      .attr("r", (d) => r(d))
+      .attr("fill", "none")
+      .attr("stroke", "rgba(255,255,255,0.12)");
+
+    const axes = svg
+      .selectAll("g.axis")
+      .data(RADAR_AXES)
+      .join("g")
+      .attr("class", "axis");
+
+    axes
+      .append("line")
+      .attr("x2", (d, i) => Math.sin(angle(i)) * radius)
+      .attr("y2", (d, i) => -Math.cos(angle(i)) * radius)
+      .attr("stroke", "rgba(255,255,255,0.2)");
+
+    axes
+      .append("text")
+      .attr("x", (d, i) => Math.sin(angle(i)) * (radius + 14))
+      .attr("y", (d, i) => -Math.cos(angle(i)) * (radius + 14))
+      .attr("dy", "0.35em")
+      .attr("text-anchor", (d, i) => {
+        const s = Math.sin(angle(i));
+        if (Math.abs(s) < 0.1) return "middle";
+        return s > 0 ? "start" : "end";
+      })
+      .attr("fill", "#e5e5e5")
+      .attr("font-size", 9)
+      .text((d) => d.label);
+
+    const line = d3
+      .lineRadial()
+      .angle((d, i) => angle(i))
+      .radius((d) => r(d))
+      .curve(d3.curveLinearClosed);
+
+    svg
+      .selectAll("path.shape")
+      .data(items)
+      .join("path")
+      .attr("class", "shape")
+      .attr("d", (item) => line(RADAR_AXES.map((a) => Number(item.feature.properties?.[a.key]) || 0)))
+      .attr("fill", (item) => item.color)
+      .attr("fill-opacity", 0.12)
+      .attr("stroke", (item) => item.color)
+      .attr("stroke-width", 2);
+  }, [items]);
+
+  if (!items.length) return null;
+
+  return (
+    <section className="rounded-2xl border border-white/5 bg-white/5 p-4 backdrop-blur-md">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <h2 className="text-sm uppercase tracking-wide text-white/60">
+            Compare hexes ({items.length}/{maxItems})
+          </h2>
+          <p className="text-xs text-white/50">Shift-click cells on the map to add or remove them.</p>
+        </div>
+        <button
+          type="button"
+          className="rounded-full border border-white/10 px-4 py-1.5 text-xs text-white/70 transition hover:border-neon/50 hover:text-white"
+          onClick={onClear}
+        >
+          Clear all
+        </button>
+      </div>
+
+      <div className="mt-4 grid gap-6 md:grid-cols-[300px_1fr]">
+        <div ref={chartRef} className="aspect-square w-full max-w-[300px]" />
+
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm text-white/70">
+            <thead>
+              <tr>
+                <th className="py-1 text-left font-normal text-white/50">Metric</th>
+                {items.map((item) => (
+                  <th key={item.id} className="py-1 text-right font-normal">
+                    <span className="inline-flex items-center gap-2">
+                      <button
+                        type="button"
+                        className="flex items-center gap-1.5 text-white hover:text-neon"
+                        onClick={() => onFocus(item)}
+                        title="Fly to this hex"
+                      >
+                        <span className="inline-block h-2.5 w-2.5 rounded-full" style={{ background: item.color }} />
+                        #{item.feature.properties?.hex_id ?? item.id}
+                        <span className="text-white/50">{item.feature.properties?.region}</span>
+                      </button>
+                      <button
+                        type="button"
+                        className="text-white/40 hover:text-rose-300"
+                        onClick={() => onRemove(item.id)}
+                        aria-label={`Remove hex ${item.id} from comparison`}
+                      >
+                        ✕
+                      </button>
+                    </span>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {TABLE_ROWS.map((row) => {
+                const values = items.map((item) => Number(item.feature.properties?.[row.key]));
+                const best = row.ranked && items.length > 1 ? d3.max(values.filter(Number.isFinite)) : null;
+                return (
+                  <tr key={row.key} className="border-t border-white/5">
+                    <td className="py-1">{row.label}</td>
+                    {items.map((item, i) => (
+                      <td
+                        key={item.id}
+                        className={`py-1 text-right font-mono ${
+                          values[i] === best ? "text-emerald-200" : "text-white"
+                        }`}
+                      >
+                        {Number.isFinite(values[i]) ? d3.format(`,.${row.digits}f`)(values[i]) : "—"}
+                      </td>
+                    ))}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </section>
+  );
+}
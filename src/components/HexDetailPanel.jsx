@@ -0,0 +1,229 @@
+import { useEffect, useRef } from "react";
+import * as d3 from "d3";
+import { scoreBreakdown } from "@/lib/gridscore";
+
+const RAW_FIELDS = [
+  { key: "raw_price", label: "Price", unit: "$/MWh", digits: 2 },
+  { key: "raw_load", label: "Load", unit: "MW", digits: 0 },
+  { key: "raw_peak", label: "Peak load", unit: "MW", digits: 0 },
+  // Only set while the demand forecast feeds profitability
+  { key: "forecast_peak", label: "Forecast peak", unit: "MW", digits: 0, optional: true },
+  { key: "raw_volatility", label: "Volatility (24h σ)", unit: "MW", digits: 0 },
+  { key: "raw_renew", label: "Carbon-free share", unit: "%", digits: 1 },
+  { key: "raw_temp", label: "Regional temp", unit: "°C", digits: 1 },
+  { key: "local_temp_c", label: "Local temp", unit: "°C", digits: 1 },
+  { key: "elevation_m", label: "Elevation", unit: "m", digits: 0 },
+];
+
+const NORMALIZED_FIELDS = [
+  { key: "n_price", label: "n_price" },
+  { key: "n_load", label: "n_load" },
+  { key: "n_volatility", label: "n_volatility" },
+  { key: "n_renew", label: "n_renew" },
+  { key: "n_temp", label: "n_temp" },
+  { key: "temp_cool_score", label: "temp_cool_score" },
+  { key: "elev_norm", label: "elev_norm" },
+];
+
+const SCORE_FIELDS = [
+  { key: "sustainability", label: "Sustainability" },
+  { key: "profitability", label: "Profitability" },
+  { key: "dc_score", label: "GridScore" },
+  { key: "dc_score_smooth", label: "GridScore (smoothed)" },
+];
+
+const GROUP_COLORS = {
+  sustainability: "#34d399", // emerald-400
+  profitability: "#38bdf8", // sky-400
+};
+
+export default function HexDetailPanel({ feature, weights, onClose }) {
+  const chartRef = useRef(null);
+  const props = feature?.properties ?? {};
+  const splitLabel = `${Math.round(weights.sustainability * 100)}/${Math.round(weights.profitability * 100)}`;
+
+  // Waterfall: each factor's weighted contribution stacked up to dc_score
+  useEffect(() => {
+    const container = chartRef.current;
+    if (!container || !feature) return;
+
+    const steps = scoreBreakdown(feature.properties ?? {}, weights);
+    let running = 0;
+    const bars = steps.map((s) => {
+      const start = running;
+      running += s.contribution;
+      return { ...s, start, end: running };
+    });
+    bars.push({ key: "total", label: "GridScore", group: "total", start: 0, end: running, contribution: running });
+
+    const margin = { top: 8, right: 48, bottom: 8, left: 132 };
+    const rowHeight = 20;
+    const width = 300 - margin.left - margin.right;
+    const height = bars.length * rowHeight;
+
+    const x = d3
+      .scaleLinear()
+      .domain([0, Math.max(1e-6, d3.max(bars, (d) => Math.max(d.start, d.end)))])
+      .nice()
+      .range([0, width]);
+    const y = d3
+      .scaleBand()
+      .domain(bars.map((d) => d.key))
+      .range([0, height])
+      .padding(0.25);
+
+    const svg = d3
+      .select(container)
+      .html("") // clear on re-render
+      .append("svg")
+      .attr("viewBox", `0 0 ${width + margin.left + margin.right} ${height + margin.top + margin.bottom}`)
+      .attr("preserveAspectRatio", "xMidYMid meet")
+      .style("width", "100%")
+      .style("height", "auto")
+      .append("g")
+      .attr("transform", `translate(${margin.left},${margin.top})`);
+
+    svg
+      .selectAll("text.label")
+      .data(bars)
+      .join("text")
+      .attr("class", "label")
+      .attr("x", -8)
+      .attr("y", (d) => y(d.key) + y.bandwidth() / 2)
+      .attr("dy", "0.35em")
+      .attr("text-anchor", "end")
+      .attr("fill", (d) => (d.group === "total" ? "#ffffff" : "#e5e5e5"))
+      .attr("font-size", 10)
+      .attr("font-weight", (d) => (d.group === "total" ? 600 : 400))
+      .text((d) => d.label);
+
+    svg
+      .selectAll("rect")
+      .data(bars)
+      .join("rect")
+      .attr("x", (d) => x(Math.min(d.start, d.end)))
+      .attr("y", (d) => y(d.key))
+      .attr("width", (d) => Math.max(1, Math.abs(x(d.end) - x(d.start))))
+      .attr("height", y.bandwidth())
+      .attr("rx", 2)
+      .attr("fill", (d) => GROUP_COLORS[d.group] ?? "#00ff80");
+
+    // Connectors from each bar's end to the next bar's start
+    svg
+      .selectAll("line.step")
+      .data(bars.slice(0, -1))
+      .join("line")
+      .attr("class", "step")
+      .attr("x1", (d) => x(d.end))
+      .attr("x2", (d) => x(d.end))
+      .attr("y1", (d) => y(d.key) + y.bandwidth())
+      .attr("y2", (d, i) => y(bars[i + 1].key))
+      .attr("stroke", "rgba(255,255,255,0.35)")
+      .attr("stroke-dasharray", "2,2");
+
+    svg
+      .selectAll("text.value")
+      .data(bars)
+      .join("text")
+      .attr("class", "value")
+      .attr("x", (d) => x(Math.max(d.start, d.end)) + 4)
+      .attr("y", (d) => y(d.key) + y.bandwidth() / 2)
+      .attr("dy", "0.35em")
+      .attr("fill", "rgba(255,255,255,0.7)")
+      .attr("font-size", 9)
+      .attr("font-family", "monospace")
+      .text((d) => `${d.group === "total" ? "" : "+"}${d3.format(".3f")(d.contribution)}`);
+  }, [feature, weights]);
+
+  if (!feature) return null;
+
+  return (
+    <aside className="absolute right-3 top-3 bottom-3 z-20 flex w-[320px] flex-col overflow-hidden rounded-2xl border border-white/10 bg-[#0c1622]/95 text-sm shadow-2xl backdrop-blur-md">
+      <div className="flex items-start justify-between gap-3 border-b border-white/10 p-4">
+        <div>
+          <div className="text-xs uppercase tracking-wide text-white/60">
+            Hexagon {props.hex_id ?? feature.id ?? "—"}
+            {props.region ? ` · ${props.region}` : ""}
+          </div>
+          <div className="mt-1 flex items-baseline gap-2">
+            <span className="text-emerald-200">GridScore</span>
+            <span className="font-mono text-2xl text-white">{formatNumber(props.dc_score, 3)}</span>
+          </div>
+        </div>
+        <button
+          type="button"
+          className="rounded-full border border-white/10 px-2.5 py-1 text-xs text-white/70 transition hover:border-neon/50 hover:text-white"
+          onClick={onClose}
+          aria-label="Close hex details"
+        >
+          ✕
+        </button>
+      </div>
+
+      <div className="flex-1 space-y-4 overflow-y-auto p-4">
+        <section>
+          <h3 className="mb-1 text-xs uppercase tracking-wide text-white/50">
+            Score breakdown ({splitLabel} weighting)
+          </h3>
+          <div ref={chartRef} className="w-full" />
+          <div className="mt-1 flex gap-3 text-[11px] text-white/60">
+            <span className="flex items-center gap-1">
+              <span className="inline-block h-2 w-2 rounded-sm" style={{ background: GROUP_COLORS.sustainability }} />
+              Sustainability × {weights.sustainability.toFixed(2)}
+            </span>
+            <span className="flex items-center gap-1">
+              <span className="inline-block h-2 w-2 rounded-sm" style={{ background: GROUP_COLORS.profitability }} />
+              Profitability × {weights.profitability.toFixed(2)}
+            </span>
+          </div>
+        </section>
+
+        <DetailTable title="Scores" rows={SCORE_FIELDS.map((f) => [f.label, formatNumber(props[f.key], 3)])} />
+        <DetailTable
+          title="Raw inputs"
+          rows={RAW_FIELDS.filter((f) => !f.optional || props[f.key] != null).map((f) => [
+            f.label,
+            `${formatNumber(props[f.key], f.digits)} ${f.unit}`,
+          ])}
+        />
+        <DetailTable
+          title="Normalized factors (0 = worst, 1 = best)"
+          rows={NORMALIZED_FIELDS.map((f) => [f.label, formatNumber(props[f.key], 3)])}
+          mono
+        />
+        <DetailTable
+          title="Location"
+          rows={[
+            ["Region centroid", `${formatNumber(props.lat, 2)}, ${formatNumber(props.lon, 2)}`],
+            [
+              "Distance to region",
+              Number.isFinite(props.dist_to_region) ? `${Math.round(props.dist_to_region / 1000)} km` : "—",
+            ],
+          ]}
+        />
+      </div>
+    </aside>
+  );
+}
+
+function DetailTable({ title, rows, mono = false }) {
+  return (
+    <section>
+      <h3 className="mb-1 text-xs uppercase tracking-wide text-white/50">{title}</h3>
+      <div className="grid grid-cols-2 gap-y-1 text-white/70">
+        {rows.map(([label, value]) => (
+          <div key={label} className="contents">
+            <span className={mono ? "font-mono text-xs" : ""}>{label}</span>
+            <span className="text-right font-mono text-white">{value}</span>
+          </div>
+        ))}
+      </div>
+    </section>
+  );
+}
+
+function formatNumber(value, digits) {
+  const n = Number(value);
+  if (value === null || value === undefined || !Number.isFinite(n)) return "—";
+  return d3.format(`,.${digits}f`)(n);
+}
@@ -0,0 +1,151 @@
+import { useMemo } from "react";
+import * as d3 from "d3";
+import "./HexFilterPanel.css";
+
+const BIN_COUNT = 24;
+const STEPS = 200;
+
+export default function HexFilterPanel({
+  features,
+  metrics,
+  domains,
+  filters,
+  onChange,
+  mode,
+  onModeChange,
+  passingCount,
+}) {
+  const activeCount = Object.values(filters).filter(Boolean).length;
+
+  const setRange = (key, range) => {
+    const [min, max] = domains[key] ?? [0, 1];
+    // A rule spanning the whole domain is the same as no rule
+    const isFull = range[0] <= min && range[1] >= max;
+    onChange({ ...filters, [key]: isFull ? null : range });
+  };
+
+  return (
+    <div className="rounded-2xl border border-white/5 bg-white/5 p-4 backdrop-blur-md">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <h2 className="text-sm uppercase tracking-wide text-white/60">Site screening filters</h2>
+          <p className="text-xs text-white/50">
+            <span className="font-mono text-white">{passingCount}</span> of {features.length} hexes pass
+            {activeCount ? ` ${activeCount} rule${activeCount > 1 ? "s" : ""}` : " (no rules set)"}
+          </p>
+        </div>
+        <div className="flex items-center gap-2 text-xs">
+          <div className="flex overflow-hidden rounded-full border border-white/10">
+            {["dim", "hide"].map((m) => (
+              <button
+                key={m}
+                type="button"
+                className={`px-3 py-1.5 capitalize transition ${
+                  mode === m ? "bg-emerald-400/20 text-white" : "text-white/60 hover:text-white"
+                }`}
+                onClick={() => onModeChange(m)}
+              >
+                {m} failing
+              </button>
+            ))}
+          </div>
+          <button
+            type="button"
+            className="rounded-full border border-white/10 px-4 py-1.5 text-white/70 transition hover:border-neon/50 hover:text-white disabled:opacity-40"
+            disabled={!activeCount}
+            onClick={() => onChange({})}
+          >
+            Clear rules
+          </button>
+        </div>
+      </div>
+
+      <div className="mt-4 grid gap-x-6 gap-y-4 sm:grid-cols-2 lg:grid-cols-3">
+        {Object.entries(metrics).map(([key, meta]) => (
+          <RangeFilter
+            key={key}
+            label={meta.label}
+            features={features}
+            metricKey={key}
+            domain={domains[key] ?? [0, 1]}
+            range={filters[key]}
+            onChange={(range) => setRange(key, range)}
+            onClear={() => onChange({ ...filters, [key]: null })}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function RangeFilter({ label, features, metricKey, domain, range, onChange, onClear }) {
+  const [min, max] = domain;
+  const [lo, hi] = range ?? domain;
+  const step = (max - min) / STEPS || 0.01;
+  const digits = max - min >= 100 ? 0 : max - min >= 10 ? 1 : 3;
+
+  // Histogram behind the slider; bars inside the rule are highlighted
+  const bins = useMemo(() => {
+    const values = features
+      .map((f) => Number(f.properties?.[metricKey]))
+      .filter((v) => Number.isFinite(v));
+    const thresholds = d3.range(1, BIN_COUNT).map((i) => min + (i * (max - min)) / BIN_COUNT);
+    return d3.bin().domain(domain).thresholds(thresholds)(values);
+  }, [features, metricKey, domain, min, max]);
+  const maxCount = d3.max(bins, (b) => b.length) || 1;
+
+  return (
+    <div className="text-xs text-white/70">
+      <div className="flex items-center justify-between gap-2">
+        <span className={range ? "text-emerald-200" : ""}>{label}</span>
+        <span className="flex items-center gap-2 font-mono text-white/60">
+          {d3.format(`.${digits}f`)(lo)} – {d3.format(`.${digits}f`)(hi)}
+          {range && (
+            <button type="button" className="text-white/40 hover:text-rose-300" onClick={onClear} aria-label={`Clear ${label} rule`}>
+              ✕
+            </button>
+          )}
+        </span>
+      </div>
+      <div className="relative mt-1 h-12">
+        <svg className="absolute inset-x-0 top-0 h-9 w-full" viewBox={`0 0 ${BIN_COUNT} 1`} preserveAspectRatio="none">
+          {bins.map((b, i) => {
+            const h = b.length / maxCount;
+            const inside = b.x1 >= lo && b.x0 <= hi;
+            return (
+              <rect
+                key={i}
+                x={i + 0.08}
+                y={1 - h}
+                width={0.84}
+                height={h}
+                fill={inside ? "rgba(0,255,128,0.55)" : "rgba(255,255,255,0.15)"}
+              />
+            );
+          })}
+        </svg>
+        <div className="absolute inset-x-0 bottom-[7px] h-[2px] rounded-full bg-white/15" />
+        <input
+          type="range"
+          className="dual-range"
+          min={min}
+          max={max}
+          step={step}
+          value={lo}
+          onChange={(e) => onChange([Math.min(Number(e.target.value), hi), hi])}
+          aria-label={`${label} minimum`}
+        />
+        <input
+          type="range"
+          className="dual-range"
+          min={min}
+          max={max}
+          step={step}
+          value={hi}
+          onChange={(e) => onChange([lo, Math.max(Number(e.target.value), lo)])}
+          aria-label={`${label} maximum`}
+        />
+      </div>
+    </div>
+  );
+}
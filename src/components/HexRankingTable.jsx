@@ -0,0 +1,196 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import * as d3 from "d3";
+
+const ROW_HEIGHT = 28;
+const OVERSCAN = 8;
+
+// Windowed, sortable table of every hex. Only the rows in the scroll viewport
+// (plus a small overscan) are mounted, so all ~1.7k features stay cheap.
+export default function HexRankingTable({
+  features,
+  metrics,
+  visibleIds,
+  selectedId,
+  onHover,
+  onSelect,
+  className = "",
+}) {
+  const scrollRef = useRef(null);
+  const [sort, setSort] = useState({ key: "dc_score", dir: "desc" });
+  const [query, setQuery] = useState("");
+  const [inViewOnly, setInViewOnly] = useState(false);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(480);
+
+  // Track the scroll viewport so the row window matches the rendered height
+  useEffect(() => {
+    const el = scrollRef.current;
+    if (!el) return undefined;
+    const observer = new ResizeObserver(() => setViewportHeight(el.clientHeight));
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, []);
+
+  const columns = useMemo(
+    () => [
+      { key: "hex_id", label: "Hex", width: 64, digits: 0 },
+      { key: "region", label: "Region", width: 64 },
+      ...Object.entries(metrics).map(([key, meta]) => ({
+        key,
+        label: meta.shortLabel ?? meta.label,
+        width: 92,
+        digits: key === "elevation_m" ? 0 : key === "local_temp_c" ? 1 : 3,
+      })),
+      { key: "lat", label: "Lat", width: 64, digits: 2 },
+      { key: "lon", label: "Lon", width: 72, digits: 2 },
+    ],
+    [metrics],
+  );
+  const gridTemplate = `40px ${columns.map((c) => `${c.width}px`).join(" ")}`;
+  const totalWidth = 40 + d3.sum(columns, (c) => c.width);
+
+  const rows = useMemo(() => {
+    const q = query.trim().toLowerCase();
+    const filtered = features.filter((f) => {
+      if (inViewOnly && visibleIds && !visibleIds.has(String(rowId(f)))) return false;
+      if (!q) return true;
+      const props = f.properties ?? {};
+      return String(props.hex_id ?? f.id).includes(q) || String(props.region ?? "").toLowerCase().includes(q);
+    });
+    const sign = sort.dir === "asc" ? 1 : -1;
+    return filtered
+      .map((f) => ({ feature: f, value: cellValue(f, sort.key) }))
+      .sort((a, b) => {
+        // Missing values always sink to the bottom
+        if (a.value === null) return b.value === null ? 0 : 1;
+        if (b.value === null) return -1;
+        if (typeof a.value === "string" || typeof b.value === "string") {
+          return sign * String(a.value).localeCompare(String(b.value));
+        }
+        return sign * (a.value - b.value);
+      })
+      .map((r, i) => ({ ...r, rank: i + 1 }));
+  }, [features, query, inViewOnly, visibleIds, sort]);
+
+  const first = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN);
+  const last = Math.min(rows.length, Math.ceil((scrollTop + viewportHeight) / ROW_HEIGHT) + OVERSCAN);
+  const windowed = rows.slice(first, last);
+
+  const toggleSort = (key) =>
+    setSort((prev) =>
+      prev.key === key ? { key, dir: prev.dir === "desc" ? "asc" : "desc" } : { key, dir: key === "region" ? "asc" : "desc" },
+    );
+
+  return (
+    <div
+      className={`flex flex-col overflow-hidden rounded-2xl border border-white/10 bg-[#0c1421]/80 text-xs text-white/70 backdrop-blur-md ${className}`}
+    >
+      <div className="flex flex-wrap items-center gap-2 border-b border-white/10 p-2">
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Filter by hex or region"
+          className="min-w-0 flex-1 rounded-lg border border-white/10 bg-[#050910] px-3 py-1.5 text-xs text-white placeholder:text-white/40"
+        />
+        <label className="flex items-center gap-1.5 whitespace-nowrap">
+          <input
+            type="checkbox"
+            checked={inViewOnly}
+            onChange={(e) => setInViewOnly(e.target.checked)}
+            className="accent-emerald-400"
+          />
+          In view only
+        </label>
+        <span className="whitespace-nowrap font-mono text-white/50">{rows.length} rows</span>
+      </div>
+
+      <div
+        ref={scrollRef}
+        className="relative flex-1 overflow-auto"
+        onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+        onMouseLeave={() => onHover(null)}
+      >
+        <div style={{ width: totalWidth }}>
+          <div
+            className="sticky top-0 z-10 grid bg-[#0c1421] text-white/50"
+            style={{ gridTemplateColumns: gridTemplate, height: ROW_HEIGHT }}
+          >
+            <span className="flex items-center px-2">#</span>
+            {columns.map((col) => (
+              <button
+                key={col.key}
+                type="button"
+                onClick={() => toggleSort(col.key)}
+                className={`flex items-center gap-1 px-2 text-left uppercase tracking-wide hover:text-white ${
+                  sort.key === col.key ? "text-emerald-200" : ""
+                }`}
+                title={`Sort by ${col.label}`}
+              >
+                <span className="truncate">{col.label}</span>
+                {sort.key === col.key && <span>{sort.dir === "desc" ? "▼" : "▲"}</span>}
+              </button>
+            ))}
+          </div>
+
+          <div className="relative" style={{ height: rows.length * ROW_HEIGHT }}>
+            {windowed.map(({ feature, rank }, i) => {
+              const id = rowId(feature);
+              const selected = selectedId !== null && String(selectedId) === String(id);
+              return (
+                <div
+                  key={id}
+                  role="button"
+                  tabIndex={0}
+                  className={`absolute left-0 grid w-full cursor-pointer items-center border-t border-white/5 font-mono hover:bg-white/10 ${
+                    selected ? "bg-emerald-400/15 text-white" : ""
+                  }`}
+                  style={{ gridTemplateColumns: gridTemplate, height: ROW_HEIGHT, top: (first + i) * ROW_HEIGHT }}
+                  onMouseEnter={() => onHover(feature)}
+                  onClick={() => onSelect(feature)}
+                  onKeyDown={(e) => {
+                    if (e.key === "Enter") onSelect(feature);
+                  }}
+                >
+                  <span className="px-2 text-white/40">{rank}</span>
+                  {columns.map((col) => (
+                    <span
+                      key={col.key}
+                      className={`truncate px-2 text-white ${col.key === "region" ? "text-left" : "text-right"}`}
+                    >
+                      {formatCell(cellValue(feature, col.key), col.digits)}
+                    </span>
+                  ))}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function rowId(feature) {
+  return feature?.id ?? feature?.properties?.hex_id ?? null;
+}
+
+// Lat/lon come from the cached hex centroid; the lat/lon properties are regional
+function cellValue(feature, key) {
+  if (key === "lat" || key === "lon") {
+    const c = feature._centroid;
+    if (!c) return null;
+    return key === "lat" ? c[1] : c[0];
+  }
+  const v = feature.properties?.[key];
+  if (v === null || v === undefined) return null;
+  if (key === "region") return String(v);
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function formatCell(value, digits) {
+  if (value === null) return "—";
+  if (typeof value === "string") return value;
+  return d3.format(`.${digits ?? 3}f`)(value);
+}
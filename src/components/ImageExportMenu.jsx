@@ -0,0 +1,89 @@
+import { useEffect, useRef, useState } from "react";
+
+const SCALES = [1, 2, 4];
+
+// Dropdown next to the map controls: pick a resolution, then download a PNG or vector SVG
+export default function ImageExportMenu({ onExportPng, onExportSvg, disabled }) {
+  const menuRef = useRef(null);
+  const [open, setOpen] = useState(false);
+  const [scale, setScale] = useState(2);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Close when clicking anywhere outside the menu
+  useEffect(() => {
+    if (!open) return undefined;
+    const onPointerDown = (e) => {
+      if (!menuRef.current?.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener("pointerdown", onPointerDown);
+    return () => document.removeEventListener("pointerdown", onPointerDown);
+  }, [open]);
+
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+      setOpen(false);
+    } catch (err) {
+      setError(err?.message || "Export failed.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div ref={menuRef} className="relative">
+      <button
+        type="button"
+        className="shrink-0 rounded-xl border border-white/10 bg-[#0c1421] px-4 py-3 text-sm text-white/80 transition hover:border-neon/50 hover:text-white disabled:opacity-40"
+        onClick={() => setOpen((o) => !o)}
+        disabled={disabled}
+        aria-expanded={open}
+        aria-haspopup="menu"
+      >
+        Export image
+      </button>
+      {open && (
+        <div className="absolute right-0 z-30 mt-2 w-64 rounded-2xl border border-white/10 bg-[#0c1421]/95 p-4 text-xs text-white/70 shadow-2xl backdrop-blur-md">
+          <div className="uppercase tracking-wide text-white/50">PNG resolution</div>
+          <div className="mt-2 flex overflow-hidden rounded-full border border-white/10">
+            {SCALES.map((s) => (
+              <button
+                key={s}
+                type="button"
+                className={`flex-1 px-3 py-1.5 transition ${
+                  scale === s ? "bg-emerald-400/20 text-white" : "text-white/60 hover:text-white"
+                }`}
+                onClick={() => setScale(s)}
+              >
+                {s}×
+              </button>
+            ))}
+          </div>
+          <button
+            type="button"
+            className="mt-3 w-full rounded-xl border border-white/10 px-4 py-2 text-sm text-white/80 transition hover:border-neon/50 hover:text-white disabled:opacity-40"
+            disabled={busy}
+            onClick={() => run(() => onExportPng(scale))}
+          >
+            {busy ? "Rendering…" : "Download PNG"}
+          </button>
+          <button
+            type="button"
+            className="mt-2 w-full rounded-xl border border-white/10 px-4 py-2 text-sm text-white/80 transition hover:border-neon/50 hover:text-white disabled:opacity-40"
+            disabled={busy}
+            onClick={() => run(onExportSvg)}
+          >
+            Download SVG
+          </button>
+          <p className="mt-2 text-[11px] text-white/40">
+            PNG includes the basemap, title and legend. SVG keeps hexes as vector paths without the basemap.
+          </p>
+          {error && <p className="mt-2 text-rose-300">{error}</p>}
+        </div>
+      )}
+    </div>
+  );
+}
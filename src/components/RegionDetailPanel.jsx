@@ -0,0 +1,169 @@
+import { useEffect, useRef } from "react";
+import * as d3 from "d3";
+import { METRICS, formatValue, valueFor } from "@/lib/scoreMapCore";
+
+const BIN_COUNT = 16;
+
+export default function RegionDetailPanel({ summary, hexes, allHexes, metric, onClose }) {
+  const chartRef = useRef(null);
+  const active = METRICS[metric] ? metric : "dc_score";
+
+  // Histogram of the region's hexes, over the national distribution for context
+  useEffect(() => {
+    const container = chartRef.current;
+    if (!container || !summary) return;
+
+    const values = hexes.map((f) => valueFor(f, active)).filter((v) => v !== null);
+    const national = allHexes.map((f) => valueFor(f, active)).filter((v) => v !== null);
+    const margin = { top: 8, right: 8, bottom: 22, left: 28 };
+    const width = 288 - margin.left - margin.right;
+    const height = 120 - margin.top - margin.bottom;
+
+    const x = d3.scaleLinear().domain(d3.extent(national)).nice();
+    const bin = d3.bin().domain(x.domain()).thresholds(x.ticks(BIN_COUNT));
+    const bins = bin(values);
+    const nationalBins = bin(national);
+    // Both series as shares so the region's shape compares to the nation's
+    const share = (b, total) => (total ? b.length / total : 0);
+    const y = d3
+      .scaleLinear()
+      .domain([
+        0,
+        d3.max([...bins.map((b) => share(b, values.length)), ...nationalBins.map((b) => share(b, national.length))]) ||
+          1,
+      ])
+      .range([height, 0]);
+    x.range([0, width]);
+
+    const svg = d3
+      .select(container)
+      .selectAll("svg")
+      .data([null])
+      .join("svg")
+      .attr("width", width + margin.left + margin.right)
+      .attr("height", height + margin.top + margin.bottom);
+    svg.selectAll("*").remove();
+    const g = svg.append("g").attr("transform", `translate(${margin.left},${margin.top})`);
+
+    g.append("g")
+      .selectAll("rect")
+      .data(nationalBins)
+      .join("rect")
+      .attr("x", (d) => x(d.x0) + 0.5)
+      .attr("width", (d) => Math.max(0, x(d.x1) - x(d.x0) - 1))
+      .attr("y", (d) => y(share(d, national.length)))
+      .attr("height", (d) => height - y(share(d, national.length)))
+      .attr("fill", "rgba(255,255,255,0.12)");
+
+    g.append("g")
+      .selectAll("rect")
+      .data(bins)
+      .join("rect")
+      .attr("x", (d) => x(d.x0) + 2)
+      .attr("width", (d) => Math.max(0, x(d.x1) - x(d.x0) - 4))
+      .attr("y", (d) => y(share(d, values.length)))
+      .attr("height", (d) => height - y(share(d, values.length)))
+      .attr("fill", "#34d399")
+      .attr("opacity", 0.85);
+
+    const mean = summary.metrics[active]?.mean;
+    if (Number.isFinite(mean)) {
+      g.append("line")
+        .attr("x1", x(mean))
+        .attr("x2", x(mean))
+        .attr("y1", 0)
+        .attr("y2", height)
+        .attr("stroke", "#00ff80")
+        .attr("stroke-width", 1.5);
+    }
+
+    g.append("g")
+      .attr("transform", `translate(0,${height})`)
+      .call(d3.axisBottom(x).ticks(4).tickSizeOuter(0))
+      .call((axis) => axis.selectAll("text").attr("fill", "rgba(255,255,255,0.6)").attr("font-size", 9))
+      .call((axis) => axis.selectAll("line,path").attr("stroke", "rgba(255,255,255,0.25)"));
+    g.append("g")
+      .call(d3.axisLeft(y).ticks(3, "~%").tickSizeOuter(0))
+      .call((axis) => axis.selectAll("text").attr("fill", "rgba(255,255,255,0.6)").attr("font-size", 9))
+      .call((axis) => axis.selectAll("line,path").attr("stroke", "rgba(255,255,255,0.25)"));
+  }, [summary, hexes, allHexes, active]);
+
+  if (!summary) return null;
+
+  return (
+    <aside className="absolute right-3 top-3 bottom-3 z-20 flex w-[320px] flex-col overflow-hidden rounded-2xl border border-white/10 bg-[#0c1622]/95 text-sm shadow-2xl backdrop-blur-md">
+      <div className="flex items-start justify-between gap-3 border-b border-white/10 p-4">
+        <div>
+          <div className="text-xs uppercase tracking-wide text-white/60">
+            Region {summary.region} · {summary.count} hexes
+          </div>
+          <div className="mt-1 text-lg text-white">{summary.name}</div>
+          <div className="mt-1 flex items-baseline gap-2">
+            <span className="text-emerald-200">Mean GridScore</span>
+            <span className="font-mono text-2xl text-white">{formatValue(summary.metrics.dc_score?.mean, 3)}</span>
+          </div>
+        </div>
+        <button
+          type="button"
+          className="rounded-full border border-white/10 px-2.5 py-1 text-xs text-white/70 transition hover:border-neon/50 hover:text-white"
+          onClick={onClose}
+          aria-label="Close region details"
+        >
+          ✕
+        </button>
+      </div>
+
+      <div className="flex-1 space-y-4 overflow-y-auto p-4">
+        <section>
+          <h3 className="mb-1 text-xs uppercase tracking-wide text-white/50">{METRICS[active].label} distribution</h3>
+          <div ref={chartRef} className="w-full" />
+          <div className="mt-1 flex gap-3 text-[11px] text-white/60">
+            <span className="flex items-center gap-1">
+              <span className="inline-block h-2 w-2 rounded-sm bg-emerald-400" />
+              {summary.region} hexes
+            </span>
+            <span className="flex items-center gap-1">
+              <span className="inline-block h-2 w-2 rounded-sm bg-white/20" />
+              All hexes
+            </span>
+            <span className="flex items-center gap-1">
+              <span className="inline-block h-2 w-[2px] bg-neon" />
+              Region mean
+            </span>
+          </div>
+        </section>
+
+        <section>
+          <h3 className="mb-1 text-xs uppercase tracking-wide text-white/50">Summary statistics</h3>
+          <table className="w-full text-white/70">
+            <thead>
+              <tr className="text-[11px] uppercase tracking-wide text-white/40">
+                <th className="py-1 text-left font-normal">Metric</th>
+                <th className="py-1 text-right font-normal">Mean</th>
+                <th className="py-1 text-right font-normal">Median</th>
+                <th className="py-1 text-right font-normal">Range</th>
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(METRICS).map(([key, meta]) => {
+                const s = summary.metrics[key];
+                if (meta.derived && !s) return null;
+                const d = meta.digits ?? 3;
+                return (
+                  <tr key={key} className={key === active ? "text-emerald-200" : ""}>
+                    <td className="py-0.5 pr-2">{meta.shortLabel ?? meta.label}</td>
+                    <td className="py-0.5 text-right font-mono text-white">{formatValue(s?.mean, d)}</td>
+                    <td className="py-0.5 text-right font-mono text-white">{formatValue(s?.median, d)}</td>
+                    <td className="py-0.5 text-right font-mono text-[11px] text-white/60">
+                      {s ? `${formatValue(s.min, d)}–${formatValue(s.max, d)}` : "—"}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </section>
+      </div>
+    </aside>
+  );
+}
@@ -0,0 +1,247 @@
+import { useState } from "react";
+import * as d3 from "d3";
+import { regionName } from "@/lib/regions";
+import { SCENARIO_INPUTS, applyChange } from "@/lib/scenarios";
+
+const MOVER_COUNT = 5;
+const formatDelta = d3.format("+.3f");
+const formatRankChange = d3.format("+,");
+
+// Named what-if scenarios: each is { id, name, changes: { [region]: { raw_x: amount } } }.
+// The page rescores against the active one and passes back the comparison.
+export default function ScenarioPanel({
+  scenarios,
+  activeId,
+  onChange,
+  onActivate,
+  inputs,
+  result,
+  deltaShown,
+  onShowDelta,
+  onSelectHex,
+}) {
+  const regionCodes = Object.keys(inputs).sort();
+  const [region, setRegion] = useState(null);
+  const editRegion = region && inputs[region] ? region : regionCodes[0];
+  const active = scenarios.find((s) => s.id === activeId) ?? null;
+
+  const createScenario = () => {
+    const n = d3.max(scenarios, (s) => Number(s.id.split("-")[1])) ?? 0;
+    const scenario = { id: `scenario-${n + 1}`, name: `Scenario ${n + 1}`, changes: {} };
+    onChange([...scenarios, scenario]);
+    onActivate(scenario.id);
+  };
+
+  const updateActive = (patch) => onChange(scenarios.map((s) => (s.id === activeId ? { ...s, ...patch } : s)));
+
+  const setAmount = (key, value) => {
+    const amount = value === "" ? 0 : Number(value);
+    const { [key]: _previous, ...rest } = active.changes[editRegion] ?? {};
+    const byInput = Number.isFinite(amount) && amount !== 0 ? { ...rest, [key]: amount } : rest;
+    const { [editRegion]: _region, ...others } = active.changes;
+    updateActive({ changes: Object.keys(byInput).length ? { ...others, [editRegion]: byInput } : others });
+  };
+
+  const deleteActive = () => {
+    onChange(scenarios.filter((s) => s.id !== activeId));
+    onActivate(null);
+  };
+
+  const editedRegions = active ? Object.keys(active.changes).sort() : [];
+  const gains = result ? result.movers.filter((m) => m.change > 0).slice(0, MOVER_COUNT) : [];
+  const losses = result
+    ? result.movers
+        .filter((m) => m.change < 0)
+        .slice(-MOVER_COUNT)
+        .reverse()
+    : [];
+
+  return (
+    <div className="rounded-2xl border border-white/5 bg-white/5 p-4 backdrop-blur-md">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <h2 className="text-sm uppercase tracking-wide text-white/60">What-if scenarios</h2>
+          <p className="text-xs text-white/50">
+            Change a region&apos;s raw inputs; every region is renormalized and each hex rescored against the baseline.
+          </p>
+        </div>
+        <button
+          type="button"
+          className="rounded-full border border-white/10 px-4 py-1.5 text-xs text-white/70 transition hover:border-neon/50 hover:text-white disabled:opacity-40"
+          disabled={!result}
+          onClick={onShowDelta}
+          aria-pressed={deltaShown}
+        >
+          {deltaShown ? "Showing Δ map" : "Show Δ map"}
+        </button>
+      </div>
+
+      <div className="mt-4 flex flex-wrap items-center gap-2 text-xs" role="group" aria-label="Scenarios">
+        {[{ id: null, name: "Baseline" }, ...scenarios].map((s) => (
+          <button
+            key={s.id ?? "baseline"}
+            type="button"
+            className={`rounded-full border px-3 py-1 transition ${
+              s.id === activeId
+                ? "border-neon/50 bg-neon/20 text-white"
+                : "border-white/10 text-white/60 hover:border-neon/50 hover:text-white"
+            }`}
+            aria-pressed={s.id === activeId}
+            onClick={() => onActivate(s.id)}
+          >
+            {s.name}
+          </button>
+        ))}
+        <button
+          type="button"
+          className="rounded-full border border-dashed border-white/20 px-3 py-1 text-white/60 transition hover:border-neon/50 hover:text-white"
+          onClick={createScenario}
+        >
+          + New scenario
+        </button>
+      </div>
+
+      {active && (
+        <div className="mt-4 grid gap-6 lg:grid-cols-2">
+          <div className="space-y-3">
+            <div className="flex items-center gap-2">
+              <input
+                type="text"
+                value={active.name}
+                onChange={(e) => updateActive({ name: e.target.value })}
+                className="flex-1 rounded-xl border border-white/10 bg-[#0c1421] px-3 py-2 text-sm text-white"
+                aria-label="Scenario name"
+              />
+              <button
+                type="button"
+                className="rounded-xl border border-white/10 px-3 py-2 text-xs text-white/60 transition hover:border-rose-300/60 hover:text-rose-200"
+                onClick={deleteActive}
+              >
+                Delete
+              </button>
+            </div>
+
+            <select
+              className="w-full rounded-xl border border-white/10 bg-[#0c1421] px-3 py-2 text-sm text-white"
+              value={editRegion ?? ""}
+              onChange={(e) => setRegion(e.target.value)}
+              aria-label="Region to edit"
+            >
+              {regionCodes.map((code) => (
+                <option key={code} value={code}>
+                  {code} · {regionName(code)}
+                  {active.changes[code] ? " (edited)" : ""}
+                </option>
+              ))}
+            </select>
+
+            {editRegion &&
+              SCENARIO_INPUTS.map((input) => {
+                const amount = active.changes[editRegion]?.[input.key] ?? "";
+                const base = inputs[editRegion][input.key];
+                const next = applyChange(base, input, amount);
+                const format = d3.format(`,.${input.digits}f`);
+                return (
+                  <label key={input.key} className="grid grid-cols-[1fr_auto] items-center gap-2 text-xs text-white/70">
+                    <span>
+                      {input.label} <span className="font-mono text-white/40">{input.key}</span>
+                      <span className="block font-mono text-[11px] text-white/50">
+                        {Number.isFinite(base) ? format(base) : "—"}
+                        {amount !== "" && Number.isFinite(next) && (
+                          <span className="text-emerald-200"> → {format(next)}</span>
+                        )}{" "}
+                        {input.unit}
+                      </span>
+                    </span>
+                    <span className="flex items-center gap-1">
+                      <input
+                        type="number"
+                        step={input.mode === "shift" ? 0.5 : 5}
+                        min={input.mode === "shift" ? undefined : -100}
+                        value={amount}
+                        onChange={(e) => setAmount(input.key, e.target.value)}
+                        placeholder="0"
+                        className="w-20 rounded-lg border border-white/10 bg-[#0c1421] px-2 py-1 text-right font-mono text-white"
+                        aria-label={`${input.label} change for ${editRegion}`}
+                      />
+                      <span className="w-6 text-white/40">{input.mode === "shift" ? "°C" : "%"}</span>
+                    </span>
+                  </label>
+                );
+              })}
+
+            {editedRegions.length > 0 && (
+              <div className="flex flex-wrap items-center gap-1.5 text-[11px] text-white/50">
+                Edited:
+                {editedRegions.map((code) => (
+                  <button
+                    key={code}
+                    type="button"
+                    className="rounded-full border border-white/10 px-2 py-0.5 text-white/70 transition hover:border-neon/50 hover:text-white"
+                    onClick={() => setRegion(code)}
+                  >
+                    {code} · {Object.keys(active.changes[code]).length}
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div className="space-y-3 text-xs text-white/70">
+            {result ? (
+              <>
+                <div className="grid grid-cols-3 gap-2 text-center">
+                  <Stat label="Mean Δ GridScore" value={formatDelta(result.meanDelta)} />
+                  <Stat label="Hexes up in rank" value={d3.format(",")(result.gained)} tone="text-sky-200" />
+                  <Stat label="Hexes down in rank" value={d3.format(",")(result.lost)} tone="text-rose-200" />
+                </div>
+                <MoverList title="Biggest gains" movers={gains} onSelect={onSelectHex} />
+                <MoverList title="Biggest losses" movers={losses} onSelect={onSelectHex} />
+              </>
+            ) : (
+              <p className="text-white/50">Edit an input to compare this scenario with the baseline.</p>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function Stat({ label, value, tone = "text-white" }) {
+  return (
+    <div className="rounded-xl border border-white/10 bg-[#0c1421] px-2 py-2">
+      <div className={`font-mono text-base ${tone}`}>{value}</div>
+      <div className="text-[10px] uppercase tracking-wide text-white/40">{label}</div>
+    </div>
+  );
+}
+
+function MoverList({ title, movers, onSelect }) {
+  if (!movers.length) return null;
+  return (
+    <div>
+      <h3 className="mb-1 text-[11px] uppercase tracking-wide text-white/40">{title}</h3>
+      <ul className="space-y-0.5">
+        {movers.map((m) => (
+          <li key={m.id}>
+            <button
+              type="button"
+              className="grid w-full grid-cols-[1fr_auto_auto] gap-3 rounded-lg px-2 py-1 text-left transition hover:bg-white/5 hover:text-white"
+              onClick={() => onSelect?.(m.feature)}
+            >
+              <span>
+                Hex {m.id} <span className="text-white/40">· {m.feature.properties.region}</span>
+              </span>
+              <span className="font-mono text-white/50">
+                #{m.before} → #{m.after}{" "}
+                <span className={m.change > 0 ? "text-sky-200" : "text-rose-200"}>({formatRankChange(m.change)})</span>
+              </span>
+              <span className="w-14 text-right font-mono">{formatDelta(m.delta)}</span>
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
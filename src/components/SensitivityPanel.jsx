@@ -0,0 +1,273 @@
+import { useMemo, useState } from "react";
+import * as d3 from "d3";
+import { featureId } from "@/lib/scoreMapCore";
+import { DEFAULT_SENSITIVITY, ranksFor, runSensitivity } from "@/lib/sensitivity";
+
+const SAMPLE_OPTIONS = [200, 500, 1000];
+const TOP_SHARES = [0.01, 0.05, 0.1];
+// pTop at or above STABLE holds in nearly every draw; below FRAGILE it's a coin flip or worse
+const STABLE = 0.9;
+const FRAGILE = 0.5;
+const LIST_LIMIT = 30;
+const BIN_COUNT = 24;
+const formatShare = d3.format(".0%");
+const formatCount = d3.format(",");
+
+// Monte Carlo over the 60/40 split and TEMP_WEIGHT/ELEV_WEIGHT around the current
+// weights. Runs on request (a few hundred ms); the page drops the result when the
+// weights or inputs it was run on change.
+export default function SensitivityPanel({
+  features,
+  weights,
+  result,
+  onResult,
+  selectedFeature,
+  onSelectHex,
+  layerShown,
+  onShowLayer,
+}) {
+  const [options, setOptions] = useState({
+    samples: DEFAULT_SENSITIVITY.samples,
+    splitSpread: DEFAULT_SENSITIVITY.splitSpread,
+    microSpread: DEFAULT_SENSITIVITY.microSpread,
+    topShare: DEFAULT_SENSITIVITY.topShare,
+  });
+  const [running, setRunning] = useState(false);
+
+  const run = () => {
+    setRunning(true);
+    // Yield a frame so "Running…" paints before the main thread is busy
+    setTimeout(() => {
+      onResult(runSensitivity(features, weights, options));
+      setRunning(false);
+    }, 0);
+  };
+
+  const byId = useMemo(() => new Map(features.map((f) => [String(featureId(f)), f])), [features]);
+  const top = useMemo(() => {
+    if (!result) return [];
+    return Array.from(result.stats, ([id, stat]) => ({ id, ...stat }))
+      .filter((item) => item.baseRank <= result.topN)
+      .sort((a, b) => a.baseRank - b.baseRank);
+  }, [result]);
+  const stable = top.filter((item) => item.pTop >= STABLE).length;
+  const fragile = top.filter((item) => item.pTop < FRAGILE).length;
+  // Hexes outside the base top-N that still make it in at least half the draws
+  const contenders = result
+    ? Array.from(result.stats.values()).filter((stat) => stat.baseRank > result.topN && stat.pTop >= FRAGILE).length
+    : 0;
+
+  const selectedId = selectedFeature ? String(featureId(selectedFeature)) : null;
+  const selectedStat = selectedId ? result?.stats.get(selectedId) : null;
+  const histogram = useMemo(() => {
+    if (!result || !selectedStat) return null;
+    const ranks = ranksFor(result, selectedId);
+    const [lo, hi] = d3.extent(ranks);
+    // Whole-rank bins, so every bar covers the same number of ranks
+    const step = Math.ceil((hi - lo + 1) / BIN_COUNT);
+    const bins = d3
+      .bin()
+      .domain([lo, hi + 1])
+      .thresholds(d3.range(lo + step, hi + 1, step))(ranks);
+    return { bins, max: d3.max(bins, (b) => b.length) || 1 };
+  }, [result, selectedId, selectedStat]);
+
+  const setOption = (key, value) => setOptions((current) => ({ ...current, [key]: Number(value) }));
+
+  return (
+    <div className="rounded-2xl border border-white/5 bg-white/5 p-4 backdrop-blur-md">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <h2 className="text-sm uppercase tracking-wide text-white/60">Weight sensitivity</h2>
+          <p className="text-xs text-white/50">
+            Redraws the sustainability/profitability split and the cooling and elevation micro-weights, reranks every
+            hex, and reports how often each one stays in the top-N.
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <button
+            type="button"
+            className="rounded-full border border-white/10 px-4 py-1.5 text-xs text-white/70 transition hover:border-neon/50 hover:text-white disabled:opacity-40"
+            disabled={running || !features.length}
+            onClick={run}
+          >
+            {running ? "Running…" : result ? "Rerun" : "Run"}
+          </button>
+          <button
+            type="button"
+            className="rounded-full border border-white/10 px-4 py-1.5 text-xs text-white/70 transition hover:border-neon/50 hover:text-white disabled:opacity-40"
+            disabled={!result}
+            onClick={onShowLayer}
+            aria-pressed={layerShown}
+          >
+            {layerShown ? "Showing robustness layer" : "Show robustness layer"}
+          </button>
+        </div>
+      </div>
+
+      <div className="mt-4 grid gap-3 text-xs text-white/60 sm:grid-cols-2 lg:grid-cols-4">
+        <label className="flex flex-col gap-1">
+          <span className="uppercase tracking-wide">Draws</span>
+          <select
+            className="rounded-xl border border-white/10 bg-[#0c1421] px-3 py-2 text-white"
+            value={options.samples}
+            onChange={(e) => setOption("samples", e.target.value)}
+          >
+            {SAMPLE_OPTIONS.map((n) => (
+              <option key={n} value={n}>
+                {formatCount(n)}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex flex-col gap-1">
+          <span className="uppercase tracking-wide">
+            Split ± <span className="font-mono text-white">{Math.round(options.splitSpread * 100)} pts</span>
+          </span>
+          <input
+            type="range"
+            min={0}
+            max={0.3}
+            step={0.01}
+            value={options.splitSpread}
+            onChange={(e) => setOption("splitSpread", e.target.value)}
+            className="accent-emerald-400"
+          />
+        </label>
+        <label className="flex flex-col gap-1">
+          <span className="uppercase tracking-wide">
+            Micro-weights ± <span className="font-mono text-white">{formatShare(options.microSpread)}</span>
+          </span>
+          <input
+            type="range"
+            min={0}
+            max={1}
+            step={0.05}
+            value={options.microSpread}
+            onChange={(e) => setOption("microSpread", e.target.value)}
+            className="accent-emerald-400"
+          />
+        </label>
+        <label className="flex flex-col gap-1">
+          <span className="uppercase tracking-wide">Top-N</span>
+          <select
+            className="rounded-xl border border-white/10 bg-[#0c1421] px-3 py-2 text-white"
+            value={options.topShare}
+            onChange={(e) => setOption("topShare", e.target.value)}
+          >
+            {TOP_SHARES.map((share) => (
+              <option key={share} value={share}>
+                Top {formatShare(share)} ({formatCount(Math.max(1, Math.ceil(features.length * share)))} hexes)
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {!result && !running && (
+        <p className="mt-3 text-xs text-white/50">Run to see which top-ranked hexes depend on the exact weights.</p>
+      )}
+
+      {result && (
+        <div className="mt-4 grid gap-6 text-xs text-white/70 lg:grid-cols-[minmax(0,3fr)_minmax(0,2fr)]">
+          <div>
+            <div className="mb-3 flex flex-wrap gap-2">
+              <Chip label="Draws" value={formatCount(result.samples)} />
+              <Chip label={`Stay in ≥${formatShare(STABLE)} of draws`} value={formatCount(stable)} tone="text-neon" />
+              <Chip
+                label={`Fragile (<${formatShare(FRAGILE)})`}
+                value={formatCount(fragile)}
+                tone={fragile ? "text-rose-200" : undefined}
+              />
+              <Chip label="Contenders from below" value={formatCount(contenders)} />
+            </div>
+            <h3 className="mb-1 text-[11px] uppercase tracking-wide text-white/40">
+              Base top-{result.topN} · rank p5–p95 over {formatCount(result.samples)} draws
+            </h3>
+            <ul className="max-h-72 space-y-0.5 overflow-y-auto">
+              {top.slice(0, LIST_LIMIT).map((item) => (
+                <li key={item.id}>
+                  <button
+                    type="button"
+                    className={`grid w-full grid-cols-[3rem_1fr_6rem_3rem] items-center gap-3 rounded-lg px-2 py-1 text-left transition hover:bg-white/5 hover:text-white ${
+                      item.id === selectedId ? "bg-white/5 text-white" : ""
+                    }`}
+                    onClick={() => byId.has(item.id) && onSelectHex?.(byId.get(item.id))}
+                  >
+                    <span className="font-mono text-white/50">#{item.baseRank}</span>
+                    <span>
+                      Hex {item.id} <span className="text-white/40">· {byId.get(item.id)?.properties?.region}</span>
+                    </span>
+                    <RankBar stat={item} topN={result.topN} />
+                    <span className={`text-right font-mono ${item.pTop < FRAGILE ? "text-rose-200" : ""}`}>
+                      {formatShare(item.pTop)}
+                    </span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+            {top.length > LIST_LIMIT && (
+              <p className="mt-1 text-[11px] text-white/40">+{formatCount(top.length - LIST_LIMIT)} more on the map</p>
+            )}
+          </div>
+
+          <div>
+            <h3 className="mb-1 text-[11px] uppercase tracking-wide text-white/40">Rank distribution</h3>
+            {selectedStat && histogram ? (
+              <>
+                <p className="mb-2">
+                  Hex {selectedId}: rank #{selectedStat.baseRank} at these weights, median #{selectedStat.median}, 90%
+                  of draws between #{Math.round(selectedStat.p5)} and #{Math.round(selectedStat.p95)}; top-
+                  {result.topN} in {formatShare(selectedStat.pTop)}.
+                </p>
+                <div className="flex h-24 items-end gap-px" role="img" aria-label={`Rank histogram for hex ${selectedId}`}>
+                  {histogram.bins.map((bin) => (
+                    <div
+                      key={bin.x0}
+                      className={`flex-1 rounded-t-sm ${bin.x0 <= result.topN ? "bg-neon/70" : "bg-white/30"}`}
+                      style={{ height: `${(bin.length / histogram.max) * 100}%` }}
+                      title={`Rank ${bin.x0}–${bin.x1 - 1}: ${bin.length} draws`}
+                    />
+                  ))}
+                </div>
+                <div className="mt-1 flex justify-between font-mono text-[11px] text-white/40">
+                  <span>#{histogram.bins[0].x0}</span>
+                  <span>#{histogram.bins[histogram.bins.length - 1].x1 - 1}</span>
+                </div>
+              </>
+            ) : (
+              <p className="text-white/50">Select a hex to see how its rank spreads across draws.</p>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// p5–p95 rank span on a scale from #1 to twice the top-N; the tick marks the base rank
+function RankBar({ stat, topN }) {
+  const x = d3
+    .scaleLinear()
+    .domain([1, topN * 2])
+    .range([0, 100])
+    .clamp(true);
+  return (
+    <span className="relative h-2 rounded-full bg-white/10">
+      <span
+        className="absolute inset-y-0 rounded-full bg-emerald-400/60"
+        style={{ left: `${x(stat.p5)}%`, width: `${Math.max(2, x(stat.p95) - x(stat.p5))}%` }}
+      />
+      <span className="absolute inset-y-[-2px] w-px bg-white" style={{ left: `${x(stat.baseRank)}%` }} />
+      <span className="absolute inset-y-[-2px] w-px bg-white/30" style={{ left: `${x(topN)}%` }} />
+    </span>
+  );
+}
+
+function Chip({ label, value, tone = "text-white" }) {
+  return (
+    <span className="rounded-full border border-white/10 bg-[#0c1421] px-3 py-1 text-white/50">
+      {label} <span className={`font-mono ${tone}`}>{value}</span>
+    </span>
+  );
+}
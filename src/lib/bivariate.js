@@ -0,0 +1,46 @@
+import * as d3 from "d3";
+
+// 3×3 sustainability × profitability choropleth (Stevens-style teal/purple ramp).
+// Index = profitability class * 3 + sustainability class, low → high.
+export const BIVARIATE_KEY = "bivariate";
+export const BIVARIATE_X = { key: "sustainability", label: "Sustainability" };
+export const BIVARIATE_Y = { key: "profitability", label: "Profitability" };
+export const BIVARIATE_PALETTE = [
+  "#e8e8e8", "#ace4e4", "#5ac8c8",
+  "#dfb0d6", "#a5add3", "#5698b9",
+  "#be64ac", "#8c62aa", "#3b4994",
+];
+const CLASS_NAMES = ["Low", "Mid", "High"];
+
+// Tertile breaks per axis so each class holds roughly a third of the hexes
+export function bivariateBreaks(features) {
+  const breaksFor = (key) => {
+    const values = features
+      .map((f) => Number(f.properties?.[key]))
+      .filter(Number.isFinite)
+      .sort(d3.ascending);
+    if (!values.length) return [1 / 3, 2 / 3];
+    return [d3.quantileSorted(values, 1 / 3), d3.quantileSorted(values, 2 / 3)];
+  };
+  return { x: breaksFor(BIVARIATE_X.key), y: breaksFor(BIVARIATE_Y.key) };
+}
+
+export function bivariateClass(feature, breaks) {
+  const x = classIndex(feature?.properties?.[BIVARIATE_X.key], breaks.x);
+  const y = classIndex(feature?.properties?.[BIVARIATE_Y.key], breaks.y);
+  if (x === null || y === null) return null;
+  return { x, y, index: y * 3 + x };
+}
+
+export function bivariateClassLabel(cls) {
+  if (!cls) return "—";
+  return `${CLASS_NAMES[cls.x]} sustainability · ${CLASS_NAMES[cls.y]} profitability`;
+}
+
+function classIndex(value, [b1, b2]) {
+  if (value === null || value === undefined) return null;
+  const v = Number(value);
+  if (!Number.isFinite(v)) return null;
+  if (v <= b1) return 0;
+  return v <= b2 ? 1 : 2;
+}
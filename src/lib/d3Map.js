@@ -0,0 +1,233 @@
+// Token-free stand-in for mapboxgl.Map, used when Mapbox can't load (no token,
+// offline, style request rejected). It implements the small slice of the Mapbox
+// API that D3ScoreMapPage relies on — project/getBounds/flyTo/events — on top of
+// a d3.geoMercator + d3.zoom, using Mapbox's 512px world so zoom levels and shared
+// camera links mean the same thing in both renderers.
+import * as d3 from "d3";
+
+const WORLD_SIZE = 512;
+const MIN_ZOOM = 1;
+const MAX_ZOOM = 12;
+const BACKGROUND = "#e8edf1";
+const ATTRIBUTION = "State outlines: US Census Bureau (us-atlas)";
+
+export function createD3Map({ container, center, zoom, outlineUrl = null }) {
+  const listeners = new Map();
+  const selection = d3.select(container);
+  const projection = d3.geoMercator();
+  let transform = d3.zoomIdentity;
+  let outline = null;
+  let showOutline = Boolean(outlineUrl);
+  let removed = false;
+
+  const canvas = document.createElement("canvas");
+  Object.assign(canvas.style, { position: "absolute", inset: "0", width: "100%", height: "100%" });
+  container.appendChild(canvas);
+
+  const controls = buildZoomControls(
+    () => selection.transition().duration(250).call(zoomBehavior.scaleBy, 2),
+    () => selection.transition().duration(250).call(zoomBehavior.scaleBy, 0.5),
+  );
+  container.appendChild(controls);
+
+  const size = () => ({ width: container.clientWidth || 960, height: container.clientHeight || 520 });
+
+  const emit = (type, event = {}) => {
+    (listeners.get(type) ?? []).slice().forEach((fn) => fn({ type, target: api, ...event }));
+  };
+
+  // d3.zoom's transform is applied on top of the zoom-0 Mercator world
+  const applyTransform = (t) => {
+    transform = t;
+    projection
+      .scale((t.k * WORLD_SIZE) / (2 * Math.PI))
+      .translate([t.x + (t.k * WORLD_SIZE) / 2, t.y + (t.k * WORLD_SIZE) / 2]);
+  };
+
+  const transformFor = (lngLat, z) => {
+    const { width, height } = size();
+    const k = 2 ** Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, z));
+    const base = d3.geoMercator().scale(WORLD_SIZE / (2 * Math.PI)).translate([WORLD_SIZE / 2, WORLD_SIZE / 2]);
+    const [px, py] = base(lngLat);
+    return d3.zoomIdentity.translate(width / 2 - k * px, height / 2 - k * py).scale(k);
+  };
+
+  const pointerEvent = (event) => {
+    const rect = container.getBoundingClientRect();
+    const point = { x: event.clientX - rect.left, y: event.clientY - rect.top };
+    const [lng, lat] = projection.invert([point.x, point.y]);
+    return { point, lngLat: { lng, lat }, originalEvent: event };
+  };
+
+  const zoomBehavior = d3
+    .zoom()
+    .scaleExtent([2 ** MIN_ZOOM, 2 ** MAX_ZOOM])
+    .on("start", (event) => emit("movestart", { originalEvent: event.sourceEvent }))
+    .on("zoom", (event) => {
+      applyTransform(event.transform);
+      drawBasemap(canvas, 1);
+      emit("move", { originalEvent: event.sourceEvent });
+    })
+    .on("end", (event) => emit("moveend", { originalEvent: event.sourceEvent }));
+
+  function drawBasemap(target, scale) {
+    const { width, height } = size();
+    const dpr = target === canvas ? window.devicePixelRatio || 1 : scale;
+    target.width = Math.round(width * dpr);
+    target.height = Math.round(height * dpr);
+    const ctx = target.getContext("2d");
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.fillStyle = BACKGROUND;
+    ctx.fillRect(0, 0, width, height);
+    if (!outline || !showOutline) return;
+
+    const path = d3.geoPath(projection).context(ctx);
+    outline.features.forEach((f) => {
+      const nation = f.properties?.kind === "nation";
+      ctx.beginPath();
+      path(f);
+      ctx.strokeStyle = nation ? "rgba(51,65,85,0.7)" : "rgba(100,116,139,0.55)";
+      ctx.lineWidth = nation ? 1 : 0.6;
+      ctx.stroke();
+    });
+  }
+
+  const onMouseMove = (e) => emit("mousemove", pointerEvent(e));
+  const onMouseLeave = (e) => emit("mouseleave", { originalEvent: e });
+  const onClick = (e) => {
+    if (e.defaultPrevented) return;
+    emit("click", pointerEvent(e));
+  };
+  container.addEventListener("mousemove", onMouseMove);
+  container.addEventListener("mouseleave", onMouseLeave);
+  container.addEventListener("click", onClick);
+
+  // Keep the camera centered through layout changes, like Mapbox's resize()
+  let lastSize = size();
+  const resizeObserver = new ResizeObserver(() => {
+    const next = size();
+    if (next.width === lastSize.width && next.height === lastSize.height) return;
+    const keepCenter = api.getCenter();
+    const keepZoom = api.getZoom();
+    lastSize = next;
+    selection.call(zoomBehavior.transform, transformFor([keepCenter.lng, keepCenter.lat], keepZoom));
+    emit("resize");
+  });
+
+  const api = {
+    isFallback: true,
+    project(lngLat) {
+      const [x, y] = projection(lngLat);
+      return { x, y };
+    },
+    unproject([x, y]) {
+      const [lng, lat] = projection.invert([x, y]);
+      return { lng, lat };
+    },
+    getBounds() {
+      const { width, height } = size();
+      const sw = api.unproject([0, height]);
+      const ne = api.unproject([width, 0]);
+      return { getSouthWest: () => sw, getNorthEast: () => ne };
+    },
+    getCenter() {
+      const { width, height } = size();
+      return api.unproject([width / 2, height / 2]);
+    },
+    getZoom: () => Math.log2(transform.k),
+    getBearing: () => 0,
+    getPitch: () => 0,
+    getContainer: () => container,
+    getCanvas: () => canvas,
+    getAttribution: () => (outline && showOutline ? ATTRIBUTION : ""),
+    flyTo({ center: target, zoom: z = api.getZoom(), duration = 1200 }) {
+      const lngLat = Array.isArray(target) ? target : [target.lng, target.lat];
+      selection.transition().duration(duration).call(zoomBehavior.transform, transformFor(lngLat, z));
+    },
+    setOutlineVisible(visible) {
+      showOutline = visible;
+      drawBasemap(canvas, 1);
+    },
+    hasOutline: () => Boolean(outline),
+    // Offscreen basemap at `scale` device pixels per CSS pixel, for image export
+    renderBasemap(scale) {
+      const target = document.createElement("canvas");
+      drawBasemap(target, scale);
+      return target;
+    },
+    on(type, fn) {
+      listeners.set(type, [...(listeners.get(type) ?? []), fn]);
+      return api;
+    },
+    off(type, fn) {
+      listeners.set(type, (listeners.get(type) ?? []).filter((l) => l !== fn));
+      return api;
+    },
+    once(type, fn) {
+      const wrapped = (e) => {
+        api.off(type, wrapped);
+        fn(e);
+      };
+      return api.on(type, wrapped);
+    },
+    remove() {
+      removed = true;
+      resizeObserver.disconnect();
+      selection.interrupt().on(".zoom", null);
+      container.removeEventListener("mousemove", onMouseMove);
+      container.removeEventListener("mouseleave", onMouseLeave);
+      container.removeEventListener("click", onClick);
+      canvas.remove();
+      controls.remove();
+      listeners.clear();
+    },
+  };
+
+  selection.call(zoomBehavior).call(zoomBehavior.transform, transformFor(center, zoom));
+  resizeObserver.observe(container);
+
+  if (outlineUrl) {
+    d3.json(outlineUrl)
+      .then((json) => {
+        if (removed) return;
+        outline = json;
+        drawBasemap(canvas, 1);
+      })
+      .catch(() => {
+        // The outline is optional; hexes still render on the plain background
+      });
+  }
+
+  // Mapbox fires load asynchronously; keep that contract for the page's handlers
+  setTimeout(() => {
+    if (!removed) emit("load");
+  }, 0);
+
+  return api;
+}
+
+function buildZoomControls(onZoomIn, onZoomOut) {
+  const wrapper = document.createElement("div");
+  wrapper.className =
+    "absolute left-2.5 top-2.5 z-20 flex flex-col overflow-hidden rounded-md border border-black/10 bg-white shadow";
+  [
+    ["+", "Zoom in", onZoomIn],
+    ["−", "Zoom out", onZoomOut],
+  ].forEach(([text, label, onClick]) => {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.textContent = text;
+    button.setAttribute("aria-label", label);
+    button.className = "h-[29px] w-[29px] text-lg leading-none text-slate-700 hover:bg-slate-100";
+    // Keep d3.zoom from treating presses on the buttons as drags or double-click zooms
+    ["mousedown", "touchstart", "dblclick"].forEach((type) =>
+      button.addEventListener(type, (e) => e.stopPropagation()),
+    );
+    button.addEventListener("click", (e) => {
+      e.preventDefault();
+      onClick();
+    });
+    wrapper.appendChild(button);
+  });
+  return wrapper;
+}
@@ -0,0 +1,71 @@
+// Dashboard view state <-> URL, so reloads and shared links reopen the same view.
+// Works with both the path form (/dashboard?metric=…) and the hash form that
+// public/404.html redirects to on GitHub Pages (/#dashboard?metric=…).
+import { DEFAULT_WEIGHTS } from "./gridscore.js";
+
+const WEIGHT_KEYS = Object.keys(DEFAULT_WEIGHTS);
+
+export function readDashboardState(location = window.location) {
+  const params = new URLSearchParams(location.search);
+  hashParams(location.hash).forEach((value, key) => params.set(key, value));
+
+  const state = {};
+  const metric = params.get("metric");
+  if (metric) state.metric = metric;
+
+  const center = parseNumberList(params.get("center"), 2);
+  if (center && Math.abs(center[0]) <= 180 && Math.abs(center[1]) <= 90) {
+    state.center = center;
+  }
+
+  const zoom = Number(params.get("zoom"));
+  if (params.has("zoom") && Number.isFinite(zoom) && zoom >= 0 && zoom <= 22) {
+    state.zoom = zoom;
+  }
+
+  const hex = params.get("hex");
+  if (hex !== null && hex !== "") state.hexId = hex;
+
+  const weights = parseNumberList(params.get("weights"), WEIGHT_KEYS.length);
+  if (weights && weights.every((w) => w >= 0)) {
+    state.weights = Object.fromEntries(WEIGHT_KEYS.map((key, i) => [key, weights[i]]));
+  }
+
+  return state;
+}
+
+// Replace (not push) the current entry so panning doesn't flood the history stack
+export function writeDashboardState(state, location = window.location) {
+  const params = new URLSearchParams();
+  if (state.metric) params.set("metric", state.metric);
+  if (state.center) {
+    params.set("center", state.center.map((v) => v.toFixed(4)).join(","));
+  }
+  if (Number.isFinite(state.zoom)) params.set("zoom", state.zoom.toFixed(2));
+  if (state.hexId !== null && state.hexId !== undefined) params.set("hex", String(state.hexId));
+  if (state.weights) params.set("weights", WEIGHT_KEYS.map((key) => state.weights[key]).join(","));
+
+  const query = params.toString().replace(/%2C/g, ",");
+  const hashRoute = /^#\/?dashboard/i.test(location.hash);
+  const url = hashRoute
+    ? `${location.pathname}#dashboard${query ? `?${query}` : ""}`
+    : `${location.pathname}${query ? `?${query}` : ""}`;
+
+  if (url !== `${location.pathname}${location.search}${location.hash}`) {
+    window.history.replaceState(window.history.state, "", url);
+  }
+}
+
+// "#dashboard?metric=…" or "#dashboard#metric=…" (404.html keeps any original hash)
+function hashParams(hash) {
+  const body = (hash ?? "").replace(/^#/, "");
+  const start = body.search(/[?#]/);
+  return new URLSearchParams(start === -1 ? "" : body.slice(start + 1).replace(/#/g, "&"));
+}
+
+function parseNumberList(value, length) {
+  if (!value) return null;
+  const parts = value.split(",").map(Number);
+  if (parts.length !== length || !parts.every(Number.isFinite)) return null;
+  return parts;
+}
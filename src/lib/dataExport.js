@@ -0,0 +1,74 @@
+// CSV / GeoJSON downloads of hex subsets, so analysts don't have to slice
+// score_map_hex.json by hand. Derived columns come from the cached _centroid/_bounds/_h3.
+import * as d3 from "d3";
+
+export const DERIVED_COLUMNS = ["centroid_lon", "centroid_lat", "min_lon", "min_lat", "max_lon", "max_lat", "h3_cell"];
+
+// Every property key in first-seen order, followed by the derived geometry columns
+export function exportColumns(features) {
+  const keys = new Set();
+  features.forEach((f) => Object.keys(f.properties ?? {}).forEach((k) => keys.add(k)));
+  return [...keys, ...DERIVED_COLUMNS];
+}
+
+export function columnValue(feature, column) {
+  const c = feature._centroid;
+  const b = feature._bounds;
+  switch (column) {
+    case "centroid_lon":
+      return c?.[0] ?? null;
+    case "centroid_lat":
+      return c?.[1] ?? null;
+    case "min_lon":
+      return b?.[0][0] ?? null;
+    case "min_lat":
+      return b?.[0][1] ?? null;
+    case "max_lon":
+      return b?.[1][0] ?? null;
+    case "max_lat":
+      return b?.[1][1] ?? null;
+    case "h3_cell":
+      return feature._h3 ?? null;
+    default:
+      return feature.properties?.[column] ?? null;
+  }
+}
+
+/**
+ * CSV with `# key: value` header lines (read back with pandas' comment="#").
+ * `meta` is a flat object, e.g. { metric, generated, scope, weights }.
+ */
+export function featuresToCsv(features, columns, meta = {}) {
+  const header = Object.entries(meta)
+    .filter(([, v]) => v !== null && v !== undefined)
+    .map(([k, v]) => `# ${k}: ${v}`);
+  const rows = features.map((f) => columns.map((col) => csvCell(columnValue(f, col))).join(","));
+  return [...header, columns.map(csvCell).join(","), ...rows].join("\n") + "\n";
+}
+
+// GeoJSON keeps the geometry; derived columns become properties and _bounds becomes bbox
+export function featuresToGeoJson(features, columns, meta = {}) {
+  return JSON.stringify({
+    type: "FeatureCollection",
+    metadata: { ...meta, count: features.length },
+    features: features.map((f) => {
+      const properties = {};
+      columns.forEach((col) => {
+        properties[col] = columnValue(f, col);
+      });
+      const out = { type: "Feature" };
+      if (f.id !== undefined) out.id = f.id;
+      if (f._bounds) out.bbox = [...f._bounds[0], ...f._bounds[1]];
+      out.properties = properties;
+      out.geometry = f.geometry;
+      return out;
+    }),
+  });
+}
+
+// Values such as __folium_color ("#810000") would read as comments, so they get quoted too
+function csvCell(value) {
+  if (value === null || (typeof value === "number" && !Number.isFinite(value))) return "";
+  const text = d3.csvFormatValue(value);
+  return text.startsWith("#") ? `"${text}"` : text;
+}
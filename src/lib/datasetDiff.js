@@ -0,0 +1,125 @@
+// Diff two score-map FeatureCollections keyed by hex_id: per-metric changes for
+// hexes in both, and the hexes only one side has. Meant for reviewing each rerun
+// of the data pipeline against the previous file.
+import * as d3 from "d3";
+import { METRICS, featureId } from "./scoreMapCore.js";
+
+export const DIFF_METRIC = "dataset_delta";
+
+// The bundled files; either side can also be a GeoJSON file picked from disk
+export const DIFF_SOURCES = [
+  { key: "score_map.json", label: "score_map.json (legacy Folium scores)" },
+  { key: "score_map_hex.json", label: "score_map_hex.json (per-hex scores)" },
+];
+
+// Below this a difference is float noise from a rerun, not a change
+const EPSILON = 1e-9;
+
+/**
+ * Returns { matched: [{ id, before, after, deltas }], added, dropped, duplicates,
+ * regionChanges, metrics: [{ key, label, count, changed, missing, mean, meanAbs, maxAbs }] }.
+ * `deltas[key]` is after − before, NaN when only one side has a number.
+ */
+export function diffDatasets(before, after) {
+  const beforeIndex = indexByHexId(before);
+  const afterIndex = indexByHexId(after);
+  const matched = [];
+  const added = [];
+  afterIndex.byId.forEach((feature, id) => {
+    const previous = beforeIndex.byId.get(id);
+    if (!previous) {
+      added.push(feature);
+      return;
+    }
+    matched.push({ id, before: previous, after: feature, deltas: numericDeltas(previous.properties, feature.properties) });
+  });
+  const dropped = Array.from(beforeIndex.byId).filter(([id]) => !afterIndex.byId.has(id)).map(([, f]) => f);
+
+  const keys = new Set(matched.flatMap((m) => Object.keys(m.deltas)));
+  // Dashboard metrics first, then the raw and normalized inputs alphabetically
+  const ordered = [
+    ...Object.keys(METRICS).filter((key) => keys.has(key)),
+    ...Array.from(keys)
+      .filter((key) => !METRICS[key])
+      .sort(),
+  ];
+  const metrics = ordered.map((key) => {
+    const all = matched.map((m) => m.deltas[key]).filter((v) => v !== undefined);
+    const values = all.filter(Number.isFinite);
+    return {
+      key,
+      label: METRICS[key]?.label ?? key,
+      count: values.length,
+      changed: values.filter((v) => Math.abs(v) > EPSILON).length,
+      missing: all.length - values.length,
+      mean: d3.mean(values),
+      meanAbs: d3.mean(values, Math.abs),
+      maxAbs: d3.max(values, Math.abs),
+    };
+  });
+
+  return {
+    matched,
+    added,
+    dropped,
+    duplicates: beforeIndex.duplicates + afterIndex.duplicates,
+    regionChanges: matched.filter((m) => m.before.properties?.region !== m.after.properties?.region).length,
+    metrics,
+  };
+}
+
+// hex_id → change in `key`, for painting the diverging layer
+export function deltasFor(diff, key) {
+  return new Map(
+    diff.matched.filter((m) => Number.isFinite(m.deltas[key])).map((m) => [m.id, m.deltas[key]]),
+  );
+}
+
+// Largest absolute changes first; float noise is not a move
+export function biggestMovers(diff, key, count = 10) {
+  return diff.matched
+    .filter((m) => Math.abs(m.deltas[key]) > EPSILON)
+    .sort((a, b) => d3.descending(Math.abs(a.deltas[key]), Math.abs(b.deltas[key])))
+    .slice(0, count);
+}
+
+export function hexKey(feature) {
+  return String(feature?.properties?.hex_id ?? featureId(feature));
+}
+
+// Minimal shape check for a file picked from disk
+export function assertFeatureCollection(json) {
+  if (json?.type !== "FeatureCollection" || !Array.isArray(json.features)) {
+    throw new Error("Not a GeoJSON FeatureCollection.");
+  }
+  if (!json.features.some((f) => f?.properties?.hex_id !== undefined || f?.id !== undefined)) {
+    throw new Error("Features have no hex_id to match on.");
+  }
+  return json;
+}
+
+// First feature wins when a hex_id repeats; the repeats are counted for the summary
+function indexByHexId(collection) {
+  const byId = new Map();
+  let duplicates = 0;
+  (collection?.features ?? []).forEach((feature) => {
+    const id = hexKey(feature);
+    if (byId.has(id)) duplicates += 1;
+    else byId.set(id, feature);
+  });
+  return { byId, duplicates };
+}
+
+function numericDeltas(before = {}, after = {}) {
+  const deltas = {};
+  new Set([...Object.keys(before), ...Object.keys(after)]).forEach((key) => {
+    if (key === "hex_id") return;
+    const a = before[key];
+    const b = after[key];
+    const aNum = typeof a === "number" && Number.isFinite(a);
+    const bNum = typeof b === "number" && Number.isFinite(b);
+    if (aNum && bNum) deltas[key] = b - a;
+    else if (aNum || bNum) deltas[key] = NaN;
+  });
+  return deltas;
+}
@@ -0,0 +1,65 @@
+// Hourly demand from the cached EIA-930 pull (region-data endpoint, type D):
+// one row per respondent and UTC hour, `value` in megawatthours.
+import * as d3 from "d3";
+import eiaHourlyCsvUrl from "../../old/eia_hourly_cached.csv?url";
+
+// Lower-48 total; far larger than any region, so it is opt-in on shared axes
+export const US48 = "US48";
+
+export const INTERVALS = {
+  hour: { label: "Hourly", floor: d3.utcHour },
+  day: { label: "Daily", floor: d3.utcDay },
+  week: { label: "Weekly", floor: d3.utcWeek },
+};
+
+const parsePeriod = d3.utcParse("%Y-%m-%dT%H");
+
+// Rows → [{ respondent, name, points: [{ time, value }] }] with points in time order
+export function parseEiaHourly(text) {
+  const rows = d3.csvParse(text, (d) => {
+    const time = parsePeriod(d.period);
+    const value = Number(d.value);
+    if (!time || d.type !== "D" || d.value === "" || !Number.isFinite(value)) return null;
+    return { time, respondent: d.respondent, name: d["respondent-name"], value };
+  });
+  return Array.from(d3.group(rows, (d) => d.respondent), ([respondent, points]) => ({
+    respondent,
+    name: points[0].name,
+    points: points.map(({ time, value }) => ({ time, value })).sort((a, b) => a.time - b.time),
+  })).sort((a, b) => d3.ascending(a.respondent, b.respondent));
+}
+
+// The demand explorer and the map timeline both read the pull; fetch and parse it once
+let hourlyPromise = null;
+
+export function loadEiaHourly() {
+  hourlyPromise ??= fetchEiaHourly().catch((err) => {
+    hourlyPromise = null;
+    throw err;
+  });
+  return hourlyPromise;
+}
+
+/**
+ * Mean hourly demand per interval bucket, i.e. average MW over the day/week.
+ * Buckets at the edges of the pull are partial; `hours` says how many hours
+ * each mean is based on.
+ */
+export function aggregateSeries(points, interval = "hour") {
+  if (interval === "hour") return points.map((p) => ({ ...p, hours: 1 }));
+  const { floor } = INTERVALS[interval];
+  return Array.from(
+    d3.rollup(
+      points,
+      (bucket) => ({ value: d3.mean(bucket, (p) => p.value), hours: bucket.length }),
+      (p) => +floor(p.time),
+    ),
+    ([time, { value, hours }]) => ({ time: new Date(time), value, hours }),
+  ).sort((a, b) => a.time - b.time);
+}
+
+async function fetchEiaHourly() {
+  const res = await fetch(eiaHourlyCsvUrl);
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  return parseEiaHourly(await res.text());
+}
@@ -0,0 +1,184 @@
+// Short-term demand forecasts for the hourly EIA series: seasonal naive, simple
+// exponential smoothing and additive Holt-Winters with a 24-hour season. Models
+// assume a contiguous hourly series (the cached pull has no gaps). Prediction
+// intervals use each model's analytic forecast variance from its one-step
+// in-sample residuals, so they are normal approximations, not bootstraps.
+import * as d3 from "d3";
+
+export const SEASON = 24;
+export const MIN_HORIZON = 24;
+export const MAX_HORIZON = 168;
+export const DEFAULT_HORIZON = 48;
+export const DEFAULT_MODEL = "holtWinters";
+
+export const MODELS = {
+  seasonalNaive: { label: "Seasonal naive", fit: fitSeasonalNaive },
+  ses: { label: "Exponential smoothing", fit: fitSes },
+  holtWinters: { label: "Holt-Winters (daily)", fit: fitHoltWinters },
+};
+
+// Two-sided normal quantiles for the shaded bands
+export const INTERVALS = [
+  { level: 80, z: 1.2816 },
+  { level: 95, z: 1.96 },
+];
+
+const BACKTEST_FOLDS = 3;
+const ALPHAS = d3.range(0.05, 1, 0.05);
+const HW_ALPHAS = d3.range(0.1, 1, 0.1);
+const HW_BETAS = [0, 0.005, 0.02, 0.05];
+const HW_GAMMAS = [0.05, 0.1, 0.2, 0.3, 0.4];
+
+/**
+ * Forecast `horizon` hours past the last point of `points` ([{ time, value }]).
+ * Returns { model, params, sigma, points: [{ time, mean, lower80, upper80, lower95, upper95 }], peak }.
+ */
+export function forecastSeries(points, modelKey = DEFAULT_MODEL, horizon = DEFAULT_HORIZON) {
+  const values = points.map((p) => p.value);
+  const fitted = MODELS[modelKey].fit(values);
+  const last = points[points.length - 1].time;
+  const forecast = fitted.predict(horizon).map(({ mean, sd }, i) => {
+    const point = { time: d3.utcHour.offset(last, i + 1), mean };
+    INTERVALS.forEach(({ level, z }) => {
+      // Demand can't go negative, whatever the normal approximation says
+      point[`lower${level}`] = Math.max(0, mean - z * sd);
+      point[`upper${level}`] = mean + z * sd;
+    });
+    return point;
+  });
+  const peak = d3.greatest(forecast, (p) => p.mean);
+  return {
+    model: modelKey,
+    params: fitted.params,
+    sigma: fitted.sigma,
+    points: forecast,
+    peak: { time: peak.time, value: peak.mean },
+  };
+}
+
+/**
+ * Rolling-origin backtest: refit on everything before each origin, forecast
+ * `horizon` hours and score against what happened. Origins step back one
+ * season at a time while at least three seasons remain to fit on.
+ * Returns { mape (percent), folds } or null when the series is too short.
+ */
+export function backtest(points, modelKey, horizon = DEFAULT_HORIZON) {
+  const values = points.map((p) => p.value);
+  const errors = [];
+  let folds = 0;
+  for (let k = 0; k < BACKTEST_FOLDS; k += 1) {
+    const origin = values.length - horizon - k * SEASON;
+    if (origin < 3 * SEASON) break;
+    const predicted = MODELS[modelKey].fit(values.slice(0, origin)).predict(horizon);
+    predicted.forEach(({ mean }, i) => {
+      const actual = values[origin + i];
+      if (actual) errors.push(Math.abs((actual - mean) / actual));
+    });
+    folds += 1;
+  }
+  return folds ? { mape: d3.mean(errors) * 100, folds } : null;
+}
+
+// MAPE of every model for one series, in MODELS order
+export function backtestAll(points, horizon = DEFAULT_HORIZON) {
+  return Object.keys(MODELS).map((key) => ({ model: key, label: MODELS[key].label, ...backtest(points, key, horizon) }));
+}
+
+function fitSeasonalNaive(values) {
+  const n = values.length;
+  const residuals = d3.range(SEASON, n).map((t) => values[t] - values[t - SEASON]);
+  const sigma = rms(residuals);
+  return {
+    params: {},
+    sigma,
+    // Each further season repeats the last observed day, adding one more step of error
+    predict: (h) =>
+      d3.range(h).map((i) => ({
+        mean: values[n - SEASON + (i % SEASON)],
+        sd: sigma * Math.sqrt(Math.floor(i / SEASON) + 1),
+      })),
+  };
+}
+
+function fitSes(values) {
+  const run = (alpha) => {
+    let level = values[0];
+    const residuals = [];
+    for (let t = 1; t < values.length; t += 1) {
+      const e = values[t] - level;
+      residuals.push(e);
+      level += alpha * e;
+    }
+    return { level, residuals, sse: d3.sum(residuals, (e) => e * e) };
+  };
+  const alpha = d3.least(ALPHAS, (a) => run(a).sse);
+  const { level, residuals } = run(alpha);
+  const sigma = rms(residuals);
+  return {
+    params: { alpha },
+    sigma,
+    predict: (h) => d3.range(h).map((i) => ({ mean: level, sd: sigma * Math.sqrt(1 + i * alpha * alpha) })),
+  };
+}
+
+// Additive ETS(A,A,A) in error-correction form, initialised from the first two seasons
+function fitHoltWinters(values) {
+  const n = values.length;
+  const first = d3.mean(values.slice(0, SEASON));
+  const second = d3.mean(values.slice(SEASON, 2 * SEASON));
+  const initial = {
+    level: first,
+    trend: (second - first) / SEASON,
+    seasonal: values.slice(0, SEASON).map((v) => v - first),
+  };
+
+  const run = (alpha, beta, gamma) => {
+    let { level, trend } = initial;
+    const seasonal = initial.seasonal.slice();
+    const residuals = [];
+    for (let t = SEASON; t < n; t += 1) {
+      const s = seasonal[t % SEASON];
+      const e = values[t] - (level + trend + s);
+      residuals.push(e);
+      level = level + trend + alpha * e;
+      trend += beta * e;
+      seasonal[t % SEASON] = s + gamma * e;
+    }
+    return { level, trend, seasonal, residuals, sse: d3.sum(residuals, (e) => e * e) };
+  };
+
+  let best = null;
+  HW_ALPHAS.forEach((alpha) =>
+    HW_BETAS.filter((beta) => beta <= alpha).forEach((beta) =>
+      HW_GAMMAS.filter((gamma) => gamma <= 1 - alpha).forEach((gamma) => {
+        const result = run(alpha, beta, gamma);
+        if (!best || result.sse < best.sse) best = { ...result, params: { alpha, beta, gamma } };
+      }),
+    ),
+  );
+
+  const { level, trend, seasonal, residuals, params } = best;
+  const sigma = rms(residuals);
+  return {
+    params,
+    sigma,
+    predict: (h) => {
+      let variance = 0;
+      return d3.range(h).map((i) => {
+        // Var(h) = σ²(1 + Σ_{j<h} c_j²), c_j = α + jβ + γ when j is a whole number of seasons
+        if (i > 0) {
+          const c = params.alpha + i * params.beta + (i % SEASON === 0 ? params.gamma : 0);
+          variance += c * c;
+        }
+        return {
+          mean: level + (i + 1) * trend + seasonal[(n + i) % SEASON],
+          sd: sigma * Math.sqrt(1 + variance),
+        };
+      });
+    },
+  };
+}
+
+function rms(values) {
+  return values.length ? Math.sqrt(d3.mean(values, (v) => v * v)) : 0;
+}
@@ -0,0 +1,114 @@
+// Offline place search over the bundled gazetteer (public/data/us_places.json):
+// typo-tolerant autocomplete without a geocoding API, so the site stays static.
+
+export const GAZETTEER_FILE = "us_places.json";
+
+// Edits allowed per query length: none below 3 characters, then one per 4
+const TYPO_RATE = 4;
+// Match quality, best first; typos add their edit count to MATCH.typo
+const MATCH = { exact: 0, prefix: 1, wordPrefix: 2, substring: 3, typo: 4 };
+
+let placesPromise = null;
+
+// Fetched on first use and shared; a failed fetch can be retried
+export function loadGazetteer(basePath = "/") {
+  placesPromise ??= fetchGazetteer(basePath).catch((err) => {
+    placesPromise = null;
+    throw err;
+  });
+  return placesPromise;
+}
+
+// Rows of the `fields` table → [{ name, state, lat, lon, tier, label, key, words }]
+export function parseGazetteer(json) {
+  const fields = json?.fields ?? [];
+  return (json?.places ?? []).map((row) => {
+    const place = Object.fromEntries(fields.map((field, i) => [field, row[i]]));
+    const key = normalize(place.name);
+    return { ...place, label: `${place.name}, ${place.state}`, key, words: key.split(" ") };
+  });
+}
+
+/**
+ * Best matches for a typed query, e.g. "boise", "boize", "portland me" or
+ * "st louis". A trailing state code narrows the search. Ranked by match quality,
+ * then size tier, then file order.
+ */
+export function searchPlaces(places, query, limit = 8) {
+  let text = normalize(query);
+  if (!text) return [];
+  let state = null;
+  const stateMatch = text.match(/^(.+?) ([a-z]{2})$/);
+  if (stateMatch && places.some((p) => p.state.toLowerCase() === stateMatch[2])) {
+    [, text, state] = stateMatch;
+  }
+  const maxEdits = text.length < 3 ? 0 : Math.ceil(text.length / TYPO_RATE);
+
+  return places
+    .map((place, order) => {
+      if (state && place.state.toLowerCase() !== state) return null;
+      const score = matchScore(place, text, maxEdits);
+      return score === null ? null : { place, score, order };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.score - b.score || a.place.tier - b.place.tier || a.order - b.order)
+    .slice(0, limit)
+    .map((m) => m.place);
+}
+
+async function fetchGazetteer(basePath) {
+  const res = await fetch(`${basePath}data/${GAZETTEER_FILE}`);
+  if (!res.ok) throw new Error(`Couldn't load ${GAZETTEER_FILE} (HTTP ${res.status}).`);
+  return parseGazetteer(await res.json());
+}
+
+function matchScore(place, text, maxEdits) {
+  if (place.key === text) return MATCH.exact;
+  if (place.key.startsWith(text)) return MATCH.prefix;
+  if (place.words.some((word) => word.startsWith(text))) return MATCH.wordPrefix;
+  if (text.length >= 3 && place.key.includes(text)) return MATCH.substring;
+  if (!maxEdits) return null;
+  // Autocomplete: compare with the name cut to the typed length, and with the whole name
+  const edits = Math.min(
+    editDistance(text, place.key.slice(0, text.length), maxEdits),
+    editDistance(text, place.key, maxEdits),
+  );
+  return edits <= maxEdits ? MATCH.typo + edits : null;
+}
+
+// Lowercase, no accents or punctuation, "saint"/"fort"/"mount" spelled like the file's abbreviations
+function normalize(text) {
+  return String(text ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, " ")
+    .replace(/\bsaint\b/g, "st")
+    .replace(/\bft\b/g, "fort")
+    .replace(/\bmt\b/g, "mount")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Optimal string alignment distance (transpositions count once); gives up past `max`
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i += 1) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        row[j] = Math.min(row[j], prevPrev[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, row[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
@@ -0,0 +1,135 @@
+// GridScore weighting shared by the dashboard and the data pipeline.
+// Mirrors datacenter_score_real.ipynb (regional factors) and
+// generate_hex_score_map.py (per-hex cooling/elevation micro-weights).
+export const DEFAULT_WEIGHTS = {
+  // Top-level split; kept as two numbers so 0.6/0.4 stay exact floats
+  sustainability: 0.6,
+  profitability: 0.4,
+  // Regional sustainability factors
+  renew: 0.7,
+  regionTemp: 0.3,
+  // Regional profitability factors
+  price: 0.4,
+  load: 0.3,
+  volatility: 0.3,
+  // Per-hex micro-weights (TEMP_WEIGHT / ELEV_WEIGHT)
+  temp: 0.15,
+  elev: 0.05,
+};
+
+export const WEIGHT_GROUPS = [
+  {
+    id: "sustainability",
+    label: "Sustainability",
+    weights: [
+      { key: "renew", label: "Renewable share", factor: "n_renew" },
+      { key: "regionTemp", label: "Regional climate", factor: "n_temp" },
+      { key: "temp", label: "Hex cooling (TEMP_WEIGHT)", factor: "temp_cool_score" },
+      { key: "elev", label: "Elevation (ELEV_WEIGHT)", factor: "elev_norm" },
+    ],
+  },
+  {
+    id: "profitability",
+    label: "Profitability",
+    weights: [
+      { key: "price", label: "Price", factor: "n_price" },
+      { key: "load", label: "Load headroom", factor: "n_load" },
+      { key: "volatility", label: "Volatility", factor: "n_volatility" },
+    ],
+  },
+];
+
+export function regionSustainability(props, weights = DEFAULT_WEIGHTS) {
+  return weights.renew * num(props.n_renew) + weights.regionTemp * num(props.n_temp);
+}
+
+export function regionProfitability(props, weights = DEFAULT_WEIGHTS) {
+  return (
+    weights.price * num(props.n_price) +
+    weights.load * num(props.n_load) +
+    weights.volatility * num(props.n_volatility)
+  );
+}
+
+// Same operation order as compute_hex_scores so default weights reproduce the file
+export function hexSustainability(regional, tempCoolScore, elevNorm, weights = DEFAULT_WEIGHTS) {
+  return regional + num(tempCoolScore) * weights.temp + num(elevNorm) * weights.elev;
+}
+
+export function gridScore(sustainability, profitability, weights = DEFAULT_WEIGHTS) {
+  return weights.sustainability * sustainability + weights.profitability * profitability;
+}
+
+export function scoreProperties(props, weights = DEFAULT_WEIGHTS) {
+  const sustainability = hexSustainability(
+    regionSustainability(props, weights),
+    props.temp_cool_score,
+    props.elev_norm,
+    weights,
+  );
+  const profitability = regionProfitability(props, weights);
+  const dcScore = gridScore(sustainability, profitability, weights);
+  return {
+    sustainability,
+    profitability,
+    dc_score: dcScore,
+    dc_score_temp: dcScore, // cooling-adjusted aligns with dc_score per hex
+  };
+}
+
+// Per-factor contributions to dc_score, in WEIGHT_GROUPS order; they sum to
+// gridScore() for the same weights (used by the waterfall breakdown).
+export function scoreBreakdown(props, weights = DEFAULT_WEIGHTS) {
+  return WEIGHT_GROUPS.flatMap((group) =>
+    group.weights.map(({ key, label, factor }) => {
+      const value = num(props?.[factor]);
+      return {
+        key,
+        label,
+        factor,
+        group: group.id,
+        value,
+        weight: weights[key],
+        contribution: weights[group.id] * weights[key] * value,
+      };
+    }),
+  );
+}
+
+// Returns new feature objects (cached _centroid/_bounds are carried over).
+// `regionOverrides` ({ [region]: { n_load, ... } }) replaces regional factors
+// before scoring, e.g. a load factor from forecast peaks.
+export function rescoreFeatures(features, weights = DEFAULT_WEIGHTS, regionOverrides = null) {
+  return (features ?? []).map((f) => {
+    const props = { ...f.properties, ...regionOverrides?.[f.properties?.region] };
+    return { ...f, properties: { ...props, ...scoreProperties(props, weights) } };
+  });
+}
+
+// normalize(series, invert) from datacenter_score_real.ipynb: min-max across
+// regions (inverted, 1 is the lowest value); 0.5 everywhere when all regions are equal
+export function normalizeAcrossRegions(valuesByRegion, invert = false) {
+  const values = Object.values(valuesByRegion).filter(Number.isFinite);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  return Object.fromEntries(
+    Object.entries(valuesByRegion).map(([region, v]) => {
+      if (max === min) return [region, 0.5];
+      const norm = (v - min) / (max - min);
+      return [region, invert ? 1 - norm : norm];
+    }),
+  );
+}
+
+export function invertedMinMax(valuesByRegion) {
+  return normalizeAcrossRegions(valuesByRegion, true);
+}
+
+export function isDefaultWeights(weights) {
+  return Object.keys(DEFAULT_WEIGHTS).every((key) => weights?.[key] === DEFAULT_WEIGHTS[key]);
+}
+
+function num(v) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : 0;
+}
@@ -0,0 +1,108 @@
+// H3 index for the score hexes plus coarser parent-resolution aggregates, so
+// continental zooms show a few large cells instead of ~1.7k small ones.
+import * as d3 from "d3";
+import { cellToBoundary, cellToLatLng, cellToParent, latLngToCell } from "h3-js";
+import { DEFAULT_METRIC, METRICS, formatValue, valueFor } from "./scoreMapCore.js";
+
+// Res 4 (~1,770 km²) is the closest H3 size to the native grid (~6,500 km²)
+// and gives almost every hex its own cell, which makes it a good join key
+export const H3_INDEX_RES = 4;
+
+// Coarsest level first; above the last maxZoom the native grid is shown
+export const AGGREGATION_LEVELS = [
+  { maxZoom: 3, res: 1 },
+  { maxZoom: 4.5, res: 2 },
+];
+export const NATIVE_MIN_ZOOM = AGGREGATION_LEVELS[AGGREGATION_LEVELS.length - 1].maxZoom;
+
+export function h3Index(feature, res = H3_INDEX_RES) {
+  const [lon, lat] = feature._centroid ?? d3.geoCentroid(feature);
+  return latLngToCell(lat, lon, res);
+}
+
+export function resolutionForZoom(zoom) {
+  return AGGREGATION_LEVELS.find((level) => zoom < level.maxZoom)?.res ?? null;
+}
+
+export function isAggregate(feature) {
+  return Boolean(feature?._aggregate);
+}
+
+/**
+ * Group hexes by their parent H3 cell and summarise every registry metric.
+ * Each cell's `metric` property is the mean (so existing color expressions apply)
+ * with `metric_min`, `metric_max` and `metric_count` alongside. When `passes` is
+ * given, stats only use passing hexes and `pass_count` records how many there were.
+ */
+export function aggregateFeatures(features, res, passes = null) {
+  // H3 cells don't nest exactly, so a centroid near a parent's edge can land in a
+  // neighbouring coarse cell; group by the stored cell's parent instead
+  const groups = d3.group(features, (f) => (f._h3 ? cellToParent(f._h3, res) : h3Index(f, res)));
+
+  return Array.from(groups, ([cell, children]) => {
+    const passing = passes ? children.filter(passes) : children;
+    const members = passing.length ? passing : children;
+    const properties = {
+      hex_id: cell,
+      h3: cell,
+      h3_res: res,
+      child_count: children.length,
+      pass_count: passing.length,
+      regions: Array.from(new Set(children.map((f) => f.properties?.region).filter(Boolean))).sort().join(", "),
+    };
+    Object.keys(METRICS).forEach((key) => {
+      const values = members.map((f) => valueFor(f, key)).filter((v) => v !== null);
+      if (!values.length) return;
+      properties[key] = d3.mean(values);
+      properties[`${key}_min`] = d3.min(values);
+      properties[`${key}_max`] = d3.max(values);
+      properties[`${key}_count`] = values.length;
+    });
+
+    // H3 rings are counter-clockwise (RFC 7946); d3's spherical polygons want clockwise
+    const ring = cellToBoundary(cell, true).reverse();
+    const [lat, lon] = cellToLatLng(cell);
+    const feature = {
+      type: "Feature",
+      id: cell,
+      properties,
+      geometry: { type: "Polygon", coordinates: [ring] },
+      _aggregate: true,
+      _centroid: [lon, lat],
+    };
+    feature._bounds = d3.geoBounds(feature);
+    return feature;
+  });
+}
+
+// Same shape as tooltipModel(), with each value shown as "mean (min – max)"
+export function aggregateTooltipModel(feature, metric) {
+  const props = feature.properties ?? {};
+  const [lon, lat] = feature._centroid;
+  const spread = (key, digits = METRICS[key]?.digits ?? 3) => {
+    const mean = valueFor(feature, key);
+    if (mean === null) return "—";
+    const lo = formatValue(props[`${key}_min`], digits);
+    const hi = formatValue(props[`${key}_max`], digits);
+    return `${formatValue(mean, digits)} (${lo} – ${hi})`;
+  };
+  const active = METRICS[metric] ? metric : DEFAULT_METRIC;
+
+  return {
+    title: `H3 cell · res ${props.h3_res} · ${props.child_count} hexes`,
+    region: props.regions || null,
+    location: `${formatValue(lat, 2)}, ${formatValue(lon, 2)}`,
+    primary: { key: active, label: `${METRICS[active].label} (mean)`, value: spread(active) },
+    rows: [
+      { label: "Regions", value: props.regions || "—" },
+      { label: "GridScore", value: spread("dc_score") },
+      { label: "Profitability", value: spread("profitability") },
+      { label: "Sustainability", value: spread("sustainability") },
+      { label: "Local temp (°C)", value: spread("local_temp_c", 1) },
+      { label: "Elevation (m)", value: spread("elevation_m", 0) },
+      ...(props.pass_count !== props.child_count
+        ? [{ label: "Passing filters", value: `${props.pass_count} of ${props.child_count}` }]
+        : []),
+    ],
+  };
+}
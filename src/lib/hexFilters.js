@@ -0,0 +1,21 @@
+// Multi-criteria range rules: { [metric]: [min, max] }. A hex passes when every
+// rule holds; hexes with no value for a filtered metric fail that rule.
+export function passesFilters(feature, filters) {
+  if (!filters) return true;
+  for (const [key, range] of Object.entries(filters)) {
+    if (!range) continue;
+    const raw = feature?.properties?.[key];
+    const v = raw === null || raw === undefined ? NaN : Number(raw);
+    if (!Number.isFinite(v) || v < range[0] || v > range[1]) return false;
+  }
+  return true;
+}
+
+export function activeFilterCount(filters) {
+  return Object.values(filters ?? {}).filter(Boolean).length;
+}
+
+export function applyFilters(features, filters) {
+  if (!activeFilterCount(filters)) return features;
+  return features.filter((f) => passesFilters(f, filters));
+}
@@ -0,0 +1,227 @@
+// Hexes as a Mapbox GL GeoJSON source + data-driven layers, so pan/zoom is drawn
+// entirely on the GPU. Colors are style expressions; hover, selection, compare
+// outlines and filter masks are feature-state, updated only when they change.
+import { BIVARIATE_PALETTE, BIVARIATE_X, BIVARIATE_Y } from "./bivariate.js";
+import { NO_DATA_COLOR, PALETTE_SIZE, featureId } from "./scoreMapCore.js";
+
+const SOURCE = "hexes";
+const LAYERS = {
+  fill: "hex-fill",
+  outline: "hex-outline",
+  classMatch: "hex-class-match",
+  hover: "hex-hover",
+  compare: "hex-compare",
+  selected: "hex-selected",
+};
+// Palette stops baked into the interpolate expression; 256 adds nothing visible
+const EXPRESSION_STOPS = 64;
+
+const state = (key, fallback = false) => ["coalesce", ["feature-state", key], fallback];
+
+export function createHexLayer(map) {
+  // featureId (as string) -> promoted hex_id used for feature-state
+  let currentFeatures = null;
+  let stateIds = new Map();
+  let hoverId = null;
+  let selectedId = null;
+  let compared = new Map();
+  let masks = new Map();
+  let fillKey = null;
+  let maskKey = null;
+  let outlineKey = null;
+
+  map.addSource(SOURCE, {
+    type: "geojson",
+    data: { type: "FeatureCollection", features: [] },
+    promoteId: "hex_id",
+  });
+  map.addLayer({
+    id: LAYERS.fill,
+    type: "fill",
+    source: SOURCE,
+    paint: {
+      "fill-color": NO_DATA_COLOR,
+      "fill-opacity": ["case", state("hidden"), 0, state("dimmed"), 0.12, 0.7],
+      "fill-color-transition": { duration: 300 },
+    },
+  });
+  map.addLayer({
+    id: LAYERS.outline,
+    type: "line",
+    source: SOURCE,
+    paint: {
+      "line-color": "rgba(255,255,255,0.15)",
+      "line-width": 0.35,
+      "line-opacity": ["case", state("hidden"), 0, 1],
+    },
+  });
+  map.addLayer({
+    id: LAYERS.classMatch,
+    type: "line",
+    source: SOURCE,
+    paint: {
+      "line-color": "rgba(15,23,42,0.85)",
+      "line-width": 1.1,
+      "line-opacity": ["case", state("classMatch"), 0.95, 0],
+    },
+  });
+  map.addLayer({
+    id: LAYERS.hover,
+    type: "line",
+    source: SOURCE,
+    paint: {
+      "line-color": "rgba(255,255,255,0.9)",
+      "line-width": 1.2,
+      "line-opacity": ["case", state("hover"), 0.95, 0],
+    },
+  });
+  map.addLayer({
+    id: LAYERS.compare,
+    type: "line",
+    source: SOURCE,
+    paint: {
+      "line-color": ["to-color", state("compareColor", "rgba(0,0,0,0)")],
+      "line-width": 2.2,
+      "line-dasharray": [2, 1.4],
+      "line-opacity": ["case", ["to-boolean", ["feature-state", "compareColor"]], 1, 0],
+    },
+  });
+  map.addLayer({
+    id: LAYERS.selected,
+    type: "line",
+    source: SOURCE,
+    paint: {
+      "line-color": "#00ff80",
+      "line-width": 2,
+      "line-blur": 0.5,
+      "line-opacity": ["case", state("selected"), 1, 0],
+    },
+  });
+
+  const setState = (id, patch) => {
+    const sid = stateIds.get(String(id));
+    if (sid === undefined) return;
+    map.setFeatureState({ source: SOURCE, id: sid }, patch);
+  };
+
+  return {
+    setFeatures(features) {
+      if (features === currentFeatures) return;
+      currentFeatures = features;
+      stateIds = new Map(features.map((f) => [String(featureId(f)), f.properties?.hex_id]));
+      map.getSource(SOURCE)?.setData({
+        type: "FeatureCollection",
+        // Drop the cached _centroid/_bounds; the worker only needs geometry + properties
+        features: features.map((f) => ({ type: "Feature", id: f.id, properties: f.properties, geometry: f.geometry })),
+      });
+      // Re-apply states for ids that may be new after a data swap
+      masks.forEach((mask, id) => setState(id, mask));
+      compared.forEach((color, id) => setState(id, { compareColor: color }));
+      if (hoverId !== null) setState(hoverId, { hover: true });
+      if (selectedId !== null) setState(selectedId, { selected: true });
+    },
+
+    // `key` is a list of inputs; the expression is only rebuilt when one of them changes
+    setFill(key, buildExpression) {
+      if (sameKey(key, fillKey)) return;
+      fillKey = key;
+      map.setPaintProperty(LAYERS.fill, "fill-color", buildExpression());
+    },
+
+    // Hex seams by default; region mode draws heavier boundaries
+    setOutline({ color, width }) {
+      if (sameKey([color, width], outlineKey)) return;
+      outlineKey = [color, width];
+      map.setPaintProperty(LAYERS.outline, "line-color", color);
+      map.setPaintProperty(LAYERS.outline, "line-width", width);
+    },
+
+    setHover(id) {
+      if (String(id) === String(hoverId)) return;
+      if (hoverId !== null) setState(hoverId, { hover: false });
+      hoverId = id;
+      if (id !== null) setState(id, { hover: true });
+    },
+
+    setSelected(id) {
+      if (String(id) === String(selectedId)) return;
+      if (selectedId !== null) setState(selectedId, { selected: false });
+      selectedId = id;
+      if (id !== null) setState(id, { selected: true });
+    },
+
+    setCompared(entries) {
+      const next = new Map(entries.map((e) => [String(e.id), e.color]));
+      compared.forEach((color, id) => {
+        const sid = stateIds.get(id);
+        if (!next.has(id) && sid !== undefined) map.removeFeatureState({ source: SOURCE, id: sid }, "compareColor");
+      });
+      next.forEach((color, id) => {
+        if (compared.get(id) !== color) setState(id, { compareColor: color });
+      });
+      compared = next;
+    },
+
+    // maskFor(feature) -> { hidden, dimmed, classMatch }; recomputed only when `key` changes
+    setMasks(key, features, maskFor) {
+      if (sameKey(key, maskKey)) return;
+      maskKey = key;
+      const next = new Map();
+      features.forEach((f) => {
+        const mask = maskFor(f);
+        if (mask.hidden || mask.dimmed || mask.classMatch) next.set(String(featureId(f)), mask);
+      });
+      const cleared = { hidden: false, dimmed: false, classMatch: false };
+      masks.forEach((mask, id) => {
+        if (!next.has(id)) setState(id, cleared);
+      });
+      next.forEach((mask, id) => {
+        const prev = masks.get(id);
+        if (!prev || prev.hidden !== mask.hidden || prev.dimmed !== mask.dimmed || prev.classMatch !== mask.classMatch) {
+          setState(id, { ...cleared, ...mask });
+        }
+      });
+      masks = next;
+    },
+  };
+}
+
+// Continuous palette color for a numeric property; missing values get the no-data color
+export function metricFillExpression(metric, domain, palette) {
+  const [min, max] = domain;
+  if (!palette || !(max > min)) return NO_DATA_COLOR;
+  const stops = [];
+  for (let i = 0; i < EXPRESSION_STOPS; i += 1) {
+    const t = i / (EXPRESSION_STOPS - 1);
+    stops.push(min + t * (max - min), palette[Math.floor(t * (PALETTE_SIZE - 1))]);
+  }
+  return [
+    "case",
+    ["==", ["typeof", ["get", metric]], "number"],
+    ["interpolate", ["linear"], ["number", ["get", metric]], ...stops],
+    NO_DATA_COLOR,
+  ];
+}
+
+// Same classes as bivariateClass(): value <= first break is low, <= second is mid
+export function bivariateFillExpression(breaks) {
+  const classOf = (key, [b1, b2]) => {
+    const value = ["number", ["get", key]];
+    return ["case", ["<=", value, b1], 0, ["<=", value, b2], 1, 2];
+  };
+  const index = ["+", ["*", classOf(BIVARIATE_Y.key, breaks.y), 3], classOf(BIVARIATE_X.key, breaks.x)];
+  return [
+    "case",
+    [
+      "all",
+      ["==", ["typeof", ["get", BIVARIATE_X.key]], "number"],
+      ["==", ["typeof", ["get", BIVARIATE_Y.key]], "number"],
+    ],
+    ["match", index, ...BIVARIATE_PALETTE.flatMap((color, i) => [i, color]), NO_DATA_COLOR],
+    NO_DATA_COLOR,
+  ];
+}
+
+function sameKey(a, b) {
+  return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((v, i) => v === b[i]);
+}
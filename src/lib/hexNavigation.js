@@ -0,0 +1,86 @@
+// Keyboard navigation of the hex grid for both renderers: arrow keys step to the
+// neighbouring cell in that direction by centroid, and every step is read out
+// from the same model the tooltip shows.
+import * as d3 from "d3";
+import { featureId } from "./scoreMapCore.js";
+import { isRegion, regionName } from "./regions.js";
+
+// Screen direction per arrow key, as [east, north]
+export const NAV_KEYS = {
+  ArrowRight: [1, 0],
+  ArrowLeft: [-1, 0],
+  ArrowUp: [0, 1],
+  ArrowDown: [0, -1],
+};
+
+export const NAV_INSTRUCTIONS =
+  "Arrow keys move between neighbouring cells, Enter opens details, Escape leaves the cursor.";
+
+// Neighbours sit 60° apart, so a ±60° cone around the key's direction always
+// holds one unless the grid ends there
+const MAX_ANGLE = Math.PI / 3 + 1e-6;
+// Longest step in degrees between hexes (about three cells); past it the grid has
+// a gap or an edge. Regions step to the regions they border instead.
+const MAX_STEP = 3;
+// Rows read out after the title and primary metric, when the model has them
+const SPOKEN_ROWS = ["GridScore", "Sustainability", "Profitability", "Hexes"];
+
+export function centroidOf(feature) {
+  return feature._centroid ?? d3.geoCentroid(feature);
+}
+
+/**
+ * The cell to move to from `current` for an arrow key: the closest centroid
+ * within ±60° of that direction, favouring straight ahead. Longitude is scaled
+ * by cos(latitude) so east-west and north-south steps compare. A region only
+ * steps to a region it shares an edge with, however far apart their labels
+ * are. Null at an edge.
+ */
+export function neighborInDirection(features, current, key) {
+  const direction = NAV_KEYS[key];
+  if (!direction || !current) return null;
+  const [lon0, lat0] = centroidOf(current);
+  const kx = Math.cos((lat0 * Math.PI) / 180);
+  const currentId = String(featureId(current));
+  const bordering = isRegion(current) ? new Set(current._neighbors ?? []) : null;
+  const maxStep = bordering ? Infinity : MAX_STEP;
+  return (
+    d3.least(
+      features
+        .filter((f) => String(featureId(f)) !== currentId && (!bordering || bordering.has(featureId(f))))
+        .map((f) => {
+          const [lon, lat] = centroidOf(f);
+          const dx = (lon - lon0) * kx;
+          const dy = lat - lat0;
+          const distance = Math.hypot(dx, dy);
+          if (!distance || distance > maxStep) return null;
+          const angle = Math.acos(Math.max(-1, Math.min(1, (dx * direction[0] + dy * direction[1]) / distance)));
+          return angle <= MAX_ANGLE ? { feature: f, cost: distance * (1 + angle) } : null;
+        })
+        .filter(Boolean),
+      (c) => c.cost,
+    )?.feature ?? null
+  );
+}
+
+// Where the cursor starts: the cell whose centroid is closest to [lon, lat]
+export function nearestFeature(features, [lon, lat]) {
+  return d3.least(features, (f) => {
+    const [x, y] = centroidOf(f);
+    return (x - lon) ** 2 + (y - lat) ** 2;
+  }) ?? null;
+}
+
+// Short sentences from a tooltipModel()-shaped object, for an aria-live region;
+// long decimals are cut to three places so they're quick to hear. `allRows`
+// reads every row, as when details are opened.
+export function describeModel(model, allRows = false) {
+  const spoken = (value) => value.replace(/(\d+\.\d{3})\d+/g, "$1");
+  let title = model.title.replaceAll(" · ", ", ");
+  const name = model.region ? regionName(model.region) : null;
+  if (name && !title.includes(name)) title += ` (${name})`;
+  const rows = model.rows
+    .filter((row) => (allRows || SPOKEN_ROWS.includes(row.label)) && row.label !== model.primary.label)
+    .map((row) => `${row.label} ${spoken(row.value)}`);
+  return [title, `${model.primary.label} ${spoken(model.primary.value)}`, ...rows, `At ${model.location}`].join(". ");
+}
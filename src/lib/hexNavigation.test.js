@@ -0,0 +1,31 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import * as d3 from "d3";
+import { neighborInDirection } from "./hexNavigation.js";
+import { dissolveRegions, regionFeatures, regionStats } from "./regions.js";
+
+const json = JSON.parse(readFileSync(new URL("../../public/data/score_map_hex.json", import.meta.url), "utf8"));
+const hexes = json.features.map((f) => ({ ...f, _centroid: d3.geoCentroid(f) }));
+const regions = regionFeatures(dissolveRegions(hexes), regionStats(hexes));
+const region = (code) => regions.find((r) => r.id === code);
+
+test("arrow keys step between bordering regions", () => {
+  assert.equal(neighborInDirection(regions, region("NY"), "ArrowRight")?.id, "NE");
+  assert.equal(neighborInDirection(regions, region("NE"), "ArrowLeft")?.id, "NY");
+  assert.equal(neighborInDirection(regions, region("CAL"), "ArrowRight")?.id, "SW");
+});
+
+test("every region reaches a neighbour with some arrow key", () => {
+  regions.forEach((r) => {
+    const steps = ["ArrowRight", "ArrowLeft", "ArrowUp", "ArrowDown"].map((key) =>
+      neighborInDirection(regions, r, key),
+    );
+    assert.ok(steps.some(Boolean), `${r.id} has no neighbour in any direction`);
+  });
+});
+
+test("regions don't step across the map to a region they don't border", () => {
+  assert.equal(neighborInDirection(regions, region("FLA"), "ArrowRight"), null);
+  assert.equal(neighborInDirection(regions, region("CAL"), "ArrowLeft"), null);
+});
@@ -0,0 +1,100 @@
+// Locating hexes: the centroid quadtree + geoContains hit test behind hover and
+// click, and the go-to box that accepts a hex_id, a "lat, lon" pair or a region.
+import * as d3 from "d3";
+import { featureId } from "./scoreMapCore.js";
+import { REGION_NAMES } from "./regions.js";
+
+// Degrees around a point searched for the nearest centroid; hexes are ~1° across
+const HIT_RADIUS = 0.8;
+
+// Centroid quadtree for hit testing; each point is [lon, lat, feature]
+export function buildHitIndex(features) {
+  return d3
+    .quadtree()
+    .x((d) => d[0])
+    .y((d) => d[1])
+    .addAll(
+      features.map((f) => {
+        const c = f._centroid ?? [0, 0];
+        return [c[0], c[1], f];
+      }),
+    );
+}
+
+// Feature containing [lon, lat]: nearest centroid first, then a bounds-checked linear search
+export function featureAt(index, features, point) {
+  const nearest = index?.find(point[0], point[1], HIT_RADIUS);
+  if (nearest?.[2] && d3.geoContains(nearest[2], point)) return nearest[2];
+  return (
+    features.find((f) => {
+      const b = f._bounds;
+      if (b) {
+        const [[minLon, minLat], [maxLon, maxLat]] = b;
+        if (point[0] < minLon || point[0] > maxLon || point[1] < minLat || point[1] > maxLat) return false;
+      }
+      return d3.geoContains(f, point);
+    }) ?? null
+  );
+}
+
+/**
+ * Read a go-to query as { kind: "hex", id }, { kind: "point", lon, lat },
+ * { kind: "region", code } or { kind: "invalid", message }; null when blank.
+ * "12", "#12" and "hex 12" are hex ids; "39.5, -98.4" is lat, lon (a pair that
+ * only makes sense as lon, lat is swapped); regions match by code only, so names
+ * like "New York" are left to the place search.
+ */
+export function parseGoToQuery(text) {
+  const query = String(text ?? "").trim();
+  if (!query) return null;
+
+  const hex = query.match(/^(?:#|hex\s*)?(\d+)$/i);
+  if (hex) return { kind: "hex", id: Number(hex[1]) };
+
+  const pair = query.match(/^(-?\d+(?:\.\d+)?)°?\s*[,\s]\s*(-?\d+(?:\.\d+)?)°?$/);
+  if (pair) {
+    const [a, b] = [Number(pair[1]), Number(pair[2])];
+    if (Math.abs(a) <= 90 && Math.abs(b) <= 180) return { kind: "point", lat: a, lon: b };
+    if (Math.abs(b) <= 90 && Math.abs(a) <= 180) return { kind: "point", lat: b, lon: a };
+    return { kind: "invalid", message: `${query} is not a valid latitude, longitude.` };
+  }
+
+  const code = query.toUpperCase();
+  if (REGION_NAMES[code]) return { kind: "region", code };
+
+  return {
+    kind: "invalid",
+    message: `Try a hex id (e.g. 512), "lat, lon" (e.g. 39.5, -98.4) or a region code (${Object.keys(REGION_NAMES).join(", ")}).`,
+  };
+}
+
+/**
+ * Resolve a parsed query against the scored hexes: { feature } for a hex or a
+ * point inside one, { region, center, zoom } for a region (camera from its hexes'
+ * centroids), or { message } when nothing matches.
+ */
+export function resolveGoTo(query, features, index) {
+  if (!query) return null;
+  if (query.kind === "invalid") return { message: query.message };
+  if (query.kind === "hex") {
+    const feature = features.find((f) => String(featureId(f)) === String(query.id));
+    return feature ? { feature } : { message: `No hex with id ${query.id}.` };
+  }
+  if (query.kind === "point") {
+    const feature = featureAt(index, features, [query.lon, query.lat]);
+    return feature
+      ? { feature }
+      : { message: `No scored hex at ${query.lat.toFixed(2)}, ${query.lon.toFixed(2)}; the grid covers the lower 48.` };
+  }
+  const centroids = features.filter((f) => f.properties?.region === query.code).map((f) => f._centroid ?? d3.geoCentroid(f));
+  if (!centroids.length) return { message: `No hexes in region ${query.code}.` };
+  const [minLon, maxLon] = d3.extent(centroids, (c) => c[0]);
+  const [minLat, maxLat] = d3.extent(centroids, (c) => c[1]);
+  // Zoom that fits the wider of the two spans in roughly 800 px of a 512 px world
+  const span = Math.max(maxLon - minLon, (maxLat - minLat) * 1.3, 1);
+  return {
+    region: query.code,
+    center: [(minLon + maxLon) / 2, (minLat + maxLat) / 2],
+    zoom: Math.max(3, Math.min(6.5, Math.log2((360 / span) * (800 / 512)))),
+  };
+}
@@ -0,0 +1,99 @@
+// Hour-by-hour regional load inputs for the map timeline. Each frame rebuilds
+// what datacenter_score_real.ipynb derives from the demand series, but as of one
+// hour of the cached EIA pull instead of the latest one:
+//   raw_load       demand in that hour
+//   raw_peak       max demand over the trailing window
+//   raw_volatility std of demand over the trailing window (the notebook uses 24h)
+// n_load and n_volatility are re-normalized across regions every frame. Price
+// stays at the snapshot value.
+import * as d3 from "d3";
+import { US48 } from "./eiaHourly.js";
+import { gridScore, invertedMinMax, regionProfitability, scoreProperties } from "./gridscore.js";
+
+export const TIMELINE_WINDOWS = [
+  { hours: 24, label: "24h" },
+  { hours: 72, label: "3 days" },
+  { hours: 168, label: "7 days" },
+];
+export const DEFAULT_WINDOW_HOURS = 24;
+
+/**
+ * One frame per hour at which every region has a full trailing window:
+ * [{ time, overrides: { [region]: { raw_load, raw_peak, raw_volatility, n_load, n_volatility } } }].
+ * `overrides` is in the shape rescoreFeatures() takes.
+ */
+export function conditionFrames(series, windowHours = DEFAULT_WINDOW_HOURS) {
+  const regions = (series ?? [])
+    .filter((s) => s.respondent !== US48 && s.points.length)
+    .map((s) => ({
+      region: s.respondent,
+      first: s.points[0].time,
+      last: s.points[s.points.length - 1].time,
+      demand: new Map(s.points.map((p) => [+p.time, p.value])),
+    }));
+  if (!regions.length) return [];
+
+  const start = d3.utcHour.offset(d3.max(regions, (r) => r.first), windowHours - 1);
+  const end = d3.min(regions, (r) => r.last);
+  return d3.utcHour.range(start, d3.utcHour.offset(end, 1)).map((time) => {
+    const hours = d3.utcHour.range(d3.utcHour.offset(time, 1 - windowHours), d3.utcHour.offset(time, 1));
+    const raw = {};
+    regions.forEach(({ region, demand }) => {
+      const values = hours.map((t) => demand.get(+t)).filter(Number.isFinite);
+      // A region with gaps in this window keeps its snapshot inputs
+      if (values.length < 2) return;
+      raw[region] = {
+        raw_load: demand.get(+time) ?? values[values.length - 1],
+        raw_peak: d3.max(values),
+        raw_volatility: d3.deviation(values),
+      };
+    });
+    const nLoad = invertedMinMax(pluck(raw, "raw_load"));
+    const nVolatility = invertedMinMax(pluck(raw, "raw_volatility"));
+    const overrides = Object.fromEntries(
+      Object.entries(raw).map(([region, inputs]) => [
+        region,
+        { ...inputs, n_load: nLoad[region], n_volatility: nVolatility[region] },
+      ]),
+    );
+    return { time, overrides };
+  });
+}
+
+/**
+ * Extents of the time-varying scores over every frame, so the color scale holds
+ * still during playback and a shift in color is a shift in score. Cheap: regional
+ * profitability is one value per region, and dc_score is monotone in both parts.
+ */
+export function frameDomains(features, frames, weights) {
+  const byRegion = d3.rollup(
+    features ?? [],
+    (hexes) => ({
+      props: hexes[0].properties,
+      sustainability: d3.extent(hexes, (f) => scoreProperties(f.properties, weights).sustainability),
+    }),
+    (f) => f.properties?.region,
+  );
+  const profit = [Infinity, -Infinity];
+  const score = [Infinity, -Infinity];
+  frames.forEach(({ overrides }) => {
+    byRegion.forEach(({ props, sustainability }, region) => {
+      const p = regionProfitability({ ...props, ...overrides[region] }, weights);
+      profit[0] = Math.min(profit[0], p);
+      profit[1] = Math.max(profit[1], p);
+      score[0] = Math.min(score[0], gridScore(sustainability[0], p, weights));
+      score[1] = Math.max(score[1], gridScore(sustainability[1], p, weights));
+    });
+  });
+  if (!Number.isFinite(profit[0])) return null;
+  return { profitability: profit, dc_score: score, dc_score_temp: score };
+}
+
+// Load relative to the window's own peak; 1 means the region is at its high
+export function loadStress(inputs) {
+  return inputs?.raw_peak ? inputs.raw_load / inputs.raw_peak : null;
+}
+
+function pluck(byRegion, key) {
+  return Object.fromEntries(Object.entries(byRegion).map(([region, inputs]) => [region, inputs[key]]));
+}
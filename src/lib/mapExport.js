@@ -0,0 +1,334 @@
+// Deck-ready exports of the score map: a layered PNG (basemap, hexes, annotations,
+// title, legend) at 1–4× resolution, and a vector SVG of the hexes.
+import * as d3 from "d3";
+import mapboxgl from "mapbox-gl";
+
+const HEADER_HEIGHT = 64;
+const FOOTER_HEIGHT = 76;
+const BACKGROUND = "#050910";
+const ATTRIBUTION = "© Mapbox © OpenStreetMap";
+const FONT = "ui-sans-serif, system-ui, -apple-system, 'Segoe UI', sans-serif";
+// How long the offscreen basemap may take to finish loading its style and tiles
+const BASEMAP_TIMEOUT_MS = 20000;
+
+// Mapbox's own project() as a d3 stream, so geoPath matches the live map exactly
+export function mapProjection(map, offsetY = 0) {
+  return {
+    stream: (s) => ({
+      point(lon, lat) {
+        const p = map.project([lon, lat]);
+        s.point(p.x, p.y + offsetY);
+      },
+      lineStart() { s.lineStart(); },
+      lineEnd() { s.lineEnd(); },
+      polygonStart() { s.polygonStart(); },
+      polygonEnd() { s.polygonEnd(); },
+    }),
+  };
+}
+
+/**
+ * Render the current view to a PNG blob.
+ * `hexes` is [{ feature, fill, opacity }] in draw order; `legend` is either
+ * { type: "gradient", label, stops, min, max } or { type: "bivariate", palette, xLabel, yLabel }.
+ */
+export async function renderMapPng({ map, styleUrl, hexes, title, subtitle, legend, annotations = [], scale = 2 }) {
+  const { width, height } = mapSize(map);
+  const totalHeight = HEADER_HEIGHT + height + FOOTER_HEIGHT;
+
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(width * scale);
+  canvas.height = Math.round(totalHeight * scale);
+  const ctx = canvas.getContext("2d");
+  ctx.scale(scale, scale);
+  ctx.fillStyle = BACKGROUND;
+  ctx.fillRect(0, 0, width, totalHeight);
+
+  drawHeader(ctx, width, title, subtitle);
+
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(0, HEADER_HEIGHT, width, height);
+  ctx.clip();
+
+  // The on-screen basemap is only at device resolution, so re-render it offscreen at the export scale
+  const basemap = map.isFallback ? map.renderBasemap(scale) : await renderBasemap(map, styleUrl, scale);
+  ctx.drawImage(basemap, 0, HEADER_HEIGHT, width, height);
+
+  const path = d3.geoPath(mapProjection(map, HEADER_HEIGHT)).context(ctx);
+  hexes.forEach(({ feature, fill, opacity }) => {
+    ctx.globalAlpha = opacity;
+    ctx.beginPath();
+    path(feature);
+    ctx.fillStyle = fill;
+    ctx.fill();
+    ctx.strokeStyle = "rgba(255,255,255,0.15)";
+    ctx.lineWidth = 0.35;
+    ctx.stroke();
+  });
+  ctx.globalAlpha = 1;
+
+  annotations.forEach((ann) => drawAnnotation(ctx, map.project(ann.coords), ann));
+
+  ctx.font = `10px ${FONT}`;
+  ctx.textAlign = "right";
+  ctx.textBaseline = "bottom";
+  ctx.fillStyle = "rgba(0,0,0,0.6)";
+  ctx.fillText(map.isFallback ? map.getAttribution() : ATTRIBUTION, width - 6, HEADER_HEIGHT + height - 4);
+  ctx.restore();
+
+  drawLegend(ctx, legend, width, HEADER_HEIGHT + height);
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("Canvas export failed"))), "image/png");
+  });
+}
+
+// Vector export: hexes as geoPath strings; the raster basemap is left out on purpose
+export function renderMapSvg({ map, hexes, title, subtitle, legend, annotations = [] }) {
+  const { width, height } = mapSize(map);
+  const totalHeight = HEADER_HEIGHT + height + FOOTER_HEIGHT;
+  const path = d3.geoPath(mapProjection(map, HEADER_HEIGHT)).digits(2);
+
+  const svg = d3
+    .create("svg")
+    .attr("xmlns", "http://www.w3.org/2000/svg")
+    .attr("width", width)
+    .attr("height", totalHeight)
+    .attr("viewBox", `0 0 ${width} ${totalHeight}`)
+    .attr("font-family", FONT);
+
+  const defs = svg.append("defs");
+  defs
+    .append("clipPath")
+    .attr("id", "map-area")
+    .append("rect")
+    .attr("y", HEADER_HEIGHT)
+    .attr("width", width)
+    .attr("height", height);
+
+  svg.append("rect").attr("width", width).attr("height", totalHeight).attr("fill", BACKGROUND);
+  svg
+    .append("text")
+    .attr("x", 20)
+    .attr("y", 30)
+    .attr("fill", "#ffffff")
+    .attr("font-size", 20)
+    .attr("font-weight", 700)
+    .text(title);
+  svg.append("text").attr("x", 20).attr("y", 50).attr("fill", "rgba(255,255,255,0.65)").attr("font-size", 12).text(subtitle);
+
+  const mapGroup = svg.append("g").attr("clip-path", "url(#map-area)");
+  mapGroup
+    .append("rect")
+    .attr("y", HEADER_HEIGHT)
+    .attr("width", width)
+    .attr("height", height)
+    .attr("fill", "#0a1320");
+  mapGroup
+    .append("g")
+    .attr("stroke", "rgba(255,255,255,0.15)")
+    .attr("stroke-width", 0.35)
+    .selectAll("path")
+    .data(hexes)
+    .join("path")
+    .attr("d", (d) => path(d.feature))
+    .attr("fill", (d) => d.fill)
+    .attr("fill-opacity", (d) => d.opacity)
+    .append("title")
+    .text((d) => `Hex ${d.feature.properties?.hex_id ?? d.feature.id}`);
+
+  const annGroup = mapGroup.append("g").attr("font-size", 11);
+  annotations.forEach((ann) => {
+    const p = map.project(ann.coords);
+    const g = annGroup.append("g").attr("transform", `translate(${p.x},${p.y + HEADER_HEIGHT})`);
+    g.append("circle").attr("r", 6).attr("fill", ann.color).attr("stroke", "rgba(0,0,0,0.6)").attr("stroke-width", 2);
+    g.append("text").attr("x", 12).attr("dy", "0.35em").attr("fill", "#ffffff").attr("stroke", "rgba(0,0,0,0.8)")
+      .attr("stroke-width", 3).attr("paint-order", "stroke").text(ann.label);
+  });
+
+  const legendGroup = svg.append("g").attr("transform", `translate(0,${HEADER_HEIGHT + height})`);
+  if (legend.type === "bivariate") {
+    const cell = 16;
+    const x0 = 20;
+    const y0 = 12;
+    legend.palette.forEach((color, index) => {
+      const col = index % 3;
+      const row = 2 - Math.floor(index / 3);
+      legendGroup.append("rect").attr("x", x0 + col * (cell + 1)).attr("y", y0 + row * (cell + 1))
+        .attr("width", cell).attr("height", cell).attr("fill", color);
+    });
+    legendGroup.append("text").attr("x", x0 + 3 * (cell + 1) + 10).attr("y", y0 + 10).attr("fill", "rgba(255,255,255,0.7)")
+      .attr("font-size", 11).text(`↑ ${legend.yLabel}`);
+    legendGroup.append("text").attr("x", x0 + 3 * (cell + 1) + 10).attr("y", y0 + 3 * (cell + 1)).attr("fill", "rgba(255,255,255,0.7)")
+      .attr("font-size", 11).text(`→ ${legend.xLabel}`);
+  } else {
+    const barWidth = width - 160;
+    defs
+      .append("linearGradient")
+      .attr("id", "legend-gradient")
+      .selectAll("stop")
+      .data(legend.stops)
+      .join("stop")
+      .attr("offset", (s) => `${s.offset}%`)
+      .attr("stop-color", (s) => s.color);
+    legendGroup.append("text").attr("x", 20).attr("y", 22).attr("fill", "rgba(255,255,255,0.7)").attr("font-size", 11)
+      .text(legend.label);
+    legendGroup.append("rect").attr("x", 80).attr("y", 34).attr("width", barWidth).attr("height", 12).attr("rx", 6)
+      .attr("fill", "url(#legend-gradient)");
+    legendGroup.append("text").attr("x", 72).attr("y", 44).attr("text-anchor", "end").attr("fill", "rgba(255,255,255,0.6)")
+      .attr("font-size", 11).text(legend.min);
+    legendGroup.append("text").attr("x", 88 + barWidth).attr("y", 44).attr("fill", "rgba(255,255,255,0.6)")
+      .attr("font-size", 11).text(legend.max);
+  }
+
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${svg.node().outerHTML}`;
+}
+
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser a tick to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function mapSize(map) {
+  const container = map.getContainer();
+  return { width: container.clientWidth || 960, height: container.clientHeight || 520 };
+}
+
+// Same camera and size as the live map, but drawn at `scale` device pixels per CSS pixel
+function renderBasemap(map, styleUrl, scale) {
+  const { width, height } = mapSize(map);
+  const container = document.createElement("div");
+  Object.assign(container.style, {
+    position: "fixed",
+    left: "-100000px",
+    top: "0",
+    width: `${width}px`,
+    height: `${height}px`,
+  });
+  document.body.appendChild(container);
+
+  const offscreen = new mapboxgl.Map({
+    container,
+    style: styleUrl,
+    center: map.getCenter(),
+    zoom: map.getZoom(),
+    bearing: map.getBearing(),
+    pitch: map.getPitch(),
+    pixelRatio: scale,
+    interactive: false,
+    attributionControl: false,
+    preserveDrawingBuffer: true,
+    fadeDuration: 0,
+  });
+
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      cleanup();
+      reject(new Error(`Basemap didn't finish loading within ${BASEMAP_TIMEOUT_MS / 1000} s; try again or use SVG.`));
+    }, BASEMAP_TIMEOUT_MS);
+    const cleanup = () => {
+      clearTimeout(timer);
+      offscreen.remove();
+      container.remove();
+    };
+    offscreen.once("idle", () => {
+      // Copy before removing the map, which releases the WebGL context
+      const copy = document.createElement("canvas");
+      const source = offscreen.getCanvas();
+      copy.width = source.width;
+      copy.height = source.height;
+      copy.getContext("2d").drawImage(source, 0, 0);
+      cleanup();
+      resolve(copy);
+    });
+    // A failed tile or source just leaves a gap, like on the live map; only a style
+    // that never loads stops the export
+    offscreen.on("error", (e) => {
+      if (e.sourceId || e.tile || offscreen.isStyleLoaded()) return;
+      cleanup();
+      reject(new Error(`Basemap export failed (${e.error?.message || "style failed to load"})`));
+    });
+  });
+}
+
+function drawHeader(ctx, width, title, subtitle) {
+  ctx.textAlign = "left";
+  ctx.textBaseline = "alphabetic";
+  ctx.fillStyle = "#ffffff";
+  ctx.font = `700 20px ${FONT}`;
+  ctx.fillText(title, 20, 30);
+  ctx.fillStyle = "rgba(255,255,255,0.65)";
+  ctx.font = `12px ${FONT}`;
+  ctx.fillText(subtitle, 20, 50, width - 40);
+}
+
+function drawAnnotation(ctx, point, ann) {
+  const x = point.x;
+  const y = point.y + HEADER_HEIGHT;
+  ctx.beginPath();
+  ctx.arc(x, y, 6, 0, 2 * Math.PI);
+  ctx.fillStyle = ann.color;
+  ctx.fill();
+  ctx.lineWidth = 2;
+  ctx.strokeStyle = "rgba(0,0,0,0.6)";
+  ctx.stroke();
+
+  ctx.font = `11px ${FONT}`;
+  ctx.textAlign = "left";
+  ctx.textBaseline = "middle";
+  ctx.lineWidth = 3;
+  ctx.strokeStyle = "rgba(0,0,0,0.8)";
+  ctx.strokeText(ann.label, x + 12, y);
+  ctx.fillStyle = "#ffffff";
+  ctx.fillText(ann.label, x + 12, y);
+}
+
+function drawLegend(ctx, legend, width, top) {
+  ctx.save();
+  ctx.translate(0, top);
+  ctx.font = `11px ${FONT}`;
+  ctx.textBaseline = "alphabetic";
+
+  if (legend.type === "bivariate") {
+    const cell = 16;
+    const x0 = 20;
+    const y0 = 12;
+    legend.palette.forEach((color, index) => {
+      const col = index % 3;
+      const row = 2 - Math.floor(index / 3);
+      ctx.fillStyle = color;
+      ctx.fillRect(x0 + col * (cell + 1), y0 + row * (cell + 1), cell, cell);
+    });
+    ctx.fillStyle = "rgba(255,255,255,0.7)";
+    ctx.textAlign = "left";
+    ctx.fillText(`↑ ${legend.yLabel}`, x0 + 3 * (cell + 1) + 10, y0 + 10);
+    ctx.fillText(`→ ${legend.xLabel}`, x0 + 3 * (cell + 1) + 10, y0 + 3 * (cell + 1));
+  } else {
+    const barWidth = width - 160;
+    ctx.fillStyle = "rgba(255,255,255,0.7)";
+    ctx.textAlign = "left";
+    ctx.fillText(legend.label, 20, 22);
+
+    const gradient = ctx.createLinearGradient(80, 0, 80 + barWidth, 0);
+    legend.stops.forEach((s) => gradient.addColorStop(s.offset / 100, s.color));
+    ctx.fillStyle = gradient;
+    ctx.beginPath();
+    ctx.roundRect(80, 34, barWidth, 12, 6);
+    ctx.fill();
+
+    ctx.fillStyle = "rgba(255,255,255,0.6)";
+    ctx.textAlign = "right";
+    ctx.fillText(legend.min, 72, 44);
+    ctx.textAlign = "left";
+    ctx.fillText(legend.max, 88 + barWidth, 44);
+  }
+  ctx.restore();
+}
@@ -0,0 +1,239 @@
+// Balancing-authority regions as map units: per-region aggregates of the hex
+// metrics and region polygons dissolved from the hexes that share a `region` code.
+import * as d3 from "d3";
+import { DEFAULT_METRIC, METRICS, formatValue, isConus, valueFor } from "./scoreMapCore.js";
+
+// EIA region codes carried by every hex
+export const REGION_NAMES = {
+  CAL: "California",
+  CAR: "Carolinas",
+  CENT: "Central",
+  FLA: "Florida",
+  MIDA: "Mid-Atlantic",
+  MIDW: "Midwest",
+  NE: "New England",
+  NW: "Northwest",
+  NY: "New York",
+  SE: "Southeast",
+  SW: "Southwest",
+  TEN: "Tennessee",
+  TEX: "Texas",
+};
+
+// Hex corners from neighbouring cells differ by float noise (~1e-3°), well under this
+const SNAP_TOLERANCE = 0.02;
+
+export function regionName(code) {
+  return REGION_NAMES[code] ?? code ?? "Unknown";
+}
+
+/**
+ * Summary statistics per region, keyed by region code. Each entry has
+ * { region, name, count, metrics: { [key]: { mean, median, min, max, count } } }.
+ */
+export function regionStats(features) {
+  const groups = d3.group(
+    features.filter((f) => f.properties?.region),
+    (f) => f.properties.region,
+  );
+  const stats = new Map();
+  groups.forEach((members, region) => {
+    const metrics = {};
+    Object.keys(METRICS).forEach((key) => {
+      const values = members.map((f) => valueFor(f, key)).filter((v) => v !== null);
+      if (!values.length) return;
+      metrics[key] = {
+        mean: d3.mean(values),
+        median: d3.median(values),
+        min: d3.min(values),
+        max: d3.max(values),
+        count: values.length,
+      };
+    });
+    stats.set(region, { region, name: regionName(region), count: members.length, metrics });
+  });
+  return stats;
+}
+
+/**
+ * Region outlines dissolved from the hexes, keyed by region code: { geometry,
+ * centroid, bounds }. Interior edges (shared by two hexes of the same region)
+ * cancel; the remaining edges are chained into rings, and holes are attached to
+ * the outer ring containing them. `centroid` is a label point that always falls
+ * inside the region; `neighbors` lists the regions sharing a boundary edge with it.
+ * Geometry doesn't depend on scores, so compute it once per load.
+ */
+export function dissolveRegions(features) {
+  const snap = createSnapper(SNAP_TOLERANCE);
+  const groups = d3.group(
+    features.filter((f) => f.properties?.region && f.geometry),
+    (f) => f.properties.region,
+  );
+  const shapes = new Map();
+  const boundaries = new Map();
+  groups.forEach((members, region) => {
+    const { polygons, boundary } = dissolve(members, snap);
+    const geometry = { type: "MultiPolygon", coordinates: polygons };
+    boundaries.set(region, boundary);
+    shapes.set(region, { geometry, centroid: labelPoint(members, polygons), bounds: d3.geoBounds(geometry) });
+  });
+  // Regions touch where their outlines share an edge, i.e. at least two snapped vertices
+  shapes.forEach((shape, region) => {
+    const own = boundaries.get(region);
+    shape.neighbors = Array.from(boundaries.keys()).filter((other) => {
+      if (other === region) return false;
+      let shared = 0;
+      for (const key of boundaries.get(other)) if (own.has(key) && ++shared >= 2) return true;
+      return false;
+    });
+  });
+  return shapes;
+}
+
+// One feature per region carrying the region mean of every metric, so the usual
+// color expressions apply to it like to a hex
+export function regionFeatures(shapes, stats) {
+  return Array.from(shapes, ([region, shape]) => {
+    const summary = stats.get(region);
+    const properties = { hex_id: region, region, name: regionName(region), hex_count: summary?.count ?? 0 };
+    Object.entries(summary?.metrics ?? {}).forEach(([key, s]) => {
+      properties[key] = s.mean;
+    });
+    return {
+      type: "Feature",
+      id: region,
+      properties,
+      geometry: shape.geometry,
+      _region: true,
+      _centroid: shape.centroid,
+      _bounds: shape.bounds,
+      _neighbors: shape.neighbors,
+    };
+  });
+}
+
+export function isRegion(feature) {
+  return Boolean(feature?._region);
+}
+
+// Same shape as tooltipModel(), with each value shown as "mean (min – max)"
+export function regionTooltipModel(feature, summary, metric) {
+  const props = feature.properties ?? {};
+  const [lon, lat] = feature._centroid;
+  const spread = (key, digits = METRICS[key]?.digits ?? 3) => {
+    const s = summary?.metrics[key];
+    if (!s) return "—";
+    return `${formatValue(s.mean, digits)} (${formatValue(s.min, digits)} – ${formatValue(s.max, digits)})`;
+  };
+  const active = METRICS[metric] ? metric : DEFAULT_METRIC;
+
+  return {
+    title: `Region ${props.region} · ${props.name}`,
+    region: props.region,
+    location: `${formatValue(lat, 2)}, ${formatValue(lon, 2)}`,
+    primary: { key: active, label: `${METRICS[active].label} (mean)`, value: spread(active) },
+    rows: [
+      { label: "Hexes", value: String(props.hex_count) },
+      { label: "GridScore", value: spread("dc_score") },
+      { label: "Profitability", value: spread("profitability") },
+      { label: "Sustainability", value: spread("sustainability") },
+      { label: "Local temp (°C)", value: spread("local_temp_c", 1) },
+      { label: "Elevation (m)", value: spread("elevation_m", 0) },
+    ],
+  };
+}
+
+// Edge cancellation over snapped vertices; hex rings share d3's winding, so the
+// surviving edges keep a consistent direction and can be walked head to tail.
+// Returns the polygons and the keys of the vertices on their boundary.
+function dissolve(members, snap) {
+  const edges = new Map();
+  members.forEach((f) => {
+    const polygons = f.geometry.type === "Polygon" ? [f.geometry.coordinates] : f.geometry.coordinates;
+    polygons.forEach((rings) =>
+      rings.forEach((ring) => {
+        for (let i = 0; i < ring.length - 1; i += 1) {
+          const a = snap(ring[i]);
+          const b = snap(ring[i + 1]);
+          if (a.key === b.key) continue;
+          // Overlapping hexes can repeat an edge, so edges are counted, not just flagged
+          const reverse = edges.get(`${b.key}|${a.key}`);
+          if (reverse) {
+            reverse.count -= 1;
+            if (!reverse.count) edges.delete(`${b.key}|${a.key}`);
+          } else {
+            const forward = edges.get(`${a.key}|${b.key}`);
+            if (forward) forward.count += 1;
+            else edges.set(`${a.key}|${b.key}`, { a, b, count: 1 });
+          }
+        }
+      }),
+    );
+  });
+
+  // Outgoing boundary edges per vertex; pinch points simply have more than one
+  const boundary = new Set();
+  const vertices = new Map();
+  const outgoing = new Map();
+  edges.forEach(({ a, b, count }) => {
+    boundary.add(a.key).add(b.key);
+    vertices.set(a.key, a);
+    if (!outgoing.has(a.key)) outgoing.set(a.key, []);
+    for (let i = 0; i < count; i += 1) outgoing.get(a.key).push(b);
+  });
+
+  const rings = [];
+  outgoing.forEach((targets, startKey) => {
+    while (targets.length) {
+      const start = vertices.get(startKey);
+      const ring = [start.coords];
+      let current = start;
+      for (;;) {
+        const next = outgoing.get(current.key)?.pop();
+        if (!next) break;
+        ring.push(next.coords);
+        current = next;
+        if (next.key === start.key) break;
+      }
+      if (ring.length >= 4 && current.key === start.key) rings.push(ring);
+    }
+  });
+
+  // Hex rings have positive planar area in lon/lat, so holes come out negative
+  const outers = rings.filter((ring) => d3.polygonArea(ring) > 0).map((ring) => [ring]);
+  rings
+    .filter((ring) => d3.polygonArea(ring) < 0)
+    .forEach((hole) => {
+      const owner = outers.find((polygon) => d3.polygonContains(polygon[0], hole[0]));
+      if (owner) owner.push(hole);
+    });
+  return { polygons: outers, boundary };
+}
+
+// Maps nearly-equal coordinates to one shared vertex
+function createSnapper(tolerance) {
+  const index = d3.quadtree();
+  let nextKey = 0;
+  return (coords) => {
+    const found = index.find(coords[0], coords[1], tolerance);
+    if (found) return found.vertex;
+    const point = [coords[0], coords[1]];
+    point.vertex = { key: nextKey, coords: point };
+    nextKey += 1;
+    index.add(point);
+    return point.vertex;
+  };
+}
+
+// Centroid of the member hex closest to the middle of the region's largest part
+// in the lower 48, so outlying parts (NW's Alaska hexes) don't take the label
+function labelPoint(members, polygons) {
+  const centroids = members.map((f) => f._centroid ?? d3.geoCentroid(f));
+  const parts = polygons.map((polygon) => ({ ring: polygon[0], middle: d3.polygonCentroid(polygon[0]) }));
+  const mainland = parts.filter((part) => isConus({ _centroid: part.middle }));
+  const largest = d3.greatest(mainland.length ? mainland : parts, (part) => d3.polygonArea(part.ring));
+  if (!largest) return centroids[0];
+  const inside = centroids.filter((c) => d3.polygonContains(largest.ring, c));
+  const [x, y] = largest.middle;
+  return d3.least(inside.length ? inside : centroids, (c) => (c[0] - x) ** 2 + (c[1] - y) ** 2);
+}
@@ -0,0 +1,123 @@
+// What-if scenarios: per-region edits to the raw inputs of datacenter_scores_real.csv,
+// renormalized across regions the way the notebook does and rescored per hex.
+// raw_peak is left out because nothing in the score reads it.
+import * as d3 from "d3";
+import { normalizeAcrossRegions } from "./gridscore.js";
+import { featureId, valueFor } from "./scoreMapCore.js";
+
+// `scale` edits are a percent change, `shift` edits add to the value (°C)
+export const SCENARIO_INPUTS = [
+  { key: "raw_price", factor: "n_price", label: "Price", unit: "$/MWh", mode: "scale", invert: true, digits: 2 },
+  { key: "raw_load", factor: "n_load", label: "Load", unit: "MW", mode: "scale", invert: true, digits: 0 },
+  { key: "raw_volatility", factor: "n_volatility", label: "Volatility", unit: "MW", mode: "scale", invert: true, digits: 0 },
+  { key: "raw_renew", factor: "n_renew", label: "Renewable share", unit: "%", mode: "scale", invert: false, max: 100, digits: 1 },
+  { key: "raw_temp", factor: "n_temp", label: "Temperature", unit: "°C", mode: "shift", invert: true, digits: 1 },
+];
+
+export const DELTA_METRIC = "dc_score_delta";
+
+// Regional raw inputs as currently scored: the snapshot, then any live overrides
+// (hourly conditions replace raw_load and raw_volatility)
+export function regionInputs(features, baseOverrides = null) {
+  const inputs = {};
+  (features ?? []).forEach((f) => {
+    const region = f.properties?.region;
+    if (!region || inputs[region]) return;
+    const props = { ...f.properties, ...baseOverrides?.[region] };
+    inputs[region] = Object.fromEntries(SCENARIO_INPUTS.map(({ key }) => [key, toNumber(props[key])]));
+  });
+  return inputs;
+}
+
+export function applyChange(value, input, change) {
+  const amount = Number(change);
+  if (!Number.isFinite(value) || !Number.isFinite(amount) || amount === 0) return value;
+  if (input.mode === "shift") return value + amount;
+  return Math.min(input.max ?? Infinity, Math.max(0, value * (1 + amount / 100)));
+}
+
+export function hasChanges(changes) {
+  return Object.values(changes ?? {}).some((byInput) => Object.values(byInput ?? {}).some((v) => Number(v)));
+}
+
+/**
+ * Region overrides for rescoreFeatures() with `changes` ({ [region]: { raw_x: amount } })
+ * applied on top of `baseOverrides`. Only inputs edited somewhere are renormalized;
+ * the rest keep whatever factor is currently in play (e.g. a forecast-peak n_load).
+ */
+export function scenarioOverrides(features, changes, baseOverrides = null) {
+  const inputs = regionInputs(features, baseOverrides);
+  const overrides = Object.fromEntries(Object.keys(inputs).map((region) => [region, { ...baseOverrides?.[region] }]));
+  SCENARIO_INPUTS.forEach((input) => {
+    const edited = Object.values(changes ?? {}).some((byInput) => Number(byInput?.[input.key]));
+    if (!edited) return;
+    const values = Object.fromEntries(
+      Object.entries(inputs).map(([region, raw]) => [
+        region,
+        applyChange(raw[input.key], input, changes[region]?.[input.key]),
+      ]),
+    );
+    const normalized = normalizeAcrossRegions(values, input.invert);
+    Object.keys(values).forEach((region) => {
+      overrides[region][input.key] = values[region];
+      overrides[region][input.factor] = normalized[region];
+    });
+  });
+  return overrides;
+}
+
+/**
+ * Scenario features carrying dc_score_delta (scenario minus baseline), plus the
+ * hexes' GridScore rank movement between the two, biggest gains first.
+ */
+export function compareScenario(baseline, scenario) {
+  const before = rankById(baseline);
+  const after = rankById(scenario);
+  const baseScores = new Map(baseline.map((f) => [String(featureId(f)), valueFor(f, "dc_score")]));
+  const features = scenario.map((f) => {
+    const base = baseScores.get(String(featureId(f)));
+    const score = valueFor(f, "dc_score");
+    const delta = Number.isFinite(base) && score !== null ? score - base : null;
+    return { ...f, properties: { ...f.properties, [DELTA_METRIC]: delta } };
+  });
+  const movers = features
+    .map((feature) => {
+      const id = String(featureId(feature));
+      return {
+        feature,
+        id,
+        before: before.get(id),
+        after: after.get(id),
+        change: before.get(id) - after.get(id),
+        delta: feature.properties[DELTA_METRIC],
+      };
+    })
+    .filter((m) => Number.isFinite(m.change))
+    .sort((a, b) => d3.descending(a.change, b.change) || d3.descending(a.delta, b.delta));
+  return {
+    features,
+    movers,
+    gained: movers.filter((m) => m.change > 0).length,
+    lost: movers.filter((m) => m.change < 0).length,
+    meanDelta: d3.mean(features, (f) => f.properties[DELTA_METRIC]),
+  };
+}
+
+// 1 = highest dc_score; ties share the better rank
+function rankById(features) {
+  const scored = features
+    .map((f) => ({ id: String(featureId(f)), score: valueFor(f, "dc_score") }))
+    .filter((d) => d.score !== null)
+    .sort((a, b) => d3.descending(a.score, b.score));
+  const ranks = new Map();
+  scored.forEach((d, i) => {
+    const prev = scored[i - 1];
+    ranks.set(d.id, prev && prev.score === d.score ? ranks.get(prev.id) : i + 1);
+  });
+  return ranks;
+}
+
+function toNumber(v) {
+  const n = v === null || v === undefined ? NaN : Number(v);
+  return Number.isFinite(n) ? n : null;
+}
@@ -0,0 +1,230 @@
+// Shared core for both score-map renderers (the React dashboard and the
+// standalone D3 page): metric registry, value access, domains, palettes,
+// tooltip model and CONUS filtering. Renderer-specific drawing stays with each page.
+import * as d3 from "d3";
+
+export const METRICS = {
+  dc_score: {
+    label: "GridScore",
+    description: "Composite score balancing sustainability and profitability (60/40 weighting).",
+    domainGroup: "gridscore",
+  },
+  dc_score_smooth: {
+    label: "GridScore (smoothed)",
+    shortLabel: "GridScore sm.",
+    description: "Neighbor-smoothed GridScore to reduce noise between adjacent hexes (precomputed at 60/40).",
+    domainGroup: "gridscore",
+  },
+  sustainability: {
+    label: "Sustainability",
+    description: "Sustainability is driven by renewable share, grid volatility, and the site’s cooling suitability.",
+  },
+  profitability: {
+    label: "Profitability",
+    description: "Operational efficiency from price stability, peak load, and volatility.",
+  },
+  dc_score_temp: {
+    label: "Cooling advantage",
+    shortLabel: "Cooling adv.",
+    description: "Temperature-adjusted score that rewards cooler microclimates.",
+  },
+  local_temp_c: {
+    label: "Local temperature (°C)",
+    shortLabel: "Temp (°C)",
+    description: "Average local temperature per hex so cooler microclimates pop out.",
+    digits: 1,
+  },
+  elevation_m: {
+    label: "Elevation (m)",
+    shortLabel: "Elev (m)",
+    description: "Elevation per hex for quick terrain context.",
+    digits: 0,
+  },
+  // Derived metrics only exist after an in-browser comparison; see availableMetrics()
+  dc_score_delta: {
+    label: "Scenario Δ GridScore",
+    shortLabel: "Δ GridScore",
+    description: "GridScore under the active what-if scenario minus the baseline; blue gains, red losses.",
+    derived: true,
+    diverging: true,
+    digits: 3,
+  },
+  dataset_delta: {
+    label: "Dataset Δ",
+    description: "Change in the compared metric between two score datasets; blue up, red down.",
+    derived: true,
+    diverging: true,
+    digits: 3,
+  },
+  rank_robustness: {
+    label: "Robustness (P top-N)",
+    shortLabel: "Robustness",
+    description: "Share of Monte Carlo weight draws that keep the hex in the top-N; green holds its rank, red only ranks at these exact weights.",
+    derived: true,
+    domain: [0, 1],
+    digits: 2,
+  },
+};
+
+export const DEFAULT_METRIC = "dc_score";
+export const PALETTE_SIZE = 256;
+export const NO_DATA_COLOR = "rgba(255,255,255,0.06)";
+
+export function valueFor(feature, metric) {
+  const v = feature?.properties?.[metric];
+  if (v === null || v === undefined) return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+export function featureId(feature) {
+  return feature?.id ?? feature?.properties?.hex_id ?? null;
+}
+
+// Metrics in the same domainGroup share one extent, so dc_score and its smoothed
+// version use the same colors for the same values
+export function metricDomain(features, metric) {
+  if (METRICS[metric]?.diverging) return divergingDomain(features, metric);
+  if (METRICS[metric]?.domain) return METRICS[metric].domain;
+  const group = METRICS[metric]?.domainGroup;
+  const keys = group ? Object.keys(METRICS).filter((k) => METRICS[k].domainGroup === group) : [metric];
+  const values = keys.flatMap((k) => features.map((f) => valueFor(f, k)).filter((v) => v !== null));
+  const [min, max] = values.length ? d3.extent(values) : [0, 1];
+  return Number.isFinite(min) && Number.isFinite(max) && min !== max ? [min, max] : [0, 1];
+}
+
+export function interpolatorFor(metric) {
+  if (METRICS[metric]?.diverging) return d3.interpolateRdBu;
+  if (metric === "local_temp_c") {
+    // Blue for colder, red for hotter
+    return (t) => d3.interpolateRdBu(1 - t);
+  }
+  if (metric === "elevation_m") {
+    // Green for lower, red for higher
+    return d3.interpolateRgbBasis(["#0e7c3a", "#f3c567", "#c62828"]);
+  }
+  return d3.interpolateRdYlGn;
+}
+
+// Fixed-size lookup table so per-frame coloring is an index, not a scale call
+export function buildPalette(metric) {
+  const interp = interpolatorFor(metric);
+  return Array.from({ length: PALETTE_SIZE }, (_, i) => interp(i / (PALETTE_SIZE - 1)));
+}
+
+// Global metric domains and palettes (no per-frame extent)
+export function buildMetricScales(features, metrics = Object.keys(METRICS)) {
+  const domains = {};
+  const palettes = {};
+  metrics.forEach((key) => {
+    domains[key] = metricDomain(features, key);
+    palettes[key] = buildPalette(key);
+  });
+  return { domains, palettes };
+}
+
+// Metrics worth offering for these features: derived ones only once some feature has them
+export function availableMetrics(features) {
+  return Object.fromEntries(
+    Object.entries(METRICS).filter(
+      ([key, meta]) => !meta.derived || (features ?? []).some((f) => valueFor(f, key) !== null),
+    ),
+  );
+}
+
+export function colorFor(feature, metric, palette, domain) {
+  const v = valueFor(feature, metric);
+  if (v === null || !palette || !domain) return NO_DATA_COLOR;
+  const [min, max] = domain;
+  if (max === min) return NO_DATA_COLOR;
+  const t = (v - min) / (max - min);
+  const idx = Math.max(0, Math.min(PALETTE_SIZE - 1, Math.floor(t * (PALETTE_SIZE - 1))));
+  return palette[idx];
+}
+
+export function legendStops(palette) {
+  return d3.range(0, 1.01, 0.1).map((t) => ({
+    color: palette ? palette[Math.floor(t * (PALETTE_SIZE - 1))] : d3.interpolateRdYlGn(t),
+    offset: Math.round(t * 100),
+  }));
+}
+
+export function legendGradient(stops) {
+  return `linear-gradient(to right, ${stops.map((s) => `${s.color} ${s.offset}%`).join(",")})`;
+}
+
+export function formatValue(value, digits) {
+  if (!Number.isFinite(value)) return "—";
+  if (typeof digits === "number") {
+    return d3.format(`.${digits}f`)(value);
+  }
+  return value.toString();
+}
+
+/**
+ * Renderer-agnostic tooltip content: { title, location, primary, rows }.
+ * Values are pre-formatted strings; each page wraps them in its own markup.
+ */
+export function tooltipModel(feature, metric) {
+  const props = feature?.properties ?? {};
+  const active = METRICS[metric] ? metric : DEFAULT_METRIC;
+  const hexId = props.hex_id ?? feature?.id ?? "—";
+  // properties.lat/lon are the region's; the hex's own position is its centroid
+  const [lon, lat] = feature?._centroid ?? (feature?.geometry ? d3.geoCentroid(feature) : [NaN, NaN]);
+  const distance = valueFor(feature, "dist_to_region");
+  const delta = valueFor(feature, "dc_score_delta");
+  const datasetDelta = valueFor(feature, "dataset_delta");
+  const robustness = valueFor(feature, "rank_robustness");
+
+  return {
+    title: `Hexagon ${hexId}${props.region ? ` · ${props.region}` : ""}`,
+    region: props.region ?? null,
+    location: Number.isFinite(lat) && Number.isFinite(lon) ? `${formatValue(lat, 2)}, ${formatValue(lon, 2)}` : "—",
+    primary: {
+      key: active,
+      label: METRICS[active].label,
+      value: formatValue(valueFor(feature, active), METRICS[active].digits),
+    },
+    rows: [
+      { label: "GridScore", value: formatValue(valueFor(feature, "dc_score")) },
+      { label: "GridScore (smoothed)", value: formatValue(valueFor(feature, "dc_score_smooth")) },
+      { label: "Profitability", value: formatValue(valueFor(feature, "profitability")) },
+      { label: "Sustainability", value: formatValue(valueFor(feature, "sustainability")) },
+      { label: "Cooling boost", value: formatValue(valueFor(feature, "temp_cool_score")) },
+      { label: "Cooling advantage", value: formatValue(valueFor(feature, "dc_score_temp")) },
+      { label: "Local temp (°C)", value: formatValue(valueFor(feature, "local_temp_c"), 1) },
+      { label: "Elevation (m)", value: formatValue(valueFor(feature, "elevation_m"), 0) },
+      {
+        label: "Distance to region",
+        value: distance === null ? "—" : `${Math.round(distance / 1000)} km`,
+      },
+      ...(delta === null ? [] : [{ label: "Scenario Δ", value: d3.format("+.3f")(delta) }]),
+      ...(datasetDelta === null ? [] : [{ label: "Dataset Δ", value: d3.format("+.3f")(datasetDelta) }]),
+      ...(robustness === null
+        ? []
+        : [
+            {
+              label: "Robustness",
+              value: `${d3.format(".0%")(robustness)} top-${props.rank_top_n} · rank ${Math.round(props.rank_p5)}–${Math.round(props.rank_p95)}`,
+            },
+          ]),
+    ],
+  };
+}
+
+// Contiguous US bounding box, so the standalone map fits the lower 48
+export function isConus(feature) {
+  const [lon, lat] = feature?._centroid ?? d3.geoCentroid(feature);
+  return lon >= -130 && lon <= -60 && lat >= 22 && lat <= 52;
+}
+
+export function conusFeatures(features) {
+  const filtered = (features ?? []).filter(isConus);
+  return filtered.length ? filtered : features ?? [];
+}
+
+// Symmetric around zero so "no change" is always the neutral middle color
+function divergingDomain(features, metric) {
+  const extent = d3.max(features, (f) => Math.abs(valueFor(f, metric) ?? 0));
+  return extent > 0 ? [-extent, extent] : [-1, 1];
+}
@@ -0,0 +1,465 @@
+// JavaScript port of generate_hex_score_map.py.
+// Pure functions only (no fs) so the dashboard can import the same scoring code;
+// scripts/build-data.js wires it to the files on disk.
+import { csvParse } from "d3";
+import { DEFAULT_WEIGHTS, gridScore, hexSustainability } from "./gridscore.js";
+
+// Micro-weights tuned for smoother transitions
+export const SMOOTH_K = 20;
+export const SMOOTH_BLEND = 0.25;
+
+const EARTH_RADIUS_M = 6371000;
+const DEG_TO_RAD = Math.PI / 180;
+const POW10 = Array.from({ length: 309 }, (_, i) => Number(`1e${i}`));
+
+// Parse a CSV the way pandas.read_csv does for these files: numeric-looking
+// cells become numbers, empty cells become NaN, everything else stays a string.
+export function parseCsv(text) {
+  return csvParse(text, (row) => {
+    const out = {};
+    Object.entries(row).forEach(([key, raw]) => {
+      if (raw === "") out[key] = NaN;
+      else {
+        const n = Number(raw);
+        out[key] = Number.isNaN(n) ? raw : pandasFloat(raw);
+      }
+    });
+    return out;
+  });
+}
+
+// pandas' default C float converter (precise_xstrtod). It is not correctly
+// rounded, so Number() alone differs in the last bit for some cells. The digit
+// accumulation is a fused multiply-add on the builds that produced our data.
+export function pandasFloat(str) {
+  const match = /^\s*([+-]?)(\d*)(?:\.(\d*))?(?:[eE]([+-]?\d+))?\s*$/.exec(str);
+  if (!match || !(match[2] || match[3])) return Number(str);
+  const [, sign, intDigits, fracDigits = "", expDigits] = match;
+  const maxDigits = 17;
+  let number = 0;
+  let exponent = 0;
+  let numDigits = 0;
+  for (const ch of intDigits) {
+    if (numDigits < maxDigits) {
+      number = fmaDigit(number, ch);
+      numDigits += 1;
+    } else {
+      exponent += 1;
+    }
+  }
+  let numDecimals = 0;
+  for (const ch of fracDigits) {
+    if (numDigits >= maxDigits) break;
+    number = fmaDigit(number, ch);
+    numDigits += 1;
+    numDecimals += 1;
+  }
+  exponent -= numDecimals;
+  if (sign === "-") number = -number;
+  if (expDigits) exponent += Number(expDigits);
+
+  if (exponent > 308) return number < 0 ? -Infinity : Infinity;
+  if (exponent > 0) return number * POW10[exponent];
+  if (exponent < -616) return 0 * number;
+  if (exponent < -308) return number / POW10[-308 - exponent] / POW10[308];
+  return number / POW10[-exponent];
+}
+
+// numpy.percentile(method="linear") on the non-NaN values
+export function quantile(values, q) {
+  const sorted = values.filter((v) => !Number.isNaN(v)).sort((a, b) => a - b);
+  if (!sorted.length) return NaN;
+  const virtual = (sorted.length - 1) * q;
+  const prev = Math.min(Math.max(Math.floor(virtual), 0), sorted.length - 1);
+  const next = Math.min(prev + 1, sorted.length - 1);
+  return lerp(sorted[prev], sorted[next], virtual - Math.floor(virtual));
+}
+
+// Normalize to 0-1 after clipping to percentile bounds.
+export function minmaxClamped(values, lowerQ = 0.01, upperQ = 0.99) {
+  const lo = quantile(values, lowerQ);
+  const hi = quantile(values, upperQ);
+  const rng = hi > lo ? hi - lo : 1;
+  return values.map((v) => {
+    if (Number.isNaN(v)) return 0.5;
+    return (Math.min(Math.max(v, lo), hi) - lo) / rng;
+  });
+}
+
+// Attach lat/lon and existing region tags from the base map to the hex climate rows.
+export function loadBaseData({ scoresCsv, hexClimateCsv, baseMap }) {
+  const scoreRows = parseCsv(scoresCsv);
+  const features = baseMap?.features ?? [];
+
+  const latLonByHex = new Map();
+  const regionByHex = new Map();
+  features.forEach((feat) => {
+    const props = feat.properties ?? {};
+    const hid = props.hex_id;
+    if (hid === null || hid === undefined) return;
+    if (!latLonByHex.has(hid) && isPresent(props.lat) && isPresent(props.lon)) {
+      latLonByHex.set(hid, { lat: props.lat, lon: props.lon });
+    }
+    if (!regionByHex.has(hid) && isPresent(props.region)) {
+      regionByHex.set(hid, props.region);
+    }
+  });
+
+  const hexRows = parseCsv(hexClimateCsv).map((row) => {
+    const { region: _region, ...rest } = row;
+    const coords = latLonByHex.get(row.hex_id);
+    return {
+      ...rest,
+      lat: coords ? coords.lat : NaN,
+      lon: coords ? coords.lon : NaN,
+      region: regionByHex.has(row.hex_id) ? regionByHex.get(row.hex_id) : NaN,
+    };
+  });
+
+  return { scoreRows, hexRows, features };
+}
+
+// Fill missing regions with the nearest regional centroid. Like the Python
+// version this is a no-op (and adds no dist_to_region_m) when every hex is tagged.
+export function assignRegionIfMissing(hexRows, scoreRows) {
+  if (hexRows.every((row) => isPresent(row.region))) return hexRows;
+
+  const centroids = scoreRows.map((r) => ({ region: r.region, lat: r.lat, lon: r.lon }));
+  return hexRows.map((row) => {
+    if (Number.isNaN(row.lat) || Number.isNaN(row.lon)) {
+      return { ...row, dist_to_region_m: NaN };
+    }
+    let best = null;
+    let bestDist = Infinity;
+    centroids.forEach((c) => {
+      const d = haversine(row.lat, row.lon, c.lat, c.lon);
+      if (d < bestDist) {
+        bestDist = d;
+        best = c;
+      }
+    });
+    return {
+      ...row,
+      region: isPresent(row.region) ? row.region : best.region,
+      dist_to_region_m: bestDist,
+    };
+  });
+}
+
+// hex_df.merge(scores_df, on="region", how="left", suffixes=("", "_region"))
+export function mergeRegionScores(hexRows, scoreRows) {
+  const byRegion = new Map(scoreRows.map((r) => [r.region, r]));
+  return hexRows.map((row) => {
+    const merged = { ...row };
+    const regional = byRegion.get(row.region);
+    Object.keys(scoreRows[0] ?? {}).forEach((key) => {
+      if (key === "region") return;
+      const outKey = key in row ? `${key}_region` : key;
+      merged[outKey] = regional ? regional[key] : NaN;
+    });
+    return merged;
+  });
+}
+
+export function computeHexScores(rows, weights = DEFAULT_WEIGHTS) {
+  const tempNorm = minmaxClamped(rows.map((r) => r.local_temp_c));
+  const elevNorm = minmaxClamped(rows.map((r) => r.elevation_m));
+
+  const scored = rows.map((row, i) => {
+    const tempCoolScore = 1 - tempNorm[i];
+    const sustainabilityHex = hexSustainability(row.sustainability, tempCoolScore, elevNorm[i], weights);
+    const profitabilityHex = row.profitability;
+    return {
+      ...row,
+      temp_norm: tempNorm[i],
+      temp_cool_score: tempCoolScore,
+      elev_norm: elevNorm[i],
+      sustainability_hex: sustainabilityHex,
+      profitability_hex: profitabilityHex,
+      dc_score_hex: gridScore(sustainabilityHex, profitabilityHex, weights),
+    };
+  });
+
+  const smoothed = knnSmooth(
+    scored.map((r) => [r.lat, r.lon]),
+    scored.map((r) => r.dc_score_hex),
+  );
+  return scored.map((row, i) => ({ ...row, dc_score_hex_smooth: smoothed[i] }));
+}
+
+// Blend each value with the mean of its k nearest (haversine) neighbours.
+// Neighbour selection follows numpy.argpartition so ties at equal distance
+// resolve to the same hexes as the Python pipeline.
+export function knnSmooth(coords, values, k = SMOOTH_K, selfWeight = SMOOTH_BLEND) {
+  const smoothed = values.slice();
+  const validIdx = [];
+  coords.forEach(([lat, lon], i) => {
+    if (!Number.isNaN(lat) && !Number.isNaN(lon)) validIdx.push(i);
+  });
+  const n = validIdx.length;
+  if (n < 2) return smoothed;
+
+  const kEff = Math.max(1, Math.min(k, n - 1));
+  const lat = validIdx.map((i) => coords[i][0] * DEG_TO_RAD);
+  const lon = validIdx.map((i) => coords[i][1] * DEG_TO_RAD);
+  const cosLat = lat.map(Math.cos);
+  const vals = validIdx.map((i) => values[i]);
+
+  const dist = new Float64Array(n);
+  const order = new Array(n);
+  validIdx.forEach((target, i) => {
+    for (let j = 0; j < n; j += 1) {
+      if (i === j) {
+        dist[j] = Infinity;
+      } else {
+        const sinDphi = Math.sin((lat[i] - lat[j]) / 2);
+        const sinDlambda = Math.sin((lon[i] - lon[j]) / 2);
+        const a = sinDphi ** 2 + cosLat[i] * cosLat[j] * sinDlambda ** 2;
+        dist[j] = 2 * EARTH_RADIUS_M * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+      }
+      order[j] = j;
+    }
+    introselect(dist, order, kEff - 1);
+    const neighborMean = reduceSum(order.slice(0, kEff).map((j) => vals[j])) / kEff;
+    smoothed[target] = selfWeight * vals[i] + (1 - selfWeight) * neighborMean;
+  });
+  return smoothed;
+}
+
+// Write the refreshed per-hex values onto the base features (in place, like the Python dict update)
+export function updateFeatures(features, scoredRows) {
+  const byHex = new Map(features.map((f) => [f.properties?.hex_id, f]));
+  scoredRows.forEach((row) => {
+    const feat = byHex.get(row.hex_id);
+    if (!feat) return;
+    feat.properties = Object.assign(feat.properties ?? {}, {
+      hex_id: Math.trunc(row.hex_id),
+      region: row.region,
+      lat: row.lat,
+      lon: row.lon,
+      local_temp_c: row.local_temp_c,
+      elevation_m: row.elevation_m,
+      temp_cool_score: row.temp_cool_score,
+      elev_norm: row.elev_norm,
+      dist_to_region: "dist_to_region_m" in row ? row.dist_to_region_m : null,
+      // Per-hex scores (overwrite legacy values)
+      profitability: row.profitability_hex,
+      sustainability: row.sustainability_hex,
+      dc_score: row.dc_score_hex,
+      dc_score_smooth: row.dc_score_hex_smooth,
+      dc_score_temp: row.dc_score_hex, // cooling-adjusted aligns with dc_score_hex here
+    });
+  });
+  return features;
+}
+
+// Full pipeline: CSV text + parsed base map in, FeatureCollection out.
+export function buildHexScoreMap({ scoresCsv, hexClimateCsv, baseMap, weights = DEFAULT_WEIGHTS }) {
+  const { scoreRows, hexRows, features } = loadBaseData({ scoresCsv, hexClimateCsv, baseMap });
+  const tagged = assignRegionIfMissing(hexRows, scoreRows);
+  const merged = mergeRegionScores(tagged, scoreRows);
+  const scored = computeHexScores(merged, weights);
+  return { type: "FeatureCollection", features: updateFeatures(features, scored) };
+}
+
+// json.dumps() with Python's default separators, float repr and ASCII escaping,
+// so the output is byte-compatible with the Python script. Inputs carry no
+// integer-typed fields other than hex_id, which is the only key written as an int.
+export function toPythonJson(value, key = null) {
+  if (value === null || value === undefined) return "null";
+  if (typeof value === "boolean") return value ? "true" : "false";
+  if (typeof value === "number") {
+    return key === "hex_id" && Number.isInteger(value) ? String(value) : pythonFloat(value);
+  }
+  if (typeof value === "string") return pythonString(value);
+  if (Array.isArray(value)) return `[${value.map((v) => toPythonJson(v)).join(", ")}]`;
+  const entries = Object.entries(value).map(([k, v]) => `${pythonString(k)}: ${toPythonJson(v, k)}`);
+  return `{${entries.join(", ")}}`;
+}
+
+function pythonFloat(value) {
+  if (Number.isNaN(value)) return "NaN";
+  if (!Number.isFinite(value)) return value > 0 ? "Infinity" : "-Infinity";
+  if (Object.is(value, -0)) return "-0.0";
+  const [mantissa, expStr] = value.toExponential().split("e");
+  const exp = Number(expStr);
+  if (exp < -4 || exp >= 16) {
+    const sign = exp < 0 ? "-" : "+";
+    return `${mantissa}e${sign}${String(Math.abs(exp)).padStart(2, "0")}`;
+  }
+  const negative = mantissa.startsWith("-");
+  const digits = mantissa.replace("-", "").replace(".", "");
+  let fixed;
+  if (exp < 0) {
+    fixed = `0.${"0".repeat(-exp - 1)}${digits}`;
+  } else if (digits.length > exp + 1) {
+    fixed = `${digits.slice(0, exp + 1)}.${digits.slice(exp + 1)}`;
+  } else {
+    fixed = `${digits}${"0".repeat(exp + 1 - digits.length)}.0`;
+  }
+  return negative ? `-${fixed}` : fixed;
+}
+
+function pythonString(str) {
+  let out = '"';
+  for (const ch of String(str)) {
+    const code = ch.codePointAt(0);
+    if (ch === '"') out += '\\"';
+    else if (ch === "\\") out += "\\\\";
+    else if (ch === "\n") out += "\\n";
+    else if (ch === "\r") out += "\\r";
+    else if (ch === "\t") out += "\\t";
+    else if (ch === "\b") out += "\\b";
+    else if (ch === "\f") out += "\\f";
+    else if (code < 0x20 || code > 0x7e) {
+      // ensure_ascii: escape as UTF-16 code units
+      for (let i = 0; i < ch.length; i += 1) {
+        out += `\\u${ch.charCodeAt(i).toString(16).padStart(4, "0")}`;
+      }
+    } else out += ch;
+  }
+  return `${out}"`;
+}
+
+// number * 10 + digit with a single rounding (number is always integral here)
+function fmaDigit(number, ch) {
+  const next = number * 10 + Number(ch);
+  if (Math.abs(next) <= Number.MAX_SAFE_INTEGER) return next;
+  return Number(BigInt(number) * 10n + BigInt(ch));
+}
+
+function isPresent(v) {
+  return v !== null && v !== undefined && !Number.isNaN(v);
+}
+
+function haversine(lat1, lon1, lat2, lon2) {
+  const phi1 = lat1 * DEG_TO_RAD;
+  const phi2 = lat2 * DEG_TO_RAD;
+  const dphi = (lat2 - lat1) * DEG_TO_RAD;
+  const dlambda = (lon2 - lon1) * DEG_TO_RAD;
+  const a = Math.sin(dphi / 2) ** 2 + Math.cos(phi1) * Math.cos(phi2) * Math.sin(dlambda / 2) ** 2;
+  return EARTH_RADIUS_M * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+// numpy's _lerp: interpolate from whichever end is closer for stability
+function lerp(a, b, t) {
+  const diff = b - a;
+  return t >= 0.5 ? b - diff * (1 - t) : a + diff * t;
+}
+
+// numpy add.reduce over a short contiguous row (pairwise blocks of 8)
+function reduceSum(xs) {
+  if (xs.length < 8) return xs.reduce((acc, x) => acc + x, 0);
+  const r = xs.slice(0, 8);
+  const blockEnd = xs.length - (xs.length % 8);
+  for (let i = 8; i < blockEnd; i += 8) {
+    for (let j = 0; j < 8; j += 1) r[j] += xs[i + j];
+  }
+  let res = (r[0] + r[1] + (r[2] + r[3])) + (r[4] + r[5] + (r[6] + r[7]));
+  for (let i = blockEnd; i < xs.length; i += 1) res += xs[i];
+  return res;
+}
+
+// Port of numpy's introselect (npysort/selection.cpp) for argpartition.
+// Reorders `order` so order[kth] indexes the kth smallest of `v`.
+function introselect(v, order, kth) {
+  const less = (a, b) => a < b || (b !== b && a === a); // NaNs sort last
+  const swap = (i, j) => {
+    const tmp = order[i];
+    order[i] = order[j];
+    order[j] = tmp;
+  };
+  const val = (i) => v[order[i]];
+  let low = 0;
+  let high = order.length - 1;
+
+  if (kth - low < 3) {
+    dumbSelect(v, order, low, high, kth, less, swap);
+    return;
+  }
+
+  let depthLimit = 2 * Math.floor(Math.log2(order.length));
+  for (; low + 1 < high; ) {
+    let ll = low + 1;
+    let hh = high;
+    if (depthLimit > 0 || hh - ll < 5) {
+      const mid = low + Math.floor((high - low) / 2);
+      // median of 3 pivot strategy, swapping for efficient partition
+      if (less(val(high), val(mid))) swap(high, mid);
+      if (less(val(high), val(low))) swap(high, low);
+      if (less(val(low), val(mid))) swap(low, mid);
+      swap(mid, low + 1);
+    } else {
+      const mid = ll + medianOfMedians5(v, order, ll, hh - ll, less, swap);
+      swap(mid, low);
+      ll -= 1;
+      hh += 1;
+    }
+    depthLimit -= 1;
+
+    const pivot = val(low);
+    for (;;) {
+      do ll += 1; while (less(val(ll), pivot));
+      do hh -= 1; while (less(pivot, val(hh)));
+      if (hh < ll) break;
+      swap(ll, hh);
+    }
+    swap(low, hh);
+
+    if (hh >= kth) high = hh - 1;
+    if (hh <= kth) low = ll;
+  }
+  if (high === low + 1 && less(val(high), val(low))) swap(high, low);
+}
+
+function dumbSelect(v, order, offset, high, kth, less, swap) {
+  const num = high - offset + 1;
+  for (let i = 0; i <= kth - offset; i += 1) {
+    let minIdx = i;
+    let minVal = v[order[offset + i]];
+    for (let k = i + 1; k < num; k += 1) {
+      if (less(v[order[offset + k]], minVal)) {
+        minIdx = k;
+        minVal = v[order[offset + k]];
+      }
+    }
+    swap(offset + i, offset + minIdx);
+  }
+}
+
+function medianOfMedians5(v, order, offset, num, less, swap) {
+  const right = num - 1;
+  const nmed = Math.floor(right / 5);
+  let subleft = 0;
+  for (let i = 0; i < nmed; i += 1, subleft += 5) {
+    const m = median5(v, order, offset + subleft, less, swap);
+    swap(offset + subleft + m, offset + i);
+  }
+  if (nmed > 2) {
+    introselectRange(v, order, offset, nmed, Math.floor(nmed / 2));
+  }
+  return Math.floor(nmed / 2);
+}
+
+function median5(v, order, o, less, swap) {
+  const val = (i) => v[order[o + i]];
+  const sw = (i, j) => swap(o + i, o + j);
+  if (less(val(1), val(0))) sw(1, 0);
+  if (less(val(4), val(3))) sw(4, 3);
+  if (less(val(3), val(0))) sw(3, 0);
+  if (less(val(4), val(1))) sw(4, 1);
+  if (less(val(2), val(1))) sw(2, 1);
+  if (less(val(3), val(2))) {
+    if (less(val(3), val(1))) return 1;
+    return 3;
+  }
+  return 2;
+}
+
+function introselectRange(v, order, offset, num, kth) {
+  const sub = order.slice(offset, offset + num);
+  introselect(v, sub, kth);
+  sub.forEach((idx, i) => {
+    order[offset + i] = idx;
+  });
+}
@@ -0,0 +1,181 @@
+// Schema for the per-hex score FeatureCollections (score_map_hex.json and the
+// legacy score_map.json), checked by the dashboards on load and by
+// scripts/validate-data.js after the pipeline runs.
+//
+// Severity:
+//   fatal    the file can't be drawn or keyed (not a FeatureCollection, missing
+//            geometry, missing or duplicate hex_id, a required field absent everywhere)
+//   error    a required field is missing, mistyped or out of range on some hexes
+//   warning  an optional field is missing, or a field the schema doesn't know
+import { REGION_NAMES } from "./regions.js";
+
+// Micro-weights (TEMP_WEIGHT + ELEV_WEIGHT) let hex sustainability reach 1.2, and so
+// dc_score 0.6 × 1.2 + 0.4 = 1.12
+const SHARE = { min: 0, max: 1 };
+const COMPOSITE = { min: 0, max: 1.2 };
+
+export const SCORE_SCHEMA = [
+  { key: "hex_id", type: "integer", required: true, min: 0 },
+  { key: "region", type: "string", required: true, values: Object.keys(REGION_NAMES) },
+  { key: "lat", type: "number", required: true, min: -90, max: 90 },
+  { key: "lon", type: "number", required: true, min: -180, max: 180 },
+  { key: "dc_score", type: "number", required: true, ...COMPOSITE },
+  { key: "dc_score_smooth", type: "number", required: true, ...COMPOSITE },
+  { key: "dc_score_temp", type: "number", required: true, ...COMPOSITE },
+  { key: "sustainability", type: "number", required: true, ...COMPOSITE },
+  { key: "profitability", type: "number", required: true, ...SHARE },
+  { key: "profitability_temp_adj", type: "number", required: false, ...SHARE },
+  { key: "n_price", type: "number", required: true, ...SHARE },
+  { key: "n_load", type: "number", required: true, ...SHARE },
+  { key: "n_volatility", type: "number", required: true, ...SHARE },
+  { key: "n_renew", type: "number", required: true, ...SHARE },
+  { key: "n_temp", type: "number", required: true, ...SHARE },
+  { key: "temp_cool_score", type: "number", required: true, ...SHARE },
+  { key: "elev_norm", type: "number", required: false, ...SHARE },
+  { key: "local_temp_c", type: "number", required: true, min: -60, max: 60 },
+  { key: "elevation_m", type: "number", required: true, min: -100, max: 6500 },
+  { key: "raw_price", type: "number", required: true, min: 0 },
+  { key: "raw_load", type: "number", required: true, min: 0 },
+  { key: "raw_peak", type: "number", required: false, min: 0 },
+  { key: "raw_volatility", type: "number", required: true, min: 0 },
+  { key: "raw_renew", type: "number", required: true, min: 0, max: 100 },
+  { key: "raw_temp", type: "number", required: true, min: -60, max: 60 },
+  { key: "dist_to_region", type: "number", required: false, min: 0 },
+];
+
+const FIELD_KEYS = new Set(SCORE_SCHEMA.map((field) => field.key));
+const GEOMETRY_TYPES = new Set(["Polygon", "MultiPolygon"]);
+// Ids listed in a fatal message before it says "and N more"
+const ID_SAMPLE = 5;
+
+/**
+ * Check a parsed FeatureCollection against SCORE_SCHEMA. Returns
+ * { ok, featureCount, fatal: [message], fields: [{ key, type, required, range,
+ * missing, wrongType, outOfRange, severity }], unexpected: [{ key, count }],
+ * errorCount, warningCount }. `ok` is false only for fatal problems.
+ */
+export function validateScoreMap(collection) {
+  const fatal = [];
+  if (collection?.type !== "FeatureCollection" || !Array.isArray(collection.features)) {
+    return report(0, ["Not a GeoJSON FeatureCollection."], [], []);
+  }
+  const features = collection.features;
+  if (!features.length) return report(0, ["The FeatureCollection has no features."], [], []);
+
+  const noGeometry = features.filter((f) => !GEOMETRY_TYPES.has(f?.geometry?.type)).length;
+  if (noGeometry) fatal.push(`${noGeometry} feature${plural(noGeometry)} without Polygon or MultiPolygon geometry.`);
+
+  const seen = new Set();
+  const duplicates = new Set();
+  features.forEach((f) => {
+    const id = f?.properties?.hex_id;
+    if (id === null || id === undefined) return;
+    if (seen.has(id)) duplicates.add(id);
+    seen.add(id);
+  });
+  if (duplicates.size) {
+    fatal.push(`hex_id must be unique; repeated: ${sample(Array.from(duplicates))}.`);
+  }
+
+  const fields = SCORE_SCHEMA.map((field) => {
+    let missing = 0;
+    let wrongType = 0;
+    let outOfRange = 0;
+    features.forEach((f) => {
+      const value = f?.properties?.[field.key];
+      if (value === null || value === undefined) missing += 1;
+      else if (!hasType(value, field.type)) wrongType += 1;
+      else if (!inRange(value, field)) outOfRange += 1;
+    });
+    const problems = wrongType + outOfRange + (field.required ? missing : 0);
+    return {
+      key: field.key,
+      type: field.type,
+      required: field.required,
+      range: describeRange(field),
+      missing,
+      wrongType,
+      outOfRange,
+      severity: problems ? "error" : missing ? "warning" : null,
+    };
+  });
+
+  const hexIds = fields.find((field) => field.key === "hex_id");
+  if (hexIds.missing || hexIds.wrongType) {
+    fatal.push(`${hexIds.missing + hexIds.wrongType} feature${plural(hexIds.missing + hexIds.wrongType)} without an integer hex_id.`);
+  }
+  fields
+    .filter((field) => field.required && field.key !== "hex_id" && field.missing === features.length)
+    .forEach((field) => fatal.push(`Required property "${field.key}" is missing from every feature.`));
+
+  const unexpectedCounts = new Map();
+  features.forEach((f) => {
+    Object.keys(f?.properties ?? {}).forEach((key) => {
+      if (!FIELD_KEYS.has(key)) unexpectedCounts.set(key, (unexpectedCounts.get(key) ?? 0) + 1);
+    });
+  });
+  const unexpected = Array.from(unexpectedCounts, ([key, count]) => ({ key, count })).sort((a, b) =>
+    a.key.localeCompare(b.key),
+  );
+
+  return report(features.length, fatal, fields, unexpected);
+}
+
+// One line per problem, for console output and error messages
+export function describeProblems(result) {
+  const lines = [...result.fatal.map((message) => `fatal: ${message}`)];
+  result.fields
+    .filter((field) => field.severity)
+    .forEach((field) => {
+      const parts = [
+        field.missing && `${field.missing} missing`,
+        field.wrongType && `${field.wrongType} not ${field.type}`,
+        field.outOfRange && `${field.outOfRange} outside ${field.range}`,
+      ].filter(Boolean);
+      lines.push(`${field.severity}: ${field.key}: ${parts.join(", ")}`);
+    });
+  result.unexpected.forEach(({ key, count }) => lines.push(`warning: ${key}: not in the schema (${count} features)`));
+  return lines;
+}
+
+function report(featureCount, fatal, fields, unexpected) {
+  return {
+    ok: fatal.length === 0,
+    featureCount,
+    fatal,
+    fields,
+    unexpected,
+    errorCount: fields.filter((field) => field.severity === "error").length,
+    warningCount: fields.filter((field) => field.severity === "warning").length + unexpected.length,
+  };
+}
+
+function hasType(value, type) {
+  if (type === "string") return typeof value === "string";
+  if (type === "integer") return Number.isInteger(value);
+  return typeof value === "number" && Number.isFinite(value);
+}
+
+function inRange(value, field) {
+  if (field.values) return field.values.includes(value);
+  if (field.min !== undefined && value < field.min) return false;
+  if (field.max !== undefined && value > field.max) return false;
+  return true;
+}
+
+function describeRange(field) {
+  if (field.values) return `one of ${field.values.join(", ")}`;
+  if (field.min !== undefined && field.max !== undefined) return `[${field.min}, ${field.max}]`;
+  if (field.min !== undefined) return `≥ ${field.min}`;
+  if (field.max !== undefined) return `≤ ${field.max}`;
+  return "any";
+}
+
+function sample(ids) {
+  const shown = ids.slice(0, ID_SAMPLE).join(", ");
+  return ids.length > ID_SAMPLE ? `${shown} and ${ids.length - ID_SAMPLE} more` : shown;
+}
+
+function plural(count) {
+  return count === 1 ? "" : "s";
+}
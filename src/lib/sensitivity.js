@@ -0,0 +1,114 @@
+// Monte Carlo weight sensitivity: redraw the sustainability/profitability split
+// and the per-hex micro-weights (TEMP_WEIGHT, ELEV_WEIGHT) around the current
+// weights, rerank every hex per draw, and summarize how stable each rank is.
+// Regional sub-weights stay fixed, so each hex reduces to four numbers and a
+// draw is a multiply-add per hex plus a sort.
+import * as d3 from "d3";
+import { DEFAULT_WEIGHTS, regionProfitability, regionSustainability } from "./gridscore.js";
+import { featureId } from "./scoreMapCore.js";
+
+export const ROBUSTNESS_METRIC = "rank_robustness";
+
+export const DEFAULT_SENSITIVITY = {
+  samples: 500,
+  // ± percentage points on the sustainability share (0.6 ± 0.15 → 45–75%)
+  splitSpread: 0.15,
+  // ± fraction of TEMP_WEIGHT and ELEV_WEIGHT (0.15 ± 50% → 0.075–0.225)
+  microSpread: 0.5,
+  // Top-N as a share of all hexes
+  topShare: 0.05,
+  seed: 42,
+};
+
+/**
+ * Returns { params, topN, samples, ids, baseRanks, stats: Map(id → { pTop, mean,
+ * median, p5, p95, baseRank }), ranks } where ranks[s * n + i] is hex i's rank
+ * (1 = best) in draw s.
+ */
+export function runSensitivity(features, weights = DEFAULT_WEIGHTS, options = {}) {
+  const params = { ...DEFAULT_SENSITIVITY, ...options };
+  const n = features.length;
+  const ids = features.map((f) => String(featureId(f)));
+  // dc_score = s·(regional + t·cool + e·elev) + (1 − s)·profit, per GridScore's 60/40 form
+  const regional = Float64Array.from(features, (f) => regionSustainability(f.properties, weights));
+  const profit = Float64Array.from(features, (f) => regionProfitability(f.properties, weights));
+  const cool = Float64Array.from(features, (f) => num(f.properties?.temp_cool_score));
+  const elev = Float64Array.from(features, (f) => num(f.properties?.elev_norm));
+
+  const random = d3.randomUniform.source(d3.randomLcg(params.seed));
+  const drawSplit = random(
+    clamp(weights.sustainability - params.splitSpread),
+    clamp(weights.sustainability + params.splitSpread),
+  );
+  const drawTemp = random(weights.temp * (1 - params.microSpread), weights.temp * (1 + params.microSpread));
+  const drawElev = random(weights.elev * (1 - params.microSpread), weights.elev * (1 + params.microSpread));
+
+  const scores = new Float64Array(n);
+  const order = new Uint32Array(n);
+  const ranks = new Uint32Array(params.samples * n);
+  const rankInto = (split, temp, elevWeight, offset) => {
+    for (let i = 0; i < n; i += 1) {
+      scores[i] = split * (regional[i] + temp * cool[i] + elevWeight * elev[i]) + (1 - split) * profit[i];
+      order[i] = i;
+    }
+    order.sort((a, b) => scores[b] - scores[a]);
+    for (let r = 0; r < n; r += 1) ranks[offset + order[r]] = r + 1;
+  };
+
+  // The unperturbed ranking goes through the same arithmetic first; draw 0 then overwrites it
+  rankInto(weights.sustainability, weights.temp, weights.elev, 0);
+  const baseRanks = ranks.slice(0, n);
+  for (let s = 0; s < params.samples; s += 1) rankInto(drawSplit(), drawTemp(), drawElev(), s * n);
+
+  const topN = Math.max(1, Math.ceil(n * params.topShare));
+  const column = new Uint32Array(params.samples);
+  const stats = new Map();
+  for (let i = 0; i < n; i += 1) {
+    let inTop = 0;
+    for (let s = 0; s < params.samples; s += 1) {
+      column[s] = ranks[s * n + i];
+      if (column[s] <= topN) inTop += 1;
+    }
+    column.sort();
+    stats.set(ids[i], {
+      pTop: inTop / params.samples,
+      mean: d3.mean(column),
+      median: d3.quantileSorted(column, 0.5),
+      p5: d3.quantileSorted(column, 0.05),
+      p95: d3.quantileSorted(column, 0.95),
+      baseRank: baseRanks[i],
+    });
+  }
+
+  return { params, topN, samples: params.samples, ids, baseRanks, stats, ranks };
+}
+
+// One hex's rank in every draw, e.g. for a histogram
+export function ranksFor(result, id) {
+  const i = result.ids.indexOf(String(id));
+  if (i === -1) return [];
+  const n = result.ids.length;
+  return Array.from({ length: result.samples }, (_, s) => result.ranks[s * n + i]);
+}
+
+// Per-hex properties painted on the map and read by the tooltip
+export function robustnessProperties(result, id) {
+  const stat = result?.stats.get(String(id));
+  if (!stat) return null;
+  return {
+    [ROBUSTNESS_METRIC]: stat.pTop,
+    rank_median: stat.median,
+    rank_p5: stat.p5,
+    rank_p95: stat.p95,
+    rank_top_n: result.topN,
+  };
+}
+
+function clamp(v) {
+  return Math.max(0, Math.min(1, v));
+}
+
+function num(v) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : 0;
+}
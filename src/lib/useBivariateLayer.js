@@ -0,0 +1,35 @@
+// Sustainability × profitability mode: tertile breaks for the scored hexes, the
+// per-class counts shown in the legend, and the legend cell being hovered.
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { bivariateClass } from "./bivariate.js";
+
+export function useBivariateLayer(features, isBivariate, requestRender) {
+  const [breaks, setBreaksState] = useState(null);
+  const [hoveredClass, setHoveredClass] = useState(null);
+  const breaksRef = useRef(null);
+  const hoveredClassRef = useRef(null);
+
+  // The ref is set at once so a render in the same tick colors with the new breaks
+  const setBreaks = useCallback((next) => {
+    breaksRef.current = next;
+    setBreaksState(next);
+  }, []);
+
+  const counts = useMemo(() => {
+    const result = Array(9).fill(0);
+    if (!breaks) return result;
+    features.forEach((f) => {
+      const cls = bivariateClass(f, breaks);
+      if (cls) result[cls.index] += 1;
+    });
+    return result;
+  }, [features, breaks]);
+
+  // Hovering a legend cell spotlights the hexes in that class
+  useEffect(() => {
+    hoveredClassRef.current = isBivariate ? hoveredClass : null;
+    requestRender();
+  }, [hoveredClass, isBivariate, requestRender]);
+
+  return { breaks, setBreaks, counts, hoveredClass, setHoveredClass, breaksRef, hoveredClassRef };
+}
@@ -0,0 +1,31 @@
+// Screening-rule state for the score map page. The map draws from refs (its
+// event handlers outlive a render), so the hook keeps them current and redraws.
+import { useEffect, useMemo, useRef, useState } from "react";
+import { METRICS } from "./scoreMapCore.js";
+import { applyFilters } from "./hexFilters.js";
+
+export function useHexFilters(features, metricOptions, requestRender) {
+  const [filters, setFilters] = useState({});
+  // "dim" masks failing hexes, "hide" drops them from the map
+  const [filterMode, setFilterMode] = useState("dim");
+  const filtersRef = useRef(filters);
+  const filterModeRef = useRef(filterMode);
+  const filteredFeatures = useMemo(() => applyFilters(features, filters), [features, filters]);
+
+  useEffect(() => {
+    filtersRef.current = filters;
+    filterModeRef.current = filterMode;
+    requestRender();
+  }, [filters, filterMode, requestRender]);
+
+  // A rule on a derived metric goes when that metric no longer has data
+  useEffect(() => {
+    setFilters((current) => {
+      const stale = Object.keys(current).filter((key) => METRICS[key]?.derived && !metricOptions[key]);
+      if (!stale.some((key) => current[key])) return current;
+      return Object.fromEntries(Object.entries(current).filter(([key]) => !stale.includes(key)));
+    });
+  }, [metricOptions]);
+
+  return { filters, setFilters, filterMode, setFilterMode, filteredFeatures, filtersRef, filterModeRef };
+}
@@ -0,0 +1,57 @@
+// Balancing-authority regions as the score map's units: the Hexes/Regions toggle,
+// dissolved region features with their statistics, and the selected region.
+import { useEffect, useMemo, useRef, useState } from "react";
+import { dissolveRegions, regionFeatures, regionStats } from "./regions.js";
+
+export function useRegionLayer(features, scoredFeatures, requestRender) {
+  const [viewMode, setViewMode] = useState("hexes");
+  const [selectedRegion, setSelectedRegion] = useState(null);
+  const showRegions = viewMode === "regions";
+  // Region features while the map is in region mode, null when it shows hexes
+  const regionsRef = useRef(null);
+  const regionSummariesRef = useRef(new Map());
+  const selectedRegionRef = useRef(null);
+  // Label elements positioned over each region's centroid, keyed by region code
+  const regionLabelRefs = useRef({});
+
+  const regionSummaries = useMemo(() => regionStats(scoredFeatures), [scoredFeatures]);
+  // Dissolving is the slow part and only depends on geometry, so it waits for region mode
+  const regionShapes = useMemo(
+    () => (showRegions && features.length ? dissolveRegions(features) : null),
+    [showRegions, features],
+  );
+  const regions = useMemo(
+    () => (regionShapes ? regionFeatures(regionShapes, regionSummaries) : null),
+    [regionShapes, regionSummaries],
+  );
+  const selectedRegionHexes = useMemo(
+    () => (selectedRegion ? scoredFeatures.filter((f) => f.properties?.region === selectedRegion) : []),
+    [scoredFeatures, selectedRegion],
+  );
+
+  useEffect(() => {
+    regionsRef.current = regions;
+    regionSummariesRef.current = regionSummaries;
+    selectedRegionRef.current = selectedRegion;
+    requestRender();
+  }, [regions, regionSummaries, selectedRegion, requestRender]);
+
+  useEffect(() => {
+    if (!showRegions) setSelectedRegion(null);
+  }, [showRegions]);
+
+  return {
+    viewMode,
+    setViewMode,
+    showRegions,
+    regions,
+    regionSummaries,
+    selectedRegion,
+    setSelectedRegion,
+    selectedRegionHexes,
+    regionsRef,
+    regionSummariesRef,
+    selectedRegionRef,
+    regionLabelRefs,
+  };
+}
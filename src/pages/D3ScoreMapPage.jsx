@@ -1,61 +1,125 @@
-import { useEffect, useMemo, useRef, useState } from "react";
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import * as d3 from "d3";
 import mapboxgl from "mapbox-gl";
 import Navbar from "@/components/Navbar";
 import Dither from "@/components/Dither";
+import GridScoreWeightsPanel from "@/components/GridScoreWeightsPanel";
+import HexDetailPanel from "@/components/HexDetailPanel";
+import HexCompareTray from "@/components/HexCompareTray";
+import HexRankingTable from "@/components/HexRankingTable";
+import HexFilterPanel from "@/components/HexFilterPanel";
+import BivariateLegend from "@/components/BivariateLegend";
+import ImageExportMenu from "@/components/ImageExportMenu";
+import DataExportMenu from "@/components/DataExportMenu";
+import RegionDetailPanel from "@/components/RegionDetailPanel";
+import DemandExplorer from "@/components/DemandExplorer";
+import ConditionsTimeline from "@/components/ConditionsTimeline";
+import ScenarioPanel from "@/components/ScenarioPanel";
+import DatasetDiffPanel from "@/components/DatasetDiffPanel";
+import DataQualityPanel from "@/components/DataQualityPanel";
+import SensitivityPanel from "@/components/SensitivityPanel";
+import GoToSearch from "@/components/GoToSearch";
+import { DEFAULT_WEIGHTS, invertedMinMax, isDefaultWeights, rescoreFeatures } from "@/lib/gridscore";
+import { readDashboardState, writeDashboardState } from "@/lib/dashboardUrl";
+import { activeFilterCount, passesFilters } from "@/lib/hexFilters";
+import { useHexFilters } from "@/lib/useHexFilters";
+import {
+  BIVARIATE_KEY,
+  BIVARIATE_PALETTE,
+  BIVARIATE_X,
+  BIVARIATE_Y,
+  bivariateBreaks,
+  bivariateClass,
+  bivariateClassLabel,
+} from "@/lib/bivariate";
+import { useBivariateLayer } from "@/lib/useBivariateLayer";
+import { createD3Map } from "@/lib/d3Map";
+import { bivariateFillExpression, createHexLayer, metricFillExpression } from "@/lib/hexLayer";
+import {
+  DEFAULT_METRIC,
+  METRICS,
+  availableMetrics,
+  buildMetricScales,
+  colorFor,
+  featureId,
+  formatValue,
+  legendGradient,
+  legendStops,
+  tooltipModel,
+  valueFor,
+} from "@/lib/scoreMapCore";
+import { downloadBlob, mapProjection, renderMapPng, renderMapSvg } from "@/lib/mapExport";
+import { exportColumns, featuresToCsv, featuresToGeoJson } from "@/lib/dataExport";
+import {
+  NATIVE_MIN_ZOOM,
+  aggregateFeatures,
+  aggregateTooltipModel,
+  h3Index,
+  isAggregate,
+  resolutionForZoom,
+} from "@/lib/h3Aggregate";
+import { frameDomains } from "@/lib/hourlyConditions";
+import { DIFF_METRIC, hexKey } from "@/lib/datasetDiff";
+import { validateScoreMap } from "@/lib/scoreSchema";
+import { buildHitIndex, featureAt, parseGoToQuery, resolveGoTo } from "@/lib/hexSearch";
+import { NAV_INSTRUCTIONS, NAV_KEYS, describeModel, nearestFeature, neighborInDirection } from "@/lib/hexNavigation";
+import { ROBUSTNESS_METRIC, robustnessProperties } from "@/lib/sensitivity";
+import { DELTA_METRIC, compareScenario, hasChanges, regionInputs, scenarioOverrides } from "@/lib/scenarios";
+import { isRegion, regionTooltipModel } from "@/lib/regions";
+import { useRegionLayer } from "@/lib/useRegionLayer";
 
 const BASE_PATH = import.meta.env.BASE_URL ?? "/";
+const DATA_FILE = "score_map_hex.json";
 
-const METRICS = {
-  dc_score: {
-    label: "GridScore",
-    description: "Composite score balancing sustainability and profitability (60/40 weighting).",
-  },
-  sustainability: {
-    label: "Sustainability",
-    description: "Sustainability is driven by renewable share, grid volatility, and the site’s cooling suitability.",
-  },
-  profitability: {
-    label: "Profitability",
-    description: "Operational efficiency from price stability, peak load, and volatility.",
-  },
-  dc_score_temp: {
-    label: "Cooling advantage",
-    description: "Temperature-adjusted score that rewards cooler microclimates.",
-  },
-  local_temp_c: {
-    label: "Local temperature (°C)",
-    description: "Average local temperature per hex so cooler microclimates pop out.",
-  },
-  elevation_m: {
-    label: "Elevation (m)",
-    description: "Elevation per hex for quick terrain context.",
-  },
+// Two-variable mode offered next to the single metrics in the "Color by" menu
+const BIVARIATE_MODE = {
+  label: "Sustainability × Profitability",
+  description: "Bivariate classes: sustainability tertiles (left → right) against profitability tertiles (bottom → top).",
 };
 
-const defaultMetric = "dc_score";
+const MAP_STYLE = "mapbox://styles/mapbox/light-v11";
+const DEFAULT_CENTER = [-98.5, 39];
+const DEFAULT_ZOOM = 3.5;
+const MAX_COMPARE = 4;
+// Hex seams, and the heavier boundaries drawn when regions are the map units
+const OUTLINES = {
+  hexes: { color: "rgba(255,255,255,0.15)", width: 0.35 },
+  regions: { color: "rgba(15,23,42,0.75)", width: 1.4 },
+};
+const formatTimelineTime = d3.utcFormat("%b %-d, %H:00 UTC");
+const COMPARE_COLORS = ["#f472b6", "#60a5fa", "#facc15", "#a78bfa"];
 const ANNOTATIONS = [
   {
     id: "pnw",
     label: "Cool, high-GridScore cluster (PNW)",
     colorClass: "bg-emerald-300",
+    color: "#6ee7b7", // same swatch as colorClass, for image exports
     coords: [-122.7, 45.6], // lon, lat
   },
   {
     id: "south",
     label: "Warmer, costlier cells across the South",
     colorClass: "bg-amber-300",
+    color: "#fcd34d",
     coords: [-90, 30], // lon, lat
   },
   {
     id: "carolinas",
     label: "Carolinas: top GridScore – sustainable and profitable",
     colorClass: "bg-emerald-200",
+    color: "#a7f3d0",
     coords: [-79.8, 34.9], // lon, lat near Carolinas
   },
 ];
 
 export default function D3ScoreMapPage() {
+  // View restored from a shared link (metric, camera, selected hex, weights)
+  const [initialView] = useState(() => {
+    const view = readDashboardState();
+    const known = (METRICS[view.metric] && !METRICS[view.metric].derived) || view.metric === BIVARIATE_KEY;
+    return { ...view, metric: known ? view.metric : DEFAULT_METRIC };
+  });
+
   const canvasRef = useRef(null);
   const wrapperRef = useRef(null);
   const mapRef = useRef(null);
@@ -65,8 +129,8 @@ export default function D3ScoreMapPage() {
   const frameIdRef = useRef(null);
   const isPanningRef = useRef(false);
   const mapReadyRef = useRef(false);
-  const prevMetricRef = useRef(defaultMetric);
-  const metricRef = useRef(defaultMetric);
+  const prevMetricRef = useRef(initialView.metric);
+  const metricRef = useRef(initialView.metric);
   const visibleFeaturesRef = useRef([]);
   const metricDomainsRef = useRef({});
   const palettesRef = useRef({});
@@ -74,36 +138,200 @@ export default function D3ScoreMapPage() {
   const hoveredFeatureRef = useRef(null);
   const clearHoverRef = useRef(null);
   const annotationRefs = useRef({});
+  const selectedHexIdRef = useRef(initialView.hexId ?? null);
+  const weightsRef = useRef(initialView.weights ?? DEFAULT_WEIGHTS);
+  const comparedRef = useRef([]);
+  const hitTestFeaturesRef = useRef([]);
+  const hitIndexKeyRef = useRef(null);
+  // Mapbox GL hex layers; null while the D3 fallback renderer draws to the canvas instead
+  const hexLayerRef = useRef(null);
+  // Hexes drawn in the last render: native hexes in view, or H3 aggregates at low zoom
+  const renderedFeaturesRef = useRef([]);
+  const aggregateRef = useRef(true);
+  // Aggregates per resolution, valid for one scored feature array + filter set
+  const aggregatesCacheRef = useRef({ features: null, filters: null, byRes: new Map() });
+  const displayLevelRef = useRef(null);
+  const hoveredRegionRef = useRef(null);
+  // Id of the hex or region under the keyboard cursor
+  const keyboardCursorRef = useRef(null);
+  // Latest render(); effects redraw through the stable requestRender() below
+  const renderRef = useRef(null);
+
+  const requestRender = useCallback(() => {
+    if (mapReadyRef.current) renderRef.current?.();
+  }, []);
+
+  const syncUrl = useCallback(() => {
+    const map = mapRef.current;
+    const center = map?.getCenter();
+    writeDashboardState({
+      metric: metricRef.current,
+      center: center ? [center.lng, center.lat] : initialView.center,
+      zoom: map ? map.getZoom() : initialView.zoom,
+      hexId: selectedHexIdRef.current,
+      weights: isDefaultWeights(weightsRef.current) ? null : weightsRef.current,
+    });
+  }, [initialView]);
 
-  const [metric, setMetric] = useState(defaultMetric);
+  const [metric, setMetric] = useState(initialView.metric);
   const [domain, setDomain] = useState([0, 1]);
   const [status, setStatus] = useState("loading");
   const [error, setError] = useState(null);
   const [features, setFeatures] = useState([]);
+  const [scoredFeatures, setScoredFeatures] = useState([]);
   const [mapReady, setMapReady] = useState(false);
-
-  const metricCopy = useMemo(() => METRICS[metric]?.description ?? "", [metric]);
-
-  // Initialize map on mount
+  // Set when the D3 fallback renderer replaced Mapbox, with the reason shown to the user
+  const [fallbackReason, setFallbackReason] = useState(null);
+  const [showOutline, setShowOutline] = useState(true);
+  const [weights, setWeights] = useState(initialView.weights ?? DEFAULT_WEIGHTS);
+  const [selectedHexId, setSelectedHexId] = useState(initialView.hexId ?? null);
+  // Compare tray entries: { id, color }, colors stay with a hex while it is pinned
+  const [compared, setCompared] = useState([]);
+  // Hex ids inside the current viewport, published once per moveend (not per frame)
+  const [visibleHexIds, setVisibleHexIds] = useState(null);
+  const [metricDomains, setMetricDomains] = useState({});
+  const [showFilters, setShowFilters] = useState(false);
+  const [showWeights, setShowWeights] = useState(false);
+  const [aggregate, setAggregate] = useState(true);
+  // { res, count } while H3 aggregates are drawn, null on the native grid
+  const [displayLevel, setDisplayLevel] = useState(null);
+  const [hoveredRegion, setHoveredRegion] = useState(null);
+  // { [region]: forecast peak MW } while the forecast feeds profitability, else null
+  const [forecastPeaks, setForecastPeaks] = useState(null);
+  const [timeline, setTimeline] = useState(null);
+  const [showScenarios, setShowScenarios] = useState(false);
+  const [scenarios, setScenarios] = useState([]);
+  const [activeScenarioId, setActiveScenarioId] = useState(null);
+  const [scenarioResult, setScenarioResult] = useState(null);
+  const [showDiff, setShowDiff] = useState(false);
+  const [datasetDiff, setDatasetDiff] = useState(null);
+  const [dataQuality, setDataQuality] = useState(null);
+  const [showSensitivity, setShowSensitivity] = useState(false);
+  const [sensitivity, setSensitivity] = useState(null);
+  const [pickedPlace, setPickedPlace] = useState(null);
+  const [announcement, setAnnouncement] = useState("");
+
+  const isBivariate = metric === BIVARIATE_KEY;
+  const metricOptions = useMemo(() => availableMetrics(scoredFeatures), [scoredFeatures]);
+  const { filters, setFilters, filterMode, setFilterMode, filteredFeatures, filtersRef, filterModeRef } =
+    useHexFilters(scoredFeatures, metricOptions, requestRender);
+  const {
+    breaks,
+    setBreaks,
+    counts: bivariateCounts,
+    hoveredClass,
+    setHoveredClass,
+    breaksRef: bivariateBreaksRef,
+    hoveredClassRef,
+  } = useBivariateLayer(scoredFeatures, isBivariate, requestRender);
+  const {
+    viewMode,
+    setViewMode,
+    showRegions,
+    regions,
+    regionSummaries,
+    selectedRegion,
+    setSelectedRegion,
+    selectedRegionHexes,
+    regionsRef,
+    regionSummariesRef,
+    selectedRegionRef,
+    regionLabelRefs,
+  } = useRegionLayer(features, scoredFeatures, requestRender);
+  const metricCopy = useMemo(
+    () =>
+      metric === BIVARIATE_KEY
+        ? BIVARIATE_MODE.description
+        : metric === DIFF_METRIC && datasetDiff
+          ? `Change in ${datasetDiff.label} from ${datasetDiff.before} to ${datasetDiff.after}; blue up, red down.`
+          : metric === ROBUSTNESS_METRIC && sensitivity
+            ? `Share of ${sensitivity.samples} weight draws that keep the hex in the top ${sensitivity.topN}; green holds its rank, red only ranks at these exact weights.`
+            : METRICS[metric]?.description ?? "",
+    [metric, datasetDiff, sensitivity],
+  );
+  const selectedFeature = useMemo(
+    () =>
+      selectedHexId === null
+        ? null
+        : scoredFeatures.find((f) => String(featureId(f)) === String(selectedHexId)) ?? null,
+    [scoredFeatures, selectedHexId],
+  );
+  const comparedItems = useMemo(
+    () =>
+      compared
+        .map((entry) => ({
+          ...entry,
+          feature: scoredFeatures.find((f) => String(featureId(f)) === String(entry.id)),
+        }))
+        .filter((item) => item.feature),
+    [compared, scoredFeatures],
+  );
+  const pinnedFeatures = useMemo(() => {
+    const ids = new Set(compared.map((entry) => String(entry.id)));
+    if (selectedHexId !== null) ids.add(String(selectedHexId));
+    return scoredFeatures.filter((f) => ids.has(String(featureId(f))));
+  }, [scoredFeatures, compared, selectedHexId]);
+  const dataColumns = useMemo(() => exportColumns(scoredFeatures), [scoredFeatures]);
+  const dataScopes = useMemo(
+    () => [
+      { key: "view", label: "In current view", count: visibleHexIds?.size ?? 0 },
+      {
+        key: "filtered",
+        label: "Passing filters",
+        count: activeFilterCount(filters) ? filteredFeatures.length : 0,
+      },
+      { key: "pinned", label: "Pinned and compared", count: pinnedFeatures.length },
+      { key: "all", label: "All hexes", count: scoredFeatures.length },
+    ],
+    [visibleHexIds, filters, filteredFeatures, pinnedFeatures, scoredFeatures],
+  );
+  const timelineOverrides = timeline?.overrides ?? null;
+  const timelineFrames = timeline?.frames ?? null;
+  // Hourly conditions first; an explicit forecast-peak load still wins for n_load
+  const regionOverrides = useMemo(() => {
+    if (!forecastPeaks) return timelineOverrides;
+    const forecastLoad = invertedMinMax(forecastPeaks);
+    return Object.fromEntries(
+      Object.keys({ ...timelineOverrides, ...forecastLoad }).map((region) => [
+        region,
+        { ...timelineOverrides?.[region], n_load: forecastLoad[region], forecast_peak: forecastPeaks[region] },
+      ]),
+    );
+  }, [forecastPeaks, timelineOverrides]);
+  // Fixed over the whole timeline so colors move with the scores during playback
+  const timelineDomains = useMemo(
+    () => (timelineFrames && features.length ? frameDomains(features, timelineFrames, weights) : null),
+    [timelineFrames, features, weights],
+  );
+  const scenarioChanges = scenarios.find((s) => s.id === activeScenarioId)?.changes ?? null;
+  const scenarioInputs = useMemo(() => regionInputs(features, regionOverrides), [features, regionOverrides]);
+  // Go-to lookups only need geometry, so the index follows the loaded hexes, not every rescore
+  const searchIndex = useMemo(() => buildHitIndex(features), [features]);
+  // Live score of the hex under a place picked in the search box
+  const placeSummary = useMemo(() => {
+    if (!pickedPlace) return null;
+    const feature = scoredFeatures.find((f) => String(featureId(f)) === String(pickedPlace.hexId));
+    if (!feature) return null;
+    const parts = [
+      pickedPlace.label,
+      `hex ${pickedPlace.hexId} (${feature.properties.region})`,
+      `GridScore ${formatValue(valueFor(feature, DEFAULT_METRIC))}`,
+    ];
+    // The colored metric too, when it's something else
+    const meta = metric !== DEFAULT_METRIC ? METRICS[metric] : null;
+    if (meta) parts.push(`${meta.shortLabel ?? meta.label} ${formatValue(valueFor(feature, metric), meta.digits)}`);
+    return parts.join(" · ");
+  }, [pickedPlace, scoredFeatures, metric]);
+
+  // Initialize map on mount. Without a token, or if the Mapbox style can't load
+  // (offline, blocked, rejected token), fall back to the pure D3 renderer.
   useEffect(() => {
     if (mapRef.current || !mapContainerRef.current) return;
 
-    mapboxgl.accessToken = import.meta.env.VITE_MAPBOX_TOKEN;
-
-    const map = new mapboxgl.Map({
-      container: mapContainerRef.current,
-      style: "mapbox://styles/mapbox/light-v11",
-      center: [-98.5, 39],
-      zoom: 3.5,
-      pitch: 0,
-      bearing: 0,
-      interactive: true,
-    });
-
-    map.addControl(new mapboxgl.NavigationControl(), "top-left");
+    let map = null;
     clearHoverRef.current = () => {
       if (hoveredFeatureRef.current) {
-        hoveredFeatureRef.current = null;
+        setHoveredFeature(null);
         if (mapReadyRef.current && mapRef.current && featureCollectionRef.current) {
           render();
         }
@@ -111,17 +339,6 @@ export default function D3ScoreMapPage() {
       hideTooltip();
     };
 
-    map.on("load", () => {
-      mapRef.current = map;
-      mapReadyRef.current = true;
-      setMapReady(true);
-    });
-
-    map.on("movestart", () => {
-      isPanningRef.current = true;
-      hideTooltip();
-    });
-
     const scheduleRender = () => {
       if (frameIdRef.current) return;
       frameIdRef.current = requestAnimationFrame(() => {
@@ -130,23 +347,91 @@ export default function D3ScoreMapPage() {
       });
     };
 
-    map.on("move", scheduleRender);
+    const attach = (instance) => {
+      instance.on("load", () => {
+        if (!instance.isFallback) hexLayerRef.current = createHexLayer(instance);
+        mapRef.current = instance;
+        mapReadyRef.current = true;
+        setMapReady(true);
+      });
 
-    // Render once after panning/zooming stops
-    map.on("moveend", () => {
-      isPanningRef.current = false;
-      if (frameIdRef.current) {
-        cancelAnimationFrame(frameIdRef.current);
-        frameIdRef.current = null;
-      }
-      render();
-    });
+      instance.on("movestart", () => {
+        isPanningRef.current = true;
+        hideTooltip();
+      });
+
+      // The GPU layer moves with the map on its own; only the D3 fallback redraws per frame.
+      // Crossing an aggregation zoom threshold swaps the layer's data.
+      instance.on(
+        "move",
+        instance.isFallback
+          ? scheduleRender
+          : () => {
+              positionAnnotations(instance);
+              if (targetResolution(instance) !== (displayLevelRef.current?.res ?? null)) render();
+            },
+      );
 
-    map.on("resize", () => render());
+      // Render once after panning/zooming stops
+      instance.on("moveend", () => {
+        isPanningRef.current = false;
+        if (frameIdRef.current) {
+          cancelAnimationFrame(frameIdRef.current);
+          frameIdRef.current = null;
+        }
+        render();
+        publishVisibleHexIds();
+        syncUrl();
+      });
 
-    // Handle mouse move for tooltip hit detection (on map, not canvas)
-    map.on("mousemove", (e) => handleMapMouseMove(e));
-    map.on("mouseleave", () => clearHoverRef.current?.());
+      instance.on("resize", () => render());
+
+      // Handle mouse move for tooltip hit detection (on map, not canvas)
+      instance.on("mousemove", (e) => handleMapMouseMove(e));
+      instance.on("mouseleave", () => clearHoverRef.current?.());
+      instance.on("click", (e) => handleMapClick(e));
+    };
+
+    const startFallback = (reason) => {
+      if (map?.isFallback) return;
+      map?.remove();
+      map = createD3Map({
+        container: mapContainerRef.current,
+        center: initialView.center ?? DEFAULT_CENTER,
+        zoom: initialView.zoom ?? DEFAULT_ZOOM,
+        outlineUrl: `${BASE_PATH}data/us-states-outline.json`,
+      });
+      attach(map);
+      setFallbackReason(reason);
+    };
+
+    const token = import.meta.env.VITE_MAPBOX_TOKEN;
+    if (!token) {
+      startFallback("No Mapbox token configured");
+    } else {
+      try {
+        mapboxgl.accessToken = token;
+        map = new mapboxgl.Map({
+          container: mapContainerRef.current,
+          style: MAP_STYLE,
+          center: initialView.center ?? DEFAULT_CENTER,
+          zoom: initialView.zoom ?? DEFAULT_ZOOM,
+          pitch: 0,
+          bearing: 0,
+          interactive: true,
+        });
+        map.addControl(new mapboxgl.NavigationControl(), "top-left");
+        attach(map);
+        // Errors after load are tile hiccups; only a style that never loads triggers the fallback
+        map.on("error", (e) => {
+          if (mapReadyRef.current || e.target?.isStyleLoaded?.()) return;
+          startFallback(`Mapbox unavailable (${e.error?.message || "style failed to load"})`);
+        });
+      } catch (err) {
+        // e.g. WebGL disabled
+        startFallback(`Mapbox unavailable (${err.message})`);
+      }
+    }
 
     return () => {
       mapReadyRef.current = false;
@@ -154,10 +439,9 @@ export default function D3ScoreMapPage() {
         cancelAnimationFrame(frameIdRef.current);
         frameIdRef.current = null;
       }
-      if (mapRef.current) {
-        mapRef.current.remove();
-        mapRef.current = null;
-      }
+      map?.remove();
+      mapRef.current = null;
+      hexLayerRef.current = null;
     };
   }, []);
 
@@ -168,13 +452,22 @@ export default function D3ScoreMapPage() {
     const load = async () => {
       try {
         setStatus("loading");
-        const res = await fetch(`${BASE_PATH}data/score_map_hex.json`);
+        const res = await fetch(`${BASE_PATH}data/${DATA_FILE}`);
         if (!res.ok) {
-          throw new Error(`HTTP ${res.status}`);
+          throw new Error(`Couldn't load ${DATA_FILE} (HTTP ${res.status}).`);
         }
-        const json = await res.json();
+        const json = await res.json().catch(() => {
+          throw new Error(`${DATA_FILE} is not valid JSON.`);
+        });
         if (!isMounted) return;
 
+        // Problems show in the data-quality panel; only fatal ones stop the map
+        const report = validateScoreMap(json);
+        setDataQuality(report);
+        if (!report.ok) {
+          throw new Error(`${DATA_FILE} failed validation: ${report.fatal[0]}`);
+        }
+
         // Pre-compute centroids and bounds for each feature (expensive operation done once)
         const featuresWithCentroids = (json.features ?? []).map((f) => {
           const centroid = d3.geoCentroid(f);
@@ -183,48 +476,13 @@ export default function D3ScoreMapPage() {
             ...f,
             _centroid: centroid, // Cache centroid for fast viewport culling
             _bounds: bounds, // Cache bounds for hover short-circuiting
+            _h3: h3Index({ _centroid: centroid }), // H3 cell of the centroid, exported as h3_cell
           };
         });
 
-        // Pre-compute global metric domains and color palettes (no per-frame extent)
-        const domains = {};
-        Object.keys(METRICS).forEach((key) => {
-          const vals = featuresWithCentroids
-            .map((f) => valueFor(f, key))
-            .filter((v) => v !== null);
-          const [min, max] = vals.length ? d3.extent(vals) : [0, 1];
-          domains[key] = Number.isFinite(min) && Number.isFinite(max) && min !== max ? [min, max] : [0, 1];
-        });
-
-        const palettes = {};
-        const interpolatorFor = (metric) => {
-          if (metric === "local_temp_c") {
-            // Blue for colder, red for hotter
-            return (t) => d3.interpolateRdBu(1 - t);
-          }
-          if (metric === "elevation_m") {
-            // Green for lower, red for higher
-            return d3.interpolateRgbBasis(["#0e7c3a", "#f3c567", "#c62828"]);
-          }
-          return d3.interpolateRdYlGn;
-        };
-
-        Object.entries(domains).forEach(([key, dom]) => {
-          const interp = interpolatorFor(key);
-          const scale = d3.scaleSequential(dom, interp);
-          const colors = Array.from({ length: 256 }, (_, i) => {
-            const t = i / 255;
-            const v = dom[0] + t * (dom[1] - dom[0]);
-            return scale(v);
-          });
-          palettes[key] = colors;
-        });
-
+        // Domains and palettes are computed by the scoring effect below
         featureCollectionRef.current = { ...json, features: featuresWithCentroids };
-        metricDomainsRef.current = domains;
-        palettesRef.current = palettes;
         setFeatures(featuresWithCentroids);
-        setDomain(domains[defaultMetric] ?? [0, 1]);
         setStatus("ready");
       } catch (err) {
         if (!isMounted) return;
@@ -239,6 +497,106 @@ export default function D3ScoreMapPage() {
     };
   }, []);
 
+  // The place note under the search box goes away with its hex's selection
+  useEffect(() => {
+    setPickedPlace((current) => (current && String(current.hexId) !== String(selectedHexId) ? null : current));
+  }, [selectedHexId]);
+
+  // A sensitivity run describes the weights and inputs it ran on; any change makes it stale
+  useEffect(() => {
+    setSensitivity(null);
+  }, [weights, features, regionOverrides, scenarioChanges]);
+
+  // Rescore every hex in the browser when the GridScore weights change
+  useEffect(() => {
+    if (!features.length) return;
+    const baseline =
+      isDefaultWeights(weights) && !regionOverrides ? features : rescoreFeatures(features, weights, regionOverrides);
+    // A what-if scenario is scored on top of everything else and compared with it
+    const comparison = hasChanges(scenarioChanges)
+      ? compareScenario(
+          baseline,
+          rescoreFeatures(features, weights, scenarioOverrides(features, scenarioChanges, regionOverrides)),
+        )
+      : null;
+    const compared = comparison?.features ?? baseline;
+    // The dataset diff and a sensitivity run are painted as-is on whatever is scored
+    const scored =
+      datasetDiff || sensitivity
+        ? compared.map((f) => ({
+            ...f,
+            properties: {
+              ...f.properties,
+              ...(datasetDiff && { [DIFF_METRIC]: datasetDiff.deltas.get(hexKey(f)) ?? null }),
+              ...robustnessProperties(sensitivity, featureId(f)),
+            },
+          }))
+        : compared;
+    setScenarioResult(comparison);
+    const { palettes, ...scales } = buildMetricScales(scored);
+    const domains = pinDomains(scales.domains, timelineDomains);
+    const classBreaks = bivariateBreaks(scored);
+    featureCollectionRef.current = { ...featureCollectionRef.current, features: scored };
+    setScoredFeatures(scored);
+    metricDomainsRef.current = domains;
+    palettesRef.current = palettes;
+    setMetricDomains(domains);
+    setBreaks(classBreaks);
+    setDomain(domains[metricRef.current] ?? [0, 1]);
+    hideTooltip();
+    requestRender();
+  }, [
+    weights,
+    features,
+    regionOverrides,
+    timelineDomains,
+    scenarioChanges,
+    datasetDiff,
+    sensitivity,
+    setBreaks,
+    requestRender,
+  ]);
+
+  // Keep the URL in sync with the view so links reopen it exactly
+  useEffect(() => {
+    metricRef.current = metric;
+    weightsRef.current = weights;
+    selectedHexIdRef.current = selectedHexId;
+    syncUrl();
+    requestRender();
+  }, [metric, weights, selectedHexId, syncUrl, requestRender]);
+
+  // Pinned outlines are drawn in render(); keep the ref current for map callbacks
+  useEffect(() => {
+    comparedRef.current = compared;
+    requestRender();
+  }, [compared, requestRender]);
+
+  useEffect(() => {
+    aggregateRef.current = aggregate;
+    hideTooltip();
+    requestRender();
+  }, [aggregate, requestRender]);
+
+  useEffect(() => {
+    hideTooltip();
+  }, [showRegions]);
+
+  // Back to the baseline when a derived metric no longer has data
+  useEffect(() => {
+    if (METRICS[metric]?.derived && !metricOptions[metric]) setMetric(DEFAULT_METRIC);
+  }, [metric, metricOptions]);
+
+  useEffect(() => {
+    if (mapReady && fallbackReason) mapRef.current?.setOutlineVisible(showOutline);
+  }, [mapReady, fallbackReason, showOutline]);
+
+  // A shared link with a hex but no camera flies to that hex once data is in
+  useEffect(() => {
+    if (!mapReady || !features.length || initialView.center || initialView.hexId == null) return;
+    flyToFeature(features.find((f) => String(featureId(f)) === String(initialView.hexId)));
+  }, [mapReady, features, initialView]);
+
   // Render when both map is ready AND features are loaded, or when metric changes
   useEffect(() => {
     if (!mapReady || !features.length) return;
@@ -247,6 +605,7 @@ export default function D3ScoreMapPage() {
     const dom = metricDomainsRef.current[metric];
     if (dom) setDomain(dom);
     render();
+    publishVisibleHexIds();
   }, [metric, features, mapReady]);
 
   // Get only features visible in the current map viewport (uses pre-computed centroids)
@@ -273,15 +632,58 @@ export default function D3ScoreMapPage() {
     });
   };
 
-  // Canvas-based render function - much faster than SVG for large datasets
+  const targetResolution = (map) =>
+    aggregateRef.current && !regionsRef.current ? resolutionForZoom(map.getZoom()) : null;
+
+  // Region polygons in region mode; otherwise native hexes, or their H3 parent cells
+  // when the zoom is continental. Aggregates only summarise hexes passing the
+  // current filters, so they are rebuilt with them.
+  const displayFeatures = (map, nativeFeatures) => {
+    const res = targetResolution(map);
+    let result = regionsRef.current ?? nativeFeatures;
+    if (res !== null) {
+      const filters = filtersRef.current;
+      if (aggregatesCacheRef.current.features !== nativeFeatures || aggregatesCacheRef.current.filters !== filters) {
+        aggregatesCacheRef.current = { features: nativeFeatures, filters, byRes: new Map() };
+      }
+      const { byRes } = aggregatesCacheRef.current;
+      if (!byRes.has(res)) {
+        const passes = activeFilterCount(filters) > 0 ? (f) => passesFilters(f, filters) : null;
+        byRes.set(res, aggregateFeatures(nativeFeatures, res, passes));
+      }
+      result = byRes.get(res);
+    }
+
+    const level = res === null ? null : { res, count: result.length };
+    if (level?.res !== displayLevelRef.current?.res || level?.count !== displayLevelRef.current?.count) {
+      displayLevelRef.current = level;
+      setDisplayLevel(level);
+    }
+    return result;
+  };
+
+  // Sync the view with the refs. With Mapbox this only pushes changed styles and
+  // feature-state to the GPU layer; the D3 fallback redraws the canvas instead.
   const render = () => {
-    const allFeatures = featureCollectionRef.current?.features;
-    if (!canvasRef.current || !allFeatures?.length) return;
+    const nativeFeatures = featureCollectionRef.current?.features;
+    if (!canvasRef.current || !nativeFeatures?.length) return;
 
     const canvas = canvasRef.current;
     const map = mapRef.current;
     if (!map || !mapContainerRef.current) return;
 
+    // The table and data exports always see native hexes; drawing may use aggregates
+    const allFeatures = displayFeatures(map, nativeFeatures);
+    visibleFeaturesRef.current = getVisibleFeatures(nativeFeatures, map);
+    // Aggregate cells and regions are large and few, so they are not culled by centroid
+    renderedFeaturesRef.current = allFeatures === nativeFeatures ? visibleFeaturesRef.current : allFeatures;
+
+    if (hexLayerRef.current) {
+      renderHexLayer(map, allFeatures);
+      positionAnnotations(map);
+      return;
+    }
+
     // Mirror Mapbox canvas transform to avoid drift during pan/zoom
     const mapCanvas = map.getCanvas();
     if (mapCanvas && canvas.style.transform !== mapCanvas.style.transform) {
@@ -304,57 +706,61 @@ export default function D3ScoreMapPage() {
     ctx.scale(dpr, dpr);
     ctx.clearRect(0, 0, width, height);
 
-    // D3 projection using Mapbox's project()
-    const project = (lon, lat) => map.project([lon, lat]);
-    const projection = {
-      stream: (s) => ({
-        point(lon, lat) {
-          const p = project(lon, lat);
-          s.point(p.x, p.y);
-        },
-        lineStart() { s.lineStart(); },
-        lineEnd() { s.lineEnd(); },
-        polygonStart() { s.polygonStart(); },
-        polygonEnd() { s.polygonEnd(); },
-      }),
-    };
+    // D3 path generator with canvas context, projected through Mapbox's project()
+    const path = d3.geoPath(mapProjection(map)).context(ctx);
 
-    // D3 path generator with canvas context
-    const path = d3.geoPath(projection).context(ctx);
-
-    // Get visible features and store for hit testing
-    const visibleFeatures = getVisibleFeatures(allFeatures, map);
-    visibleFeaturesRef.current = visibleFeatures;
-    quadtreeRef.current = d3
-      .quadtree()
-      .x((d) => d[0])
-      .y((d) => d[1])
-      .addAll(
-        visibleFeatures.map((f) => {
-          const c = f._centroid ?? [0, 0];
-          return [c[0], c[1], f];
-        }),
-      );
+    const visibleFeatures = renderedFeaturesRef.current;
+
+    // Hexes failing a screening rule are masked and never hit-tested
+    const filtering = activeFilterCount(filtersRef.current) > 0;
+    const hitTestFeatures = filtering
+      ? visibleFeatures.filter((f) => !failsFilters(f, filtersRef.current))
+      : visibleFeatures;
+    const passing = filtering ? new Set(hitTestFeatures) : null;
+    hitTestFeaturesRef.current = hitTestFeatures;
+    quadtreeRef.current = buildHitIndex(hitTestFeatures);
+    hitIndexKeyRef.current = null;
 
     // Use ref to get current metric (avoids stale closure in map event handlers)
     const currentMetric = metricRef.current;
 
     const metricDomain = metricDomainsRef.current[currentMetric] ?? [0, 1];
     const palette = palettesRef.current[currentMetric];
+    const classBreaks = currentMetric === BIVARIATE_KEY ? bivariateBreaksRef.current : null;
+    const activeClass = classBreaks ? hoveredClassRef.current : null;
+
+    const outline = regionsRef.current ? OUTLINES.regions : OUTLINES.hexes;
 
     // Draw each hex to canvas (this is still D3!)
-    ctx.globalAlpha = 0.7;
-    const drawSet = visibleFeatures;
+    const hideFailing = filtering && filterModeRef.current === "hide";
+    const drawSet = hideFailing ? hitTestFeatures : visibleFeatures;
+    const classMatches = [];
     drawSet.forEach((f) => {
+      const cls = classBreaks ? bivariateClass(f, classBreaks) : null;
+      const outOfClass = activeClass !== null && cls?.index !== activeClass;
+      if (activeClass !== null && !outOfClass) classMatches.push(f);
+      ctx.globalAlpha = (passing && !passing.has(f)) || outOfClass ? 0.12 : 0.7;
       ctx.beginPath();
       path(f);
-      ctx.fillStyle = colorFor(f, currentMetric, palette, metricDomain);
+      ctx.fillStyle = classBreaks ? bivariateColor(cls) : colorFor(f, currentMetric, palette, metricDomain);
       ctx.fill();
-      ctx.strokeStyle = "rgba(255,255,255,0.15)";
-      ctx.lineWidth = 0.35;
+      ctx.strokeStyle = outline.color;
+      ctx.lineWidth = outline.width;
       ctx.stroke();
     });
 
+    // Outline the hexes of the hovered legend class
+    if (classMatches.length) {
+      ctx.save();
+      ctx.globalAlpha = 0.95;
+      ctx.strokeStyle = "rgba(15,23,42,0.85)";
+      ctx.lineWidth = 1.1;
+      ctx.beginPath();
+      classMatches.forEach((f) => path(f));
+      ctx.stroke();
+      ctx.restore();
+    }
+
     // Highlight hovered hex if present and visible
     const hovered = hoveredFeatureRef.current;
     if (hovered) {
@@ -374,51 +780,113 @@ export default function D3ScoreMapPage() {
       }
     }
 
-    // Update annotation positions to stay anchored on map
+    // Dashed outlines in each compared hex's tray color
+    comparedRef.current.forEach((entry) => {
+      const match = visibleFeatures.find((f) => String(featureId(f)) === String(entry.id));
+      if (!match) return;
+      ctx.save();
+      ctx.beginPath();
+      path(match);
+      ctx.globalAlpha = 1;
+      ctx.strokeStyle = entry.color;
+      ctx.lineWidth = 2.2;
+      ctx.setLineDash([4, 3]);
+      ctx.stroke();
+      ctx.restore();
+    });
+
+    // Outline the selected hex so it stays visible while hovering elsewhere
+    const selectedId = regionsRef.current ? selectedRegionRef.current : selectedHexIdRef.current;
+    if (selectedId !== null) {
+      const match = visibleFeatures.find((f) => String(featureId(f)) === String(selectedId));
+      if (match) {
+        ctx.save();
+        ctx.beginPath();
+        path(match);
+        ctx.globalAlpha = 1;
+        ctx.strokeStyle = "#00ff80";
+        ctx.lineWidth = 2;
+        ctx.shadowColor = "rgba(0,255,128,0.8)";
+        ctx.shadowBlur = 10;
+        ctx.stroke();
+        ctx.restore();
+      }
+    }
+
+    positionAnnotations(map);
+  };
+  renderRef.current = render;
+
+  const renderHexLayer = (map, allFeatures) => {
+    const layer = hexLayerRef.current;
+    const currentMetric = metricRef.current;
+    const classBreaks = currentMetric === BIVARIATE_KEY ? bivariateBreaksRef.current : null;
+    const activeClass = classBreaks ? hoveredClassRef.current : null;
+    const filters = filtersRef.current;
+    const filtering = activeFilterCount(filters) > 0;
+    const hideFailing = filtering && filterModeRef.current === "hide";
+    const palette = palettesRef.current[currentMetric];
+    const metricDomain = metricDomainsRef.current[currentMetric] ?? [0, 1];
+
+    layer.setFeatures(allFeatures);
+    layer.setOutline(regionsRef.current ? OUTLINES.regions : OUTLINES.hexes);
+    layer.setFill([currentMetric, classBreaks, palette, metricDomain], () =>
+      classBreaks ? bivariateFillExpression(classBreaks) : metricFillExpression(currentMetric, metricDomain, palette),
+    );
+    layer.setMasks([allFeatures, filters, hideFailing, classBreaks, activeClass], allFeatures, (f) => {
+      const failing = filtering && failsFilters(f, filters);
+      const cls = activeClass !== null ? bivariateClass(f, classBreaks) : null;
+      const inClass = activeClass !== null && cls?.index === activeClass;
+      return {
+        hidden: failing && hideFailing,
+        dimmed: failing || (activeClass !== null && !inClass),
+        classMatch: inClass && !failing,
+      };
+    });
+    layer.setHover(hoveredFeatureRef.current ? featureId(hoveredFeatureRef.current) : null);
+    layer.setSelected(regionsRef.current ? selectedRegionRef.current : selectedHexIdRef.current);
+    layer.setCompared(comparedRef.current);
+
+    // The hit index covers every passing hex, so it is only rebuilt when data or rules change
+    if (hitIndexKeyRef.current?.features !== allFeatures || hitIndexKeyRef.current?.filters !== filters) {
+      hitIndexKeyRef.current = { features: allFeatures, filters };
+      const hitTestFeatures = filtering ? allFeatures.filter((f) => !failsFilters(f, filters)) : allFeatures;
+      hitTestFeaturesRef.current = hitTestFeatures;
+      quadtreeRef.current = buildHitIndex(hitTestFeatures);
+    }
+  };
+
+  // Keep annotation pins anchored to their coordinates
+  const positionAnnotations = (map) => {
     ANNOTATIONS.forEach((ann) => {
       const el = annotationRefs.current[ann.id];
       if (!el) return;
       const projected = map.project(ann.coords);
       el.style.transform = `translate(${projected.x}px, ${projected.y}px)`;
     });
+    (regionsRef.current ?? []).forEach((region) => {
+      const el = regionLabelRefs.current[region.id];
+      if (!el) return;
+      const projected = map.project(region._centroid);
+      el.style.transform = `translate(${projected.x}px, ${projected.y}px) translate(-50%, -50%)`;
+    });
   };
 
+  // Hex under a map coordinate, among the drawn features that pass the screening rules
+  const findFeatureAt = (lngLat) =>
+    featureAt(quadtreeRef.current, hitTestFeaturesRef.current, [lngLat.lng, lngLat.lat]);
+
   // Map mouse move handler for tooltip hit detection (uses Mapbox events)
   const handleMapMouseMove = (e) => {
     if (isPanningRef.current) {
       hideTooltip();
       return;
     }
-    const lngLat = e.lngLat;
-
-    // Prefer nearest-centroid candidate to limit geoContains checks
-    const qt = quadtreeRef.current;
-    let hoveredFeature = null;
-    const nearest = qt?.find(lngLat.lng, lngLat.lat, 0.8);
-    if (nearest?.[2]) {
-      const candidate = nearest[2];
-      if (d3.geoContains(candidate, [lngLat.lng, lngLat.lat])) {
-        hoveredFeature = candidate;
-      }
-    }
-
-    // Fallback: linear search over visible features (still bounded)
-    if (!hoveredFeature) {
-      hoveredFeature = visibleFeaturesRef.current.find((f) => {
-        const b = f._bounds;
-        if (b) {
-          const [[minLon, minLat], [maxLon, maxLat]] = b;
-          if (lngLat.lng < minLon || lngLat.lng > maxLon || lngLat.lat < minLat || lngLat.lat > maxLat) {
-            return false;
-          }
-        }
-        return d3.geoContains(f, [lngLat.lng, lngLat.lat]);
-      });
-    }
+    const hoveredFeature = findFeatureAt(e.lngLat);
 
     if (hoveredFeature) {
       if (featureId(hoveredFeature) !== featureId(hoveredFeatureRef.current)) {
-        hoveredFeatureRef.current = hoveredFeature;
+        setHoveredFeature(hoveredFeature);
         render();
       }
       // Create a synthetic event-like object for showTooltip
@@ -429,26 +897,334 @@ export default function D3ScoreMapPage() {
       showTooltip(syntheticEvent, hoveredFeature, metricRef.current);
     } else {
       if (hoveredFeatureRef.current) {
-        hoveredFeatureRef.current = null;
+        setHoveredFeature(null);
         render();
       }
       hideTooltip();
     }
   };
 
-  const legendStops = useMemo(() => {
-    const [min, max] = domain;
-    const palette = palettesRef.current[metric] ?? null;
-    return d3.range(0, 1.01, 0.1).map((t) => {
-      const v = min + t * (max - min);
-      if (palette && max !== min) {
-        const idx = Math.max(0, Math.min(255, Math.floor(t * 255)));
-        return { color: palette[idx], offset: Math.round(t * 100) };
+  // Clicking a hex selects it; clicking it again (or empty map) clears the selection.
+  // Shift-click toggles the hex in the compare tray instead. Clicking an H3
+  // aggregate zooms in to the native hexes under it; in region mode a click
+  // opens the region's statistics.
+  const handleMapClick = (e) => {
+    const clicked = findFeatureAt(e.lngLat);
+    if (regionsRef.current) {
+      const code = isRegion(clicked) ? clicked.id : null;
+      setSelectedRegion((prev) => (code !== null && prev !== code ? code : null));
+      return;
+    }
+    if (isAggregate(clicked)) {
+      if (!e.originalEvent?.shiftKey) {
+        mapRef.current?.flyTo({
+          center: clicked._centroid,
+          zoom: Math.max(mapRef.current.getZoom(), NATIVE_MIN_ZOOM + 0.25),
+        });
+      }
+      return;
+    }
+    const id = clicked ? featureId(clicked) : null;
+    if (e.originalEvent?.shiftKey) {
+      if (id !== null) toggleCompare(id);
+      return;
+    }
+    setSelectedHexId((prev) => (id !== null && String(prev) !== String(id) ? id : null));
+  };
+
+  const toggleCompare = (id) => {
+    setCompared((prev) => {
+      if (prev.some((entry) => String(entry.id) === String(id))) {
+        return prev.filter((entry) => String(entry.id) !== String(id));
       }
-      const color = d3.interpolateRdYlGn(t);
-      return { color, offset: Math.round(t * 100) };
+      if (prev.length >= MAX_COMPARE) return prev;
+      const color = COMPARE_COLORS.find((c) => !prev.some((entry) => entry.color === c));
+      return [...prev, { id, color }];
     });
-  }, [domain, metric]);
+  };
+
+  // Keyboard cursor: the cells a pointer could reach (regions in region mode,
+  // otherwise every native hex that passes the screening rules)
+  const navigableFeatures = () => {
+    if (regionsRef.current) return regionsRef.current;
+    const all = featureCollectionRef.current?.features ?? [];
+    return activeFilterCount(filtersRef.current) ? all.filter((f) => !failsFilters(f, filtersRef.current)) : all;
+  };
+
+  const cursorFeature = (candidates) =>
+    candidates.find((f) => String(featureId(f)) === String(keyboardCursorRef.current)) ?? null;
+
+  const cursorModel = (feature) =>
+    isRegion(feature)
+      ? regionTooltipModel(feature, regionSummariesRef.current.get(feature.id), metricRef.current)
+      : tooltipModel(feature, metricRef.current);
+
+  // Highlight the cell like a hover, keep it on screen at native resolution, and read it out
+  const moveKeyboardCursor = (feature, prefix = "") => {
+    const map = mapRef.current;
+    keyboardCursorRef.current = featureId(feature);
+    setHoveredFeature(feature);
+    if (mapReadyRef.current) render();
+    setAnnouncement(`${prefix}${describeModel(cursorModel(feature))}`);
+    if (!map) return;
+
+    const rect = wrapperRef.current?.getBoundingClientRect();
+    const point = map.project(feature._centroid);
+    const margin = 48;
+    const offscreen =
+      !rect ||
+      point.x < margin ||
+      point.y < margin ||
+      point.x > rect.width - margin ||
+      point.y > rect.height - margin;
+    const aggregated = !regionsRef.current && displayLevelRef.current;
+    if (offscreen || aggregated) {
+      hideTooltip();
+      map.flyTo({
+        center: feature._centroid,
+        zoom: aggregated ? Math.max(map.getZoom(), NATIVE_MIN_ZOOM + 0.25) : map.getZoom(),
+      });
+      return;
+    }
+    showTooltip({ clientX: rect.left + point.x, clientY: rect.top + point.y }, feature, metricRef.current);
+  };
+
+  // The cursor starts on the selection, or on the cell nearest the map's center
+  const startKeyboardCursor = () => {
+    const candidates = navigableFeatures();
+    const selectedId = regionsRef.current ? selectedRegionRef.current : selectedHexIdRef.current;
+    const center = mapRef.current?.getCenter();
+    const start =
+      cursorFeature(candidates) ??
+      candidates.find((f) => String(featureId(f)) === String(selectedId)) ??
+      (center ? nearestFeature(candidates, [center.lng, center.lat]) : null);
+    if (start) moveKeyboardCursor(start, `${NAV_INSTRUCTIONS} `);
+  };
+
+  // Only keyboard focus; a click that happens to focus the map shouldn't pop the cursor up
+  const handleMapFocus = (e) => {
+    if (e.target === e.currentTarget && e.currentTarget.matches(":focus-visible")) startKeyboardCursor();
+  };
+
+  const handleMapBlur = (e) => {
+    if (e.target !== e.currentTarget) return;
+    setHoveredFeature(null);
+    hideTooltip();
+    if (mapReadyRef.current) render();
+  };
+
+  // Arrows step between neighbours, Enter opens details (Shift+Enter toggles
+  // compare for a hex), Escape drops the cursor. Keys from Mapbox's own canvas are left alone.
+  const handleMapKeyDown = (e) => {
+    if (e.target !== e.currentTarget) return;
+    const candidates = navigableFeatures();
+    const current = cursorFeature(candidates);
+    if (NAV_KEYS[e.key]) {
+      e.preventDefault();
+      if (!current) {
+        startKeyboardCursor();
+        return;
+      }
+      const next = neighborInDirection(candidates, current, e.key);
+      if (next) moveKeyboardCursor(next);
+      else setAnnouncement(`No cell further ${e.key.replace("Arrow", "").toLowerCase()}.`);
+    } else if (e.key === "Enter" && current) {
+      e.preventDefault();
+      const id = featureId(current);
+      if (isRegion(current)) {
+        setSelectedRegion(id);
+        setAnnouncement(`Statistics open for region ${id}.`);
+      } else if (e.shiftKey) {
+        toggleCompare(id);
+        setAnnouncement(`Toggled hex ${id} in the compare tray.`);
+      } else {
+        setSelectedHexId(id);
+        setAnnouncement(`Details open for hex ${id}. ${describeModel(cursorModel(current), true)}`);
+      }
+    } else if (e.key === "Escape" && keyboardCursorRef.current !== null) {
+      keyboardCursorRef.current = null;
+      handleMapBlur(e);
+      setAnnouncement("Cursor cleared.");
+    }
+  };
+
+  const publishVisibleHexIds = () => {
+    setVisibleHexIds(new Set(visibleFeaturesRef.current.map((f) => String(featureId(f)))));
+  };
+
+  // Table rows drive the same hover highlight as the map
+  const highlightFeature = (feature) => {
+    if (featureId(feature) === featureId(hoveredFeatureRef.current)) return;
+    setHoveredFeature(feature);
+    if (mapReadyRef.current) render();
+  };
+
+  // The demand explorer highlights the hovered hex's region; state only changes
+  // when the region does, not on every hex
+  const setHoveredFeature = (feature) => {
+    hoveredFeatureRef.current = feature;
+    const props = feature?.properties;
+    const region = isAggregate(feature)
+      ? props.regions && !props.regions.includes(",") ? props.regions : null
+      : props?.region ?? null;
+    if (region === hoveredRegionRef.current) return;
+    hoveredRegionRef.current = region;
+    setHoveredRegion(region);
+  };
+
+  const flyToFeature = (feature) => {
+    const map = mapRef.current;
+    if (!map || !feature?._centroid) return;
+    map.flyTo({ center: feature._centroid, zoom: Math.max(map.getZoom(), 5.5) });
+  };
+
+  // Go-to search: a hex or point selects the hex, a region switches to region
+  // units; either way the detail panel opens. Returns a message when nothing matches.
+  const goTo = (text) => {
+    const result = resolveGoTo(parseGoToQuery(text), features, searchIndex);
+    if (!result) return null;
+    if (result.message) return result.message;
+    if (result.region) {
+      setViewMode("regions");
+      setSelectedRegion(result.region);
+      mapRef.current?.flyTo({ center: result.center, zoom: result.zoom });
+      return null;
+    }
+    setViewMode("hexes");
+    setSelectedHexId(featureId(result.feature));
+    flyToFeature(result.feature);
+    return null;
+  };
+
+  // A gazetteer place flies to its own coordinates and selects the hex containing it
+  const goToPlace = (place) => {
+    const hex = featureAt(searchIndex, features, [place.lon, place.lat]);
+    const map = mapRef.current;
+    map?.flyTo({ center: [place.lon, place.lat], zoom: Math.max(map.getZoom(), 6) });
+    if (!hex) {
+      setPickedPlace(null);
+      return `${place.label} is outside the scored grid.`;
+    }
+    setPickedPlace({ label: place.label, hexId: featureId(hex) });
+    setViewMode("hexes");
+    setSelectedHexId(featureId(hex));
+    return null;
+  };
+
+  // Hexes exactly as currently drawn (viewport, filter mask, active metric colors)
+  const exportHexes = () => {
+    const currentMetric = metricRef.current;
+    const classBreaks = currentMetric === BIVARIATE_KEY ? bivariateBreaksRef.current : null;
+    const palette = palettesRef.current[currentMetric];
+    const metricDomain = metricDomainsRef.current[currentMetric] ?? [0, 1];
+    const filtering = activeFilterCount(filtersRef.current) > 0;
+    return renderedFeaturesRef.current
+      .map((f) => ({ feature: f, passes: !filtering || !failsFilters(f, filtersRef.current) }))
+      .filter(({ passes }) => passes || filterModeRef.current !== "hide")
+      .map(({ feature, passes }) => ({
+        feature,
+        fill: classBreaks
+          ? bivariateColor(bivariateClass(feature, classBreaks))
+          : colorFor(feature, currentMetric, palette, metricDomain),
+        opacity: passes ? 0.7 : 0.12,
+      }));
+  };
+
+  const exportOptions = () => {
+    const bivariate = metricRef.current === BIVARIATE_KEY;
+    const label = bivariate
+      ? BIVARIATE_MODE.label
+      : metricRef.current === DIFF_METRIC && datasetDiff
+        ? `Δ ${datasetDiff.label} (${datasetDiff.before} → ${datasetDiff.after})`
+        : METRICS[metricRef.current]?.label ?? "";
+    const w = weightsRef.current;
+    const weighting = isDefaultWeights(w)
+      ? "Default 60/40 weighting"
+      : `Custom weighting ${Math.round(w.sustainability * 100)}/${Math.round(w.profitability * 100)}`;
+    const filterCount = activeFilterCount(filtersRef.current);
+    const filterNote = filterCount ? ` · ${filterCount} screening rule${filterCount > 1 ? "s" : ""}` : "";
+    const scenarioName = scenarioResult ? scenarios.find((s) => s.id === activeScenarioId)?.name : null;
+    const robustnessNote =
+      metricRef.current === ROBUSTNESS_METRIC && sensitivity
+        ? ` · top ${sensitivity.topN} over ${sensitivity.samples} weight draws`
+        : "";
+    const conditionsNote = `${timeline ? ` · conditions at ${formatTimelineTime(timeline.time)}` : ""}${
+      forecastPeaks ? " · load from forecast peaks" : ""
+    }${scenarioName ? ` · scenario “${scenarioName}”` : ""}`;
+    return {
+      map: mapRef.current,
+      hexes: exportHexes(),
+      title: "GridCast Score Map",
+      subtitle: `${label} · ${weighting}${robustnessNote}${conditionsNote}${filterNote} · ${new Date().toISOString().slice(0, 10)}`,
+      legend: bivariate
+        ? { type: "bivariate", palette: BIVARIATE_PALETTE, xLabel: BIVARIATE_X.label, yLabel: BIVARIATE_Y.label }
+        : {
+            type: "gradient",
+            label,
+            stops: gradientStops,
+            min: formatLegendValue(domain[0]),
+            max: formatLegendValue(domain[1]),
+          },
+      annotations: regionsRef.current
+        ? regionsRef.current.map((region) => ({
+            coords: region._centroid,
+            label: `${region.properties.region} · ${region.properties.name}`,
+            color: "#ffffff",
+          }))
+        : metricRef.current === "dc_score"
+          ? ANNOTATIONS
+          : [],
+    };
+  };
+
+  const exportFilename = (ext) => `gridcast-${metricRef.current}-${new Date().toISOString().slice(0, 10)}.${ext}`;
+
+  const handleExportPng = async (scale) => {
+    const blob = await renderMapPng({ ...exportOptions(), styleUrl: MAP_STYLE, scale });
+    downloadBlob(blob, exportFilename("png"));
+  };
+
+  const handleExportSvg = () => {
+    const svg = renderMapSvg(exportOptions());
+    downloadBlob(new Blob([svg], { type: "image/svg+xml" }), exportFilename("svg"));
+  };
+
+  const handleExportData = ({ scope, format, columns }) => {
+    const subsets = {
+      view: visibleFeaturesRef.current,
+      filtered: filteredFeatures,
+      pinned: pinnedFeatures,
+      all: scoredFeatures,
+    };
+    const w = weightsRef.current;
+    const meta = {
+      source: "score_map_hex.json",
+      metric: metricRef.current,
+      generated: new Date().toISOString(),
+      scope,
+      weights: isDefaultWeights(w) ? "default" : Object.entries(w).map(([k, v]) => `${k}=${v}`).join(" "),
+      filters: activeFilterCount(filtersRef.current)
+        ? Object.entries(filtersRef.current)
+            .filter(([, range]) => range)
+            .map(([k, [lo, hi]]) => `${k}=${lo}..${hi}`)
+            .join(" ")
+        : null,
+    };
+    const subset = subsets[scope] ?? [];
+    const date = meta.generated.slice(0, 10);
+    if (format === "geojson") {
+      const body = featuresToGeoJson(subset, columns, meta);
+      downloadBlob(new Blob([body], { type: "application/geo+json" }), `gridcast-hexes-${scope}-${date}.geojson`);
+    } else {
+      const body = featuresToCsv(subset, columns, meta);
+      downloadBlob(new Blob([body], { type: "text/csv" }), `gridcast-hexes-${scope}-${date}.csv`);
+    }
+  };
+
+  const gradientStops = useMemo(
+    () => legendStops(domain[0] !== domain[1] ? palettesRef.current[metric] : null),
+    [domain, metric],
+  );
 
   // Ensure hover clears when leaving the wrapper (covers embedded contexts)
   useEffect(() => {
@@ -495,7 +1271,8 @@ export default function D3ScoreMapPage() {
           </h1>
           <p className="max-w-4xl text-lg text-white/70">
             Interactive hex-grid visualization powered by D3 and Mapbox. Hover any cell to inspect profitability,
-            sustainability, temperature, elevation, and cooling-friendly metrics driving the GridScore.
+            sustainability, temperature, elevation, and cooling-friendly metrics driving the GridScore. Click a cell
+            to pin its raw inputs and a breakdown of how each factor adds up to its score.
           </p>
         </div>
 
@@ -507,74 +1284,348 @@ export default function D3ScoreMapPage() {
               value={metric}
               onChange={(e) => setMetric(e.target.value)}
             >
-              {Object.entries(METRICS).map(([key, meta]) => (
+              {Object.entries(metricOptions).map(([key, meta]) => (
                 <option key={key} value={key}>
                   {meta.label}
                 </option>
               ))}
+              <option value={BIVARIATE_KEY}>{BIVARIATE_MODE.label}</option>
             </select>
             <span className="text-sm text-white/70">{metricCopy}</span>
           </div>
+          <div className="flex shrink-0 flex-wrap gap-2">
+            <GoToSearch
+              basePath={BASE_PATH}
+              onGo={goTo}
+              onPlace={goToPlace}
+              placeSummary={placeSummary}
+              onClearPlace={() => setPickedPlace(null)}
+              disabled={!features.length}
+            />
+            <button
+              type="button"
+              className="shrink-0 rounded-xl border border-white/10 bg-[#0c1421] px-4 py-3 text-sm text-white/80 transition hover:border-neon/50 hover:text-white"
+              onClick={() => setShowWeights((open) => !open)}
+              aria-expanded={showWeights}
+            >
+              {showWeights ? "Hide weights" : "Adjust weights"}
+              {(!isDefaultWeights(weights) || forecastPeaks) && <span className="ml-2 text-neon">●</span>}
+            </button>
+            <button
+              type="button"
+              className="shrink-0 rounded-xl border border-white/10 bg-[#0c1421] px-4 py-3 text-sm text-white/80 transition hover:border-neon/50 hover:text-white"
+              onClick={() => setShowScenarios((open) => !open)}
+              aria-expanded={showScenarios}
+            >
+              {showScenarios ? "Hide scenarios" : "What-if"}
+              {scenarioResult && <span className="ml-2 text-neon">●</span>}
+            </button>
+            <button
+              type="button"
+              className="shrink-0 rounded-xl border border-white/10 bg-[#0c1421] px-4 py-3 text-sm text-white/80 transition hover:border-neon/50 hover:text-white"
+              onClick={() => setShowDiff((open) => !open)}
+              aria-expanded={showDiff}
+            >
+              {showDiff ? "Hide compare" : "Compare data"}
+            </button>
+            <button
+              type="button"
+              className="shrink-0 rounded-xl border border-white/10 bg-[#0c1421] px-4 py-3 text-sm text-white/80 transition hover:border-neon/50 hover:text-white"
+              onClick={() => setShowSensitivity((open) => !open)}
+              aria-expanded={showSensitivity}
+            >
+              {showSensitivity ? "Hide sensitivity" : "Sensitivity"}
+              {sensitivity && <span className="ml-2 text-neon">●</span>}
+            </button>
+            <button
+              type="button"
+              className="shrink-0 rounded-xl border border-white/10 bg-[#0c1421] px-4 py-3 text-sm text-white/80 transition hover:border-neon/50 hover:text-white"
+              onClick={() => setShowFilters((open) => !open)}
+              aria-expanded={showFilters}
+            >
+              {showFilters ? "Hide filters" : "Filters"}
+              {activeFilterCount(filters) > 0 && (
+                <span className="ml-2 font-mono text-neon">{filteredFeatures.length}</span>
+              )}
+            </button>
+            <ImageExportMenu
+              onExportPng={handleExportPng}
+              onExportSvg={handleExportSvg}
+              disabled={!mapReady || !features.length}
+            />
+            <DataExportMenu
+              scopes={dataScopes}
+              columns={dataColumns}
+              onExport={handleExportData}
+              disabled={!scoredFeatures.length}
+            />
+          </div>
         </div>
 
-        <div
-          ref={wrapperRef}
-          className="relative overflow-hidden rounded-2xl border border-white/10 bg-gradient-to-br from-[#0a1320] via-[#08111d] to-[#0e1624] shadow-[0_30px_80px_rgba(0,0,0,0.35)] h-[70vh] min-h-[520px]"
-        >
-          <div ref={mapContainerRef} className="absolute inset-0 h-full w-full" />
-          <canvas
-            ref={canvasRef}
-            className="absolute inset-0 h-full w-full pointer-events-none"
+        <DataQualityPanel source={DATA_FILE} report={dataQuality} />
+
+        {showWeights && <GridScoreWeightsPanel weights={weights} onChange={setWeights} />}
+        {showScenarios && (
+          <ScenarioPanel
+            scenarios={scenarios}
+            activeId={activeScenarioId}
+            onChange={setScenarios}
+            onActivate={setActiveScenarioId}
+            inputs={scenarioInputs}
+            result={scenarioResult}
+            deltaShown={metric === DELTA_METRIC}
+            onShowDelta={() => setMetric(DELTA_METRIC)}
+            onSelectHex={(feature) => {
+              setSelectedHexId(featureId(feature));
+              flyToFeature(feature);
+            }}
+          />
+        )}
+        <DatasetDiffPanel
+          open={showDiff}
+          basePath={BASE_PATH}
+          onChange={setDatasetDiff}
+          mapShown={metric === DIFF_METRIC}
+          onShowMap={() => setMetric(DIFF_METRIC)}
+          onSelectHex={(feature) => {
+            // Hexes from either file; a dropped one isn't on the map but can still be flown to
+            const onMap = features.find((f) => hexKey(f) === hexKey(feature));
+            if (onMap) setSelectedHexId(featureId(onMap));
+            flyToFeature(onMap ?? { ...feature, _centroid: d3.geoCentroid(feature) });
+          }}
+        />
+        {showSensitivity && (
+          <SensitivityPanel
+            features={scoredFeatures}
+            weights={weights}
+            result={sensitivity}
+            onResult={setSensitivity}
+            selectedFeature={selectedFeature}
+            layerShown={metric === ROBUSTNESS_METRIC}
+            onShowLayer={() => setMetric(ROBUSTNESS_METRIC)}
+            onSelectHex={(feature) => {
+              setSelectedHexId(featureId(feature));
+              flyToFeature(feature);
+            }}
           />
-          {metric === "dc_score" && (
-            <div className="pointer-events-none absolute inset-0 z-10">
-              {ANNOTATIONS.map((ann) => (
-                <div
-                  key={ann.id}
-                  ref={(el) => {
-                    if (el) annotationRefs.current[ann.id] = el;
-                  }}
-                  className="absolute"
-                  style={{ transform: "translate(-9999px, -9999px)" }}
-                >
+        )}
+        {showFilters && (
+          <HexFilterPanel
+            features={scoredFeatures}
+            metrics={metricOptions}
+            domains={metricDomains}
+            filters={filters}
+            onChange={setFilters}
+            mode={filterMode}
+            onModeChange={setFilterMode}
+            passingCount={filteredFeatures.length}
+          />
+        )}
+
+        <div className="grid gap-4 xl:grid-cols-[minmax(0,1fr)_380px]">
+          <div
+            ref={wrapperRef}
+            tabIndex={0}
+            role="application"
+            aria-label="Score map"
+            aria-describedby="score-map-keys"
+            onFocus={handleMapFocus}
+            onBlur={handleMapBlur}
+            onKeyDown={handleMapKeyDown}
+            className="relative overflow-hidden rounded-2xl border border-white/10 focus:outline-none focus-visible:ring-2 focus-visible:ring-neon/60 bg-gradient-to-br from-[#0a1320] via-[#08111d] to-[#0e1624] shadow-[0_30px_80px_rgba(0,0,0,0.35)] h-[70vh] min-h-[520px]"
+          >
+            <p id="score-map-keys" className="sr-only">
+              {NAV_INSTRUCTIONS}
+            </p>
+            <div className="sr-only" aria-live="polite" aria-atomic="true">
+              {announcement}
+            </div>
+            <div ref={mapContainerRef} className="absolute inset-0 h-full w-full" />
+            <canvas
+              ref={canvasRef}
+              className="absolute inset-0 h-full w-full pointer-events-none"
+            />
+            {metric === "dc_score" && !isBivariate && !showRegions && (
+              <div className="pointer-events-none absolute inset-0 z-10">
+                {ANNOTATIONS.map((ann) => (
                   <div
-                    className="group pointer-events-auto flex items-center gap-2"
-                    onMouseEnter={() => hideTooltip()}
+                    key={ann.id}
+                    ref={(el) => {
+                      if (el) annotationRefs.current[ann.id] = el;
+                    }}
+                    className="absolute"
+                    style={{ transform: "translate(-9999px, -9999px)" }}
                   >
-                    <span
-                      className={`h-3 w-3 rounded-full ${ann.colorClass} shadow-lg shadow-black/40 ring-2 ring-black/60 group-hover:scale-110 transition`}
-                    />
-                    <span className="pointer-events-none opacity-0 group-hover:opacity-100 group-hover:translate-x-1 transition-all duration-200 ease-out rounded-full border border-white/10 bg-black/80 px-3 py-1 text-xs text-white/85 shadow-lg backdrop-blur whitespace-nowrap">
-                      {ann.label}
-                    </span>
+                    <div
+                      className="group pointer-events-auto flex items-center gap-2"
+                      onMouseEnter={() => hideTooltip()}
+                    >
+                      <span
+                        className={`h-3 w-3 rounded-full ${ann.colorClass} shadow-lg shadow-black/40 ring-2 ring-black/60 group-hover:scale-110 transition`}
+                      />
+                      <span className="pointer-events-none opacity-0 group-hover:opacity-100 group-hover:translate-x-1 transition-all duration-200 ease-out rounded-full border border-white/10 bg-black/80 px-3 py-1 text-xs text-white/85 shadow-lg backdrop-blur whitespace-nowrap">
+                        {ann.label}
+                      </span>
+                    </div>
                   </div>
-                </div>
-              ))}
+                ))}
+              </div>
+            )}
+            {regions && (
+              <div className="pointer-events-none absolute inset-0 z-10">
+                {regions.map((region) => (
+                  <div
+                    key={region.id}
+                    ref={(el) => {
+                      if (el) regionLabelRefs.current[region.id] = el;
+                    }}
+                    className="absolute left-0 top-0 whitespace-nowrap rounded-md bg-black/70 px-2 py-0.5 text-center text-[11px] leading-tight text-white shadow-lg"
+                    style={{ transform: "translate(-9999px, -9999px)" }}
+                  >
+                    <div className="font-semibold tracking-wide">{region.id}</div>
+                    <div className="font-mono text-white/70">
+                      {formatValue(
+                        region.properties[isBivariate ? "dc_score" : metric],
+                        METRICS[isBivariate ? "dc_score" : metric]?.digits ?? 3,
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+            <div className="absolute left-1/2 top-3 z-20 flex -translate-x-1/2 items-center gap-3 rounded-full border border-white/10 bg-[#0c1421]/90 px-1.5 py-1 text-xs text-white/70 shadow-lg backdrop-blur">
+              <div className="flex rounded-full bg-white/5 p-0.5" role="group" aria-label="Map units">
+                {[
+                  ["hexes", "Hexes"],
+                  ["regions", "Regions"],
+                ].map(([key, label]) => (
+                  <button
+                    key={key}
+                    type="button"
+                    className={`rounded-full px-3 py-1 transition ${
+                      viewMode === key ? "bg-neon/20 text-white" : "text-white/60 hover:text-white"
+                    }`}
+                    aria-pressed={viewMode === key}
+                    onClick={() => setViewMode(key)}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+              {showRegions ? (
+                <span className="pr-2 font-mono text-white/50">{regions?.length ?? 0} regions · click for stats</span>
+              ) : (
+                <label className="flex items-center gap-2 pr-2">
+                  <input
+                    type="checkbox"
+                    checked={aggregate}
+                    onChange={(e) => setAggregate(e.target.checked)}
+                    className="accent-emerald-400"
+                  />
+                  H3 aggregation
+                  <span className="font-mono text-white/50">
+                    {displayLevel ? `res ${displayLevel.res} · ${displayLevel.count} cells` : "native hexes"}
+                  </span>
+                </label>
+              )}
             </div>
-          )}
-          <div
-            ref={tooltipRef}
-            className="pointer-events-none absolute left-0 top-0 z-10 hidden min-w-[240px] rounded-2xl border border-white/10 bg-[#0c1622]/95 p-4 text-sm shadow-2xl backdrop-blur-md"
+            {fallbackReason && (
+              <div className="absolute bottom-3 left-3 z-20 flex items-center gap-3 rounded-full border border-black/10 bg-white/90 px-3 py-1.5 text-xs text-slate-700 shadow">
+                <span title={fallbackReason}>Offline map · {fallbackReason}</span>
+                <label className="flex items-center gap-1.5">
+                  <input
+                    type="checkbox"
+                    checked={showOutline}
+                    onChange={(e) => setShowOutline(e.target.checked)}
+                    className="accent-emerald-600"
+                  />
+                  State outlines
+                </label>
+              </div>
+            )}
+            {showRegions ? (
+              <RegionDetailPanel
+                summary={selectedRegion ? regionSummaries.get(selectedRegion) : null}
+                hexes={selectedRegionHexes}
+                allHexes={scoredFeatures}
+                metric={metric}
+                onClose={() => setSelectedRegion(null)}
+              />
+            ) : (
+              <HexDetailPanel
+                feature={selectedFeature}
+                weights={weights}
+                onClose={() => setSelectedHexId(null)}
+              />
+            )}
+            <div
+              ref={tooltipRef}
+              className="pointer-events-none absolute left-0 top-0 z-10 hidden min-w-[240px] rounded-2xl border border-white/10 bg-[#0c1622]/95 p-4 text-sm shadow-2xl backdrop-blur-md"
+            />
+            {status === "loading" && (
+              <div className="pointer-events-none absolute inset-0 grid place-items-center bg-black/10 text-white/70">
+                Loading grid…
+              </div>
+            )}
+            {status === "error" && (
+              <div className="pointer-events-none absolute inset-0 grid place-items-center bg-black/20 text-rose-200">
+                <div className="max-w-md px-6 text-center">
+                  {error}
+                  {dataQuality && !dataQuality.ok && (
+                    <div className="mt-1 text-xs text-white/60">Details are in the data-quality panel above.</div>
+                  )}
+                </div>
+              </div>
+            )}
+          </div>
+
+          <HexRankingTable
+            className="h-[70vh] min-h-[520px]"
+            features={filteredFeatures}
+            metrics={metricOptions}
+            visibleIds={visibleHexIds}
+            selectedId={selectedHexId}
+            onHover={highlightFeature}
+            onSelect={(feature) => {
+              setSelectedHexId(featureId(feature));
+              flyToFeature(feature);
+            }}
           />
-          {status === "loading" && (
-            <div className="pointer-events-none absolute inset-0 grid place-items-center bg-black/10 text-white/70">
-              Loading grid…
-            </div>
-          )}
-          {status === "error" && (
-            <div className="pointer-events-none absolute inset-0 grid place-items-center bg-black/20 text-rose-200">
-              {error}
-            </div>
-          )}
         </div>
 
-        <div className="flex items-center gap-3 text-sm text-white/70">
-          <span className="w-16 text-right font-mono text-xs text-white/60">{formatValue(domain[0])}</span>
-          <div className="flex-1 rounded-full border border-white/10 p-[1px]">
-            <div className="h-3 w-full rounded-full" style={{ background: legendGradient(legendStops) }} />
+        <ConditionsTimeline onChange={setTimeline} />
+
+        {isBivariate && breaks ? (
+          <BivariateLegend
+            breaks={breaks}
+            counts={bivariateCounts}
+            activeIndex={hoveredClass}
+            onHover={setHoveredClass}
+          />
+        ) : (
+          <div className="flex items-center gap-3 text-sm text-white/70">
+            <span className="w-16 text-right font-mono text-xs text-white/60">{formatValue(domain[0])}</span>
+            <div className="flex-1 rounded-full border border-white/10 p-[1px]">
+              <div className="h-3 w-full rounded-full" style={{ background: legendGradient(gradientStops) }} />
+            </div>
+            <span className="w-16 text-left font-mono text-xs text-white/60">{formatValue(domain[1])}</span>
           </div>
-          <span className="w-16 text-left font-mono text-xs text-white/60">{formatValue(domain[1])}</span>
-        </div>
+        )}
+
+        <HexCompareTray
+          items={comparedItems}
+          maxItems={MAX_COMPARE}
+          onRemove={toggleCompare}
+          onClear={() => setCompared([])}
+          onFocus={(item) => flyToFeature(item.feature)}
+        />
+
+        <DemandExplorer
+          onForecastPeaks={setForecastPeaks}
+          highlightRegion={
+            hoveredRegion ?? (showRegions ? selectedRegion : selectedFeature?.properties?.region) ?? null
+          }
+        />
       </main>
     </div>
   );
@@ -582,31 +1633,43 @@ export default function D3ScoreMapPage() {
   function showTooltip(event, feature, activeMetric) {
     if (!tooltipRef.current) return;
     const tooltip = d3.select(tooltipRef.current);
-    const props = feature?.properties ?? {};
-    const active = METRICS[activeMetric] ? activeMetric : defaultMetric;
-    const hexId = props.hex_id ?? props.id ?? "—";
-    const regionLabel = props.region ? ` · ${props.region}` : "";
-    const latLon =
-      Number.isFinite(props.lat) && Number.isFinite(props.lon)
-        ? `${formatValue(props.lat, 2)}, ${formatValue(props.lon, 2)}`
-        : "—";
+    const aggregated = isAggregate(feature);
+    const region = isRegion(feature);
+    const model = region
+      ? regionTooltipModel(feature, regionSummariesRef.current.get(feature.id), activeMetric)
+      : aggregated
+        ? aggregateTooltipModel(feature, activeMetric)
+        : tooltipModel(feature, activeMetric);
+    const bivariateCls =
+      activeMetric === BIVARIATE_KEY && bivariateBreaksRef.current
+        ? bivariateClass(feature, bivariateBreaksRef.current)
+        : null;
     const html = `
-      <div class="text-xs text-white/60 uppercase tracking-wide">Hexagon ${hexId}${regionLabel}</div>
-      <div class="text-xs text-white/50 mb-1">Lat/Lon: ${latLon}</div>
-      <div class="flex items-center justify-between border-b border-white/10 pb-2 text-emerald-200">
-        <span>${METRICS[active].label}</span>
-        <span class="font-mono text-base text-white">${formatValue(valueFor(feature, active))}</span>
-      </div>
+      <div class="text-xs text-white/60 uppercase tracking-wide">${model.title}</div>
+      <div class="text-xs text-white/50 mb-1">Lat/Lon: ${model.location}</div>
+      ${
+        activeMetric === BIVARIATE_KEY
+          ? `<div class="flex items-center gap-2 border-b border-white/10 pb-2 text-emerald-200">
+        <span class="inline-block h-3 w-3 rounded-sm" style="background:${bivariateCls ? BIVARIATE_PALETTE[bivariateCls.index] : "transparent"}"></span>
+        <span>${bivariateClassLabel(bivariateCls)}</span>
+      </div>`
+          : `<div class="flex items-center justify-between border-b border-white/10 pb-2 text-emerald-200">
+        <span>${model.primary.label}</span>
+        <span class="font-mono text-base text-white">${model.primary.value}</span>
+      </div>`
+      }
       <div class="mt-2 grid grid-cols-2 gap-y-1 text-white/70">
-        <span>GridScore</span><span class="text-white text-right font-mono">${formatValue(props.dc_score)}</span>
-        <span>Profitability</span><span class="text-white text-right font-mono">${formatValue(props.profitability)}</span>
-        <span>Sustainability</span><span class="text-white text-right font-mono">${formatValue(props.sustainability)}</span>
-        <span>Cooling boost</span><span class="text-white text-right font-mono">${formatValue(props.temp_cool_score)}</span>
-        <span>Cooling advantage</span><span class="text-white text-right font-mono">${formatValue(props.dc_score_temp)}</span>
-        <span>Local temp (°C)</span><span class="text-white text-right font-mono">${formatValue(props.local_temp_c, 1)}</span>
-        <span>Elevation (m)</span><span class="text-white text-right font-mono">${formatValue(props.elevation_m, 0)}</span>
-        <span>Distance to region</span><span class="text-white text-right font-mono">${Number.isFinite(props.dist_to_region) ? `${Math.round(props.dist_to_region / 1000)} km` : "—"}</span>
+        ${model.rows
+          .map((row) => `<span>${row.label}</span><span class="text-white text-right font-mono">${row.value}</span>`)
+          .join("")}
       </div>
+      <div class="mt-2 text-[11px] text-white/40">${
+        region
+          ? "Click for region statistics"
+          : aggregated
+            ? "Click to zoom in to its hexes"
+            : "Click to pin details · Shift-click to compare"
+      }</div>
     `;
     tooltip.html(html).style("display", "block").classed("hidden", false);
 
@@ -627,35 +1690,31 @@ export default function D3ScoreMapPage() {
   }
 }
 
-function valueFor(feature, metric) {
-  const v = feature?.properties?.[metric];
-  if (v === null || v === undefined) return null;
-  const n = Number(v);
-  return Number.isFinite(n) ? n : null;
+// Aggregates fail only when none of their hexes pass; screening rules are per hex,
+// so whole regions are never masked
+function failsFilters(feature, filters) {
+  if (isRegion(feature)) return false;
+  return isAggregate(feature) ? feature.properties.pass_count === 0 : !passesFilters(feature, filters);
 }
 
-function featureId(feature) {
-  return feature?.id ?? feature?.properties?.hex_id ?? null;
-}
-
-function colorFor(feature, metric, palette, domain) {
-  const v = valueFor(feature, metric);
-  if (v === null || !palette || !domain) return "rgba(255,255,255,0.06)";
-  const [min, max] = domain;
-  if (max === min) return "rgba(255,255,255,0.06)";
-  const t = (v - min) / (max - min);
-  const idx = Math.max(0, Math.min(255, Math.floor(t * 255)));
-  return palette[idx];
+// Widen metric domains to a fixed extent, sharing it across a domainGroup like metricDomain()
+function pinDomains(domains, pinned) {
+  if (!pinned) return domains;
+  const next = { ...domains };
+  Object.entries(pinned).forEach(([key, extent]) => {
+    const group = METRICS[key]?.domainGroup;
+    const keys = group ? Object.keys(METRICS).filter((k) => METRICS[k].domainGroup === group) : [key];
+    keys.forEach((k) => {
+      next[k] = d3.extent([...(next[k] ?? []), ...extent]);
+    });
+  });
+  return next;
 }
 
-function formatValue(value, digits) {
-  if (!Number.isFinite(value)) return "—";
-  if (typeof digits === "number") {
-    return d3.format(`.${digits}f`)(value);
-  }
-  return value.toString();
+function bivariateColor(cls) {
+  return cls ? BIVARIATE_PALETTE[cls.index] : "rgba(255,255,255,0.06)";
 }
 
-function legendGradient(stops) {
-  return `linear-gradient(to right, ${stops.map((s) => `${s.color} ${s.offset}%`).join(",")})`;
+function formatLegendValue(value) {
+  return Number.isFinite(value) ? d3.format(",.3~f")(value) : "—";
 }
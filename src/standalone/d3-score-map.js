@@ -0,0 +1,268 @@
+import * as d3 from "d3";
+import {
+  DEFAULT_METRIC,
+  METRICS,
+  availableMetrics,
+  buildPalette,
+  colorFor,
+  conusFeatures,
+  featureId,
+  formatValue,
+  legendGradient,
+  legendStops,
+  metricDomain,
+  tooltipModel,
+} from "../lib/scoreMapCore.js";
+import { describeProblems, validateScoreMap } from "../lib/scoreSchema.js";
+import { NAV_INSTRUCTIONS, NAV_KEYS, describeModel, nearestFeature, neighborInDirection } from "../lib/hexNavigation.js";
+import "./d3-score-map.css";
+
+const dataFile = "score_map_hex.json";
+const dataUrl = `${import.meta.env.BASE_URL}data/${dataFile}`;
+
+const svg = d3.select("#score-map");
+const mapShell = document.querySelector(".map-shell");
+const tooltip = d3.select("#tooltip");
+const metricCopy = document.querySelector(".metric-copy");
+const metricSelect = document.getElementById("metric-select");
+const legendSwatch = d3.select(".legend__swatch");
+const legendMin = d3.select("[data-role='legend-min']");
+const legendMax = d3.select("[data-role='legend-max']");
+const announcer = document.getElementById("map-announcer");
+const dataNotice = document.querySelector(".data-notice");
+const dataSource = document.querySelector("[data-role='data-source']");
+
+let featureCollection;
+let features = [];
+let filteredFeatures = [];
+let filteredFeatureCollection;
+let palettes = {};
+let projection;
+let pathGenerator;
+// Hex under the keyboard cursor
+let cursor = null;
+const cellLayer = svg.append("g").attr("data-layer", "cells");
+
+init();
+
+async function init() {
+  dataSource.textContent = `Data: public/data/${dataFile}`;
+  try {
+    featureCollection = await d3.json(dataUrl);
+    const report = validateScoreMap(featureCollection);
+    showDataProblems(report);
+    if (!report.ok) throw new Error(`${dataFile} failed validation: ${report.fatal[0]}`);
+    // Cached centroids serve CONUS filtering, tooltips and keyboard steps
+    features = featureCollection.features.map((f) => ({ ...f, _centroid: d3.geoCentroid(f) }));
+    filteredFeatures = conusFeatures(features);
+    filteredFeatureCollection = { type: "FeatureCollection", features: filteredFeatures };
+    palettes = Object.fromEntries(Object.keys(METRICS).map((key) => [key, buildPalette(key)]));
+    buildMetricOptions();
+    setMetricCopy(metricSelect.value);
+    resize();
+    window.addEventListener("resize", debounce(resize, 150));
+    metricSelect.addEventListener("change", handleMetricChange);
+    setupKeyboard();
+  } catch (error) {
+    console.error("Failed to load score map data", error);
+    metricCopy.textContent = `Unable to load score map data from ${dataUrl}: ${error.message}`;
+  }
+}
+
+// Same findings as the dashboard's data-quality panel, listed under the legend
+function showDataProblems(report) {
+  const lines = describeProblems(report);
+  if (!lines.length) return;
+  const counts = [
+    report.fatal.length && `${report.fatal.length} fatal`,
+    report.errorCount && `${report.errorCount} error${report.errorCount === 1 ? "" : "s"}`,
+    report.warningCount && `${report.warningCount} warning${report.warningCount === 1 ? "" : "s"}`,
+  ].filter(Boolean);
+  dataNotice.querySelector(".data-notice__title").textContent = `Data quality · ${dataFile}: ${counts.join(", ")}`;
+  d3.select(dataNotice)
+    .select(".data-notice__list")
+    .selectAll("li")
+    .data(lines)
+    .join("li")
+    .text((line) => line);
+  dataNotice.hidden = false;
+}
+
+function buildMetricOptions() {
+  Object.entries(availableMetrics(features)).forEach(([key, meta]) => {
+    const opt = document.createElement("option");
+    opt.value = key;
+    opt.textContent = meta.label;
+    metricSelect.appendChild(opt);
+  });
+  metricSelect.value = DEFAULT_METRIC;
+}
+
+function handleMetricChange() {
+  const metric = metricSelect.value;
+  setMetricCopy(metric);
+  drawCells(metric);
+}
+
+function resize() {
+  if (!featureCollection) return;
+  const rect = mapShell.getBoundingClientRect();
+  const width = rect.width || 960;
+  const height = Math.max(520, window.innerHeight * 0.65);
+
+  svg.attr("viewBox", `0 0 ${width} ${height}`).attr("preserveAspectRatio", "xMidYMid meet");
+  projection = d3.geoMercator().fitSize([width, height], filteredFeatureCollection);
+  pathGenerator = d3.geoPath(projection);
+
+  drawCells(metricSelect.value);
+}
+
+function drawCells(metric) {
+  if (!filteredFeatures.length || !pathGenerator) return;
+
+  const domain = metricDomain(filteredFeatures, metric);
+  const palette = palettes[metric];
+  updateLegend(domain, palette);
+  const fill = (d) => colorFor(d, metric, palette, domain);
+
+  const cells = cellLayer.selectAll("path.hex-cell").data(filteredFeatures, featureId);
+
+  cells
+    .join(
+      (enter) =>
+        enter
+          .append("path")
+          .attr("class", "hex-cell")
+          .attr("d", pathGenerator)
+          .attr("fill", fill)
+          .attr("stroke", "rgba(255, 255, 255, 0.08)")
+          .attr("stroke-width", 0.35)
+          .classed("is-cursor", (d) => featureId(d) === featureId(cursor))
+          .on("mousemove", (event, d) => showTooltip(event, d, metricSelect.value))
+          .on("mouseleave", hideTooltip),
+      (update) =>
+        update
+          .transition()
+          .duration(400)
+          .attr("d", pathGenerator)
+          .attr("fill", fill)
+    );
+}
+
+function updateLegend(domain, palette) {
+  const [min, max] = domain;
+  legendSwatch.style("background", legendGradient(legendStops(palette)));
+  legendMin.text(formatValue(min));
+  legendMax.text(formatValue(max));
+}
+
+function setMetricCopy(metricKey) {
+  const meta = METRICS[metricKey];
+  metricCopy.textContent = meta ? meta.description : "";
+}
+
+function showTooltip(event, feature, metric) {
+  const model = tooltipModel(feature, metric);
+  const html = `
+    <div class="tooltip__title">${model.region ?? "Unassigned region"}</div>
+    <div class="tooltip__metric">
+      <span>${model.primary.label}</span>
+      <span>${model.primary.value}</span>
+    </div>
+    <div class="tooltip__grid">
+      ${model.rows.map((row) => `<span>${row.label}</span><span>${row.value}</span>`).join("")}
+    </div>
+  `;
+  tooltip.html(html);
+  tooltip.classed("visible", true);
+
+  // The tooltip is position: fixed, so it follows viewport coordinates
+  const offset = 14;
+  const { clientX, clientY } = event;
+  tooltip
+    .style("left", `${clientX + offset}px`)
+    .style("top", `${clientY + offset}px`);
+}
+
+function hideTooltip() {
+  tooltip.classed("visible", false);
+}
+
+// Focusable map: arrows move a cursor between neighbouring hexes, Enter reads out
+// and pins the hex's full details, Escape clears the cursor
+function setupKeyboard() {
+  document.getElementById("map-instructions").textContent = NAV_INSTRUCTIONS;
+  const node = svg.node();
+  node.addEventListener("focus", () => {
+    if (node.matches(":focus-visible")) startCursor();
+  });
+  node.addEventListener("blur", hideTooltip);
+  node.addEventListener("keydown", (event) => {
+    if (NAV_KEYS[event.key]) {
+      event.preventDefault();
+      if (!cursor) {
+        startCursor();
+        return;
+      }
+      const next = neighborInDirection(filteredFeatures, cursor, event.key);
+      if (next) moveCursor(next);
+      else announce(`No cell further ${event.key.replace("Arrow", "").toLowerCase()}.`);
+    } else if (event.key === "Enter" && cursor) {
+      event.preventDefault();
+      showCursorTooltip();
+      announce(`Details for ${describeModel(tooltipModel(cursor, metricSelect.value), true)}`);
+    } else if (event.key === "Escape" && cursor) {
+      cursor = null;
+      cellLayer.selectAll("path.hex-cell").classed("is-cursor", false);
+      hideTooltip();
+      announce("Cursor cleared.");
+    }
+  });
+}
+
+// Start on the hex nearest the middle of the map
+function startCursor() {
+  if (!filteredFeatures.length || !projection) return;
+  const [width, height] = svg.attr("viewBox").split(" ").slice(2).map(Number);
+  const start = cursor ?? nearestFeature(filteredFeatures, projection.invert([width / 2, height / 2]));
+  if (start) moveCursor(start, `${NAV_INSTRUCTIONS} `);
+}
+
+function moveCursor(feature, prefix = "") {
+  cursor = feature;
+  cellLayer
+    .selectAll("path.hex-cell")
+    .classed("is-cursor", (d) => featureId(d) === featureId(cursor))
+    .filter((d) => featureId(d) === featureId(cursor))
+    .raise();
+  showCursorTooltip();
+  announce(`${prefix}${describeModel(tooltipModel(cursor, metricSelect.value))}`);
+}
+
+// The tooltip at the cursor hex, mapping viewBox units to the SVG's on-screen box
+function showCursorTooltip() {
+  const rect = svg.node().getBoundingClientRect();
+  const [width, height] = svg.attr("viewBox").split(" ").slice(2).map(Number);
+  const scale = Math.min(rect.width / width, rect.height / height);
+  const [x, y] = projection(cursor._centroid);
+  showTooltip(
+    {
+      clientX: rect.left + (rect.width - width * scale) / 2 + x * scale,
+      clientY: rect.top + (rect.height - height * scale) / 2 + y * scale,
+    },
+    cursor,
+    metricSelect.value,
+  );
+}
+
+function announce(text) {
+  announcer.textContent = text;
+}
+
+function debounce(fn, delay = 150) {
+  let handle;
+  return (...args) => {
+    clearTimeout(handle);
+    handle = setTimeout(() => fn.apply(null, args), delay);
+  };
+}
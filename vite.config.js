@@ -1,13 +1,22 @@
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
-import path from "path";
+import { fileURLToPath } from "node:url";
 
 export default defineConfig({
   plugins: [react()],
   resolve: {
     alias: {
-      "@": path.resolve(__dirname, "./src"),
+      "@": fileURLToPath(new URL("./src", import.meta.url)),
     },
   },
   base: "/dsc-106-final-proj/",
+  build: {
+    rollupOptions: {
+      // The standalone D3 page shares src/lib with the app, so Vite bundles it too
+      input: {
+        main: fileURLToPath(new URL("./index.html", import.meta.url)),
+        scoreMap: fileURLToPath(new URL("./d3-score-map.html", import.meta.url)),
+      },
+    },
+  },
 });